@@ -0,0 +1,145 @@
+/**
+ * Model Compatibility Profiles
+ *
+ * Some models behind the OpenAI-compatible chat format reject parameters the
+ * rest of the format accepts. A compatibility profile describes, per provider and
+ * model pattern, which payload fields to rename or drop and which message roles
+ * to convert, so extract_api_payload and create_batch_jsonl can send a request
+ * the model accepts.
+ *
+ * Every change is reported as a warning string instead of being applied silently.
+ */
+
+/**
+ * Compatibility profiles, matched in order against the provider and model id
+ *
+ * - openai-o1-mini: o1-mini and o1-preview accept neither system nor developer messages,
+ *   so system text is folded into the first user message.
+ * - openai-reasoning: o-series and GPT-5 reasoning models take max_completion_tokens,
+ *   reject sampling parameters and use the developer role for instructions.
+ *   GitHub Models serves them as openai/o3-mini etc., Azure OpenAI under the model name of the deployment.
+ *   Reference: https://platform.openai.com/docs/guides/reasoning
+ */
+const COMPATIBILITY_PROFILES = [
+  {
+    name: 'openai-o1-mini',
+    providers: ['openai', 'azure-openai', 'gh-models'],
+    model: /^(openai\/)?o1-(mini|preview)/,
+    rename: { max_tokens: 'max_completion_tokens' },
+    drop: ['temperature', 'top_p', 'presence_penalty', 'frequency_penalty'],
+    foldSystem: true
+  },
+  {
+    name: 'openai-reasoning',
+    providers: ['openai', 'azure-openai', 'gh-models'],
+    model: /^(openai\/)?(o\d|gpt-5(?!-chat))/,
+    rename: { max_tokens: 'max_completion_tokens' },
+    drop: ['temperature', 'top_p', 'presence_penalty', 'frequency_penalty'],
+    roles: { system: 'developer' }
+  }
+];
+
+/**
+ * Finds the compatibility profile of a provider and model
+ * @param {string} provider - The provider name
+ * @param {string} model - Model id
+ * @returns {Object|null} The first matching profile, or null when the model needs no rewriting
+ */
+const get_compatibility_profile = (provider, model) =>
+  COMPATIBILITY_PROFILES.find(profile =>
+    profile.providers.includes(provider) && profile.model.test(model || '')
+  ) || null;
+
+/**
+ * Returns the text of a message, whose content is a string or an array of parts
+ * @param {Object} message - OpenAI-format message
+ * @returns {string} Text content, non-text parts are skipped
+ */
+const get_message_text = (message) =>
+  Array.isArray(message.content)
+    ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+    : message.content || '';
+
+/**
+ * Moves the text of system messages to the start of the first user message
+ * @param {Array<Object>} messages - OpenAI-format messages
+ * @returns {Array<Object>} Messages without system messages
+ */
+const fold_system_messages = (messages) => {
+  const instructions = messages.filter(message => message.role === 'system').map(get_message_text).join('\n\n');
+  const rest = messages.filter(message => message.role !== 'system');
+  const index = rest.findIndex(message => message.role === 'user');
+
+  if (index === -1) {
+    return [{ role: 'user', content: instructions }, ...rest];
+  }
+  const user = rest[index];
+  const content = Array.isArray(user.content)
+    ? [{ type: 'text', text: instructions }, ...user.content]
+    : `${instructions}\n\n${user.content}`;
+  return rest.map((message, i) => (i === index ? { ...user, content } : message));
+};
+
+/**
+ * Rewrites an OpenAI-format payload with a compatibility profile
+ *
+ * @param {Object} profile - Compatibility profile (see COMPATIBILITY_PROFILES)
+ * @param {Object} payload - snake_case chat payload
+ * @param {string} provider - The provider name, used in warnings
+ * @returns {Object} { payload, warnings } where warnings describes every change made
+ *
+ * @example
+ * apply_compatibility_profile(get_compatibility_profile('openai', 'o3-mini'),
+ *   { model: 'o3-mini', messages: [{ role: 'system', content: 'Be brief' }], max_tokens: 500, temperature: 0.2 }, 'openai');
+ * // Returns: { payload: { model: 'o3-mini', messages: [{ role: 'developer', content: 'Be brief' }], max_completion_tokens: 500 },
+ * //            warnings: ['openai model o3-mini: max_tokens sent as max_completion_tokens', ...] }
+ */
+const apply_compatibility_profile = (profile, payload, provider) => {
+  const prefix = `${provider} model ${payload.model}`;
+  const rewritten = { ...payload };
+  const warnings = [];
+
+  for (const [from, to] of Object.entries(profile.rename || {})) {
+    if (rewritten[from] !== undefined) {
+      rewritten[to] = rewritten[from];
+      delete rewritten[from];
+      warnings.push(`${prefix}: ${from} sent as ${to}`);
+    }
+  }
+
+  for (const field of profile.drop || []) {
+    if (rewritten[field] !== undefined) {
+      delete rewritten[field];
+      warnings.push(`${prefix}: ${field} is not supported and was dropped`);
+    }
+  }
+
+  if (Array.isArray(rewritten.messages) && profile.foldSystem
+    && rewritten.messages.some(message => message.role === 'system')) {
+    rewritten.messages = fold_system_messages(rewritten.messages);
+    warnings.push(`${prefix}: system messages folded into the first user message`);
+  }
+
+  if (Array.isArray(rewritten.messages) && profile.roles) {
+    const converted = new Set();
+    rewritten.messages = rewritten.messages.map(message => {
+      const role = profile.roles[message.role];
+      if (!role) {
+        return message;
+      }
+      converted.add(message.role);
+      return { ...message, role };
+    });
+    for (const role of converted) {
+      warnings.push(`${prefix}: ${role} messages sent as ${profile.roles[role]} messages`);
+    }
+  }
+
+  return { payload: rewritten, warnings };
+};
+
+module.exports = {
+  COMPATIBILITY_PROFILES,
+  get_compatibility_profile,
+  apply_compatibility_profile
+};
@@ -0,0 +1,73 @@
+const { get_compatibility_profile, apply_compatibility_profile } = require('./compatibility_profiles');
+
+describe('compatibility_profiles', () => {
+  describe('get_compatibility_profile', () => {
+    it('should match OpenAI reasoning models', () => {
+      expect(get_compatibility_profile('openai', 'o1').name).toBe('openai-reasoning');
+      expect(get_compatibility_profile('openai', 'o4-mini-2025-04-16').name).toBe('openai-reasoning');
+      expect(get_compatibility_profile('openai', 'gpt-5-mini').name).toBe('openai-reasoning');
+      expect(get_compatibility_profile('gh-models', 'openai/o3-mini').name).toBe('openai-reasoning');
+    });
+
+    it('should match o1-mini and o1-preview before other reasoning models', () => {
+      expect(get_compatibility_profile('openai', 'o1-mini-2024-09-12').name).toBe('openai-o1-mini');
+      expect(get_compatibility_profile('gh-models', 'openai/o1-preview').name).toBe('openai-o1-mini');
+      expect(get_compatibility_profile('openai', 'o1-2024-12-17').name).toBe('openai-reasoning');
+    });
+
+    it('should not match chat models or other providers', () => {
+      expect(get_compatibility_profile('openai', 'gpt-4o')).toBeNull();
+      expect(get_compatibility_profile('openai', 'gpt-5-chat-latest')).toBeNull();
+      expect(get_compatibility_profile('openrouter', 'openai/o3-mini')).toBeNull();
+    });
+  });
+
+  describe('apply_compatibility_profile', () => {
+    it('should not change payloads without affected fields', () => {
+      const payload = { model: 'o3', messages: [{ role: 'user', content: 'Hi' }], max_completion_tokens: 10 };
+
+      expect(apply_compatibility_profile(get_compatibility_profile('openai', 'o3'), payload, 'openai'))
+        .toEqual({ payload, warnings: [] });
+    });
+
+    it('should report converted roles once per role', () => {
+      const { payload, warnings } = apply_compatibility_profile(get_compatibility_profile('openai', 'o3'), {
+        model: 'o3',
+        messages: [{ role: 'system', content: 'A' }, { role: 'system', content: 'B' }, { role: 'user', content: 'Hi' }]
+      }, 'openai');
+
+      expect(payload.messages.map(message => message.role)).toEqual(['developer', 'developer', 'user']);
+      expect(warnings).toEqual(['openai model o3: system messages sent as developer messages']);
+    });
+
+    it('should fold system messages into the first user message for o1-mini', () => {
+      const { payload, warnings } = apply_compatibility_profile(get_compatibility_profile('openai', 'o1-mini'), {
+        model: 'o1-mini',
+        messages: [
+          { role: 'system', content: 'Be brief' },
+          { role: 'system', content: 'Answer in French' },
+          { role: 'user', content: 'Hi' },
+          { role: 'assistant', content: 'Salut' },
+          { role: 'user', content: 'Bye' }
+        ]
+      }, 'openai');
+
+      expect(payload.messages).toEqual([
+        { role: 'user', content: 'Be brief\n\nAnswer in French\n\nHi' },
+        { role: 'assistant', content: 'Salut' },
+        { role: 'user', content: 'Bye' }
+      ]);
+      expect(warnings).toEqual(['openai model o1-mini: system messages folded into the first user message']);
+    });
+
+    it('should fold system messages into multimodal user content', () => {
+      const image = { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } };
+      const { payload } = apply_compatibility_profile(get_compatibility_profile('openai', 'o1-mini'), {
+        model: 'o1-mini',
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: [image] }]
+      }, 'openai');
+
+      expect(payload.messages).toEqual([{ role: 'user', content: [{ type: 'text', text: 'Be brief' }, image] }]);
+    });
+  });
+});
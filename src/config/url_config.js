@@ -3,8 +3,12 @@
  * 
  * This module centralizes all provider URL configurations for API endpoints,
  * including base URLs, chat endpoints, model endpoints, and public info URLs.
+ * The chat, model and batch getters also resolve providers added with
+ * register_provider, whose URLs stay in the provider registry.
  */
 
+const { get_custom_provider, get_custom_provider_url } = require('../provider_registry');
+
 // Base URLs for providers (without version paths)
 const BASE_URLS = {
   openai: 'https://api.openai.com',
@@ -23,6 +27,13 @@ const BASE_URLS = {
   ollama: 'http://localhost:11434'
 };
 
+// Azure OpenAI api-version used when a request does not set one (latest GA version)
+// Reference: https://learn.microsoft.com/en-us/azure/ai-services/openai/api-version-deprecation
+const AZURE_OPENAI_API_VERSION = '2024-10-21';
+
+// Hugging Face router with OpenAI-compatible chat completions across inference providers
+const HUGGINGFACE_ROUTER_URL = 'https://router.huggingface.co/v1/chat/completions';
+
 // Chat completion endpoints (with version paths)
 const CHAT_ENDPOINTS = {
   openai: '/v1/chat/completions',
@@ -68,6 +79,53 @@ const BATCH_ENDPOINTS = {
   siliconflow: '/v1/batches',
 };
 
+// Embedding endpoints (with version paths)
+// Google and Hugging Face put the model in the path, see getGoogleEmbeddingUrl and getHuggingFaceUrl
+const EMBEDDING_ENDPOINTS = {
+  openai: '/v1/embeddings',
+  together: '/v1/embeddings',
+  siliconflow: '/v1/embeddings',
+  ollama: '/api/embed'
+};
+
+// Audio endpoints by operation (with version paths)
+const AUDIO_ENDPOINTS = {
+  openai: {
+    transcriptions: '/v1/audio/transcriptions',
+    translations: '/v1/audio/translations',
+    speech: '/v1/audio/speech'
+  },
+  groq: {
+    transcriptions: '/openai/v1/audio/transcriptions',
+    translations: '/openai/v1/audio/translations',
+    speech: '/openai/v1/audio/speech'
+  },
+  together: {
+    speech: '/v1/audio/speech'
+  },
+  siliconflow: {
+    speech: '/v1/audio/speech'
+  }
+};
+
+// Image generation endpoints (with version paths)
+const IMAGE_ENDPOINTS = {
+  openai: '/v1/images/generations',
+  together: '/v1/images/generations',
+  siliconflow: '/v1/images/generations'
+};
+
+// Moderation endpoints (with version paths)
+const MODERATION_ENDPOINTS = {
+  openai: '/v1/moderations'
+};
+
+// Rerank endpoints (with version paths)
+const RERANK_ENDPOINTS = {
+  together: '/v1/rerank',
+  siliconflow: '/v1/rerank'
+};
+
 // Public info endpoints that don't require API keys
 const PUBLIC_ENDPOINTS = {
   openai: {
@@ -136,6 +194,9 @@ const PUBLIC_ENDPOINTS = {
  * @returns {string} The full URL for chat completions
  */
 function getChatEndpoint(provider) {
+  if (get_custom_provider(provider)) {
+    return get_custom_provider_url(provider, 'chat');
+  }
   const baseUrl = BASE_URLS[provider];
   const chatPath = CHAT_ENDPOINTS[provider];
   
@@ -152,6 +213,9 @@ function getChatEndpoint(provider) {
  * @returns {string} The full URL for the models list
  */
 function getModelEndpoint(provider) {
+  if (get_custom_provider(provider)) {
+    return get_custom_provider_url(provider, 'models');
+  }
   const baseUrl = BASE_URLS[provider];
   const modelPath = MODEL_ENDPOINTS[provider];
   
@@ -168,6 +232,9 @@ function getModelEndpoint(provider) {
  * @returns {string} The full URL for batch operations
  */
 function getBatchEndpoint(provider) {
+  if (get_custom_provider(provider)) {
+    return get_custom_provider_url(provider, 'batch');
+  }
   return `${BASE_URLS[provider]}${BATCH_ENDPOINTS[provider]}`;
 }
 
@@ -180,12 +247,145 @@ function getHuggingFaceUrl(modelName) {
   return `${BASE_URLS.huggingface}/${modelName}`;
 }
 
+/**
+ * Special handling for Azure OpenAI URLs, which are per resource and deployment
+ * @param {string} resource - Azure OpenAI resource name
+ * @param {string} deployment - Deployment name
+ * @param {string} apiVersion - api-version query parameter
+ * @returns {string} The full chat completions URL of the deployment
+ */
+function getAzureOpenAIUrl(resource, deployment, apiVersion = AZURE_OPENAI_API_VERSION) {
+  return `https://${resource}.openai.azure.com/openai/deployments/${encodeURIComponent(deployment)}` +
+    `/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+}
+
+/**
+ * Special handling for Google Gemini URLs that require the model and method in path
+ * Streaming uses alt=sse so chunks arrive as server-sent events instead of a JSON array
+ * @param {string} modelName - The name of the model (with or without the 'models/' prefix)
+ * @param {boolean} stream - Whether to build the streamGenerateContent URL
+ * @returns {string} The full generateContent or streamGenerateContent URL for the model
+ */
+function getGoogleUrl(modelName, stream = false) {
+  const model = modelName.replace(/^models\//, '');
+  const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+  return `${BASE_URLS.google}${CHAT_ENDPOINTS.google}/${model}:${method}`;
+}
+
+/**
+ * Get the full URL for an embeddings endpoint for a given provider
+ * @param {string} provider - The provider name
+ * @returns {string} The full URL for embeddings
+ */
+function getEmbeddingEndpoint(provider) {
+  const baseUrl = BASE_URLS[provider];
+  const embeddingPath = EMBEDDING_ENDPOINTS[provider];
+
+  if (!baseUrl || embeddingPath === undefined) {
+    return undefined;
+  }
+
+  return `${baseUrl}${embeddingPath}`;
+}
+
+/**
+ * Get the full URL for an audio endpoint for a given provider
+ * @param {string} provider - The provider name
+ * @param {string} operation - The audio operation ('transcriptions', 'translations' or 'speech')
+ * @returns {string} The full URL for the audio operation
+ */
+function getAudioEndpoint(provider, operation) {
+  const baseUrl = BASE_URLS[provider];
+  const audioPath = AUDIO_ENDPOINTS[provider]?.[operation];
+
+  if (!baseUrl || audioPath === undefined) {
+    return undefined;
+  }
+
+  return `${baseUrl}${audioPath}`;
+}
+
+/**
+ * Get the full URL for an image generation endpoint for a given provider
+ * @param {string} provider - The provider name
+ * @returns {string} The full URL for image generation
+ */
+function getImageEndpoint(provider) {
+  const baseUrl = BASE_URLS[provider];
+  const imagePath = IMAGE_ENDPOINTS[provider];
+
+  if (!baseUrl || imagePath === undefined) {
+    return undefined;
+  }
+
+  return `${baseUrl}${imagePath}`;
+}
+
+/**
+ * Get the full URL for a moderation endpoint for a given provider
+ * @param {string} provider - The provider name
+ * @returns {string} The full URL for moderations
+ */
+function getModerationEndpoint(provider) {
+  const baseUrl = BASE_URLS[provider];
+  const moderationPath = MODERATION_ENDPOINTS[provider];
+
+  if (!baseUrl || moderationPath === undefined) {
+    return undefined;
+  }
+
+  return `${baseUrl}${moderationPath}`;
+}
+
+/**
+ * Get the full URL for a rerank endpoint for a given provider
+ * @param {string} provider - The provider name
+ * @returns {string} The full URL for reranking
+ */
+function getRerankEndpoint(provider) {
+  const baseUrl = BASE_URLS[provider];
+  const rerankPath = RERANK_ENDPOINTS[provider];
+
+  if (!baseUrl || rerankPath === undefined) {
+    return undefined;
+  }
+
+  return `${baseUrl}${rerankPath}`;
+}
+
+/**
+ * Special handling for Google embedding URLs that require the model and method in path
+ * @param {string} modelName - The name of the model (with or without the 'models/' prefix)
+ * @param {boolean} batch - Whether to build the batchEmbedContents URL
+ * @returns {string} The full embedContent or batchEmbedContents URL for the model
+ */
+function getGoogleEmbeddingUrl(modelName, batch = false) {
+  const model = modelName.replace(/^models\//, '');
+  const method = batch ? 'batchEmbedContents' : 'embedContent';
+  return `${BASE_URLS.google}${CHAT_ENDPOINTS.google}/${model}:${method}`;
+}
+
 exports.BASE_URLS = BASE_URLS;
 exports.CHAT_ENDPOINTS = CHAT_ENDPOINTS;
 exports.MODEL_ENDPOINTS = MODEL_ENDPOINTS;
 exports.BATCH_ENDPOINTS = BATCH_ENDPOINTS;
+exports.EMBEDDING_ENDPOINTS = EMBEDDING_ENDPOINTS;
+exports.AUDIO_ENDPOINTS = AUDIO_ENDPOINTS;
+exports.IMAGE_ENDPOINTS = IMAGE_ENDPOINTS;
+exports.MODERATION_ENDPOINTS = MODERATION_ENDPOINTS;
+exports.RERANK_ENDPOINTS = RERANK_ENDPOINTS;
+exports.HUGGINGFACE_ROUTER_URL = HUGGINGFACE_ROUTER_URL;
+exports.AZURE_OPENAI_API_VERSION = AZURE_OPENAI_API_VERSION;
 exports.PUBLIC_ENDPOINTS = PUBLIC_ENDPOINTS;
 exports.getChatEndpoint = getChatEndpoint;
 exports.getModelEndpoint = getModelEndpoint;
 exports.getBatchEndpoint = getBatchEndpoint;
 exports.getHuggingFaceUrl = getHuggingFaceUrl;
+exports.getAzureOpenAIUrl = getAzureOpenAIUrl;
+exports.getGoogleUrl = getGoogleUrl;
+exports.getEmbeddingEndpoint = getEmbeddingEndpoint;
+exports.getAudioEndpoint = getAudioEndpoint;
+exports.getImageEndpoint = getImageEndpoint;
+exports.getModerationEndpoint = getModerationEndpoint;
+exports.getRerankEndpoint = getRerankEndpoint;
+exports.getGoogleEmbeddingUrl = getGoogleEmbeddingUrl;
@@ -7,7 +7,15 @@ const {
   getChatEndpoint,
   getModelEndpoint,
   getBatchEndpoint,
-  getHuggingFaceUrl
+  getHuggingFaceUrl,
+  getGoogleUrl,
+  getAzureOpenAIUrl,
+  getEmbeddingEndpoint,
+  getAudioEndpoint,
+  getImageEndpoint,
+  getModerationEndpoint,
+  getRerankEndpoint,
+  getGoogleEmbeddingUrl
 } = require('./url_config');
 
 describe('URL Configuration', () => {
@@ -167,6 +175,102 @@ describe('URL Configuration', () => {
     });
   });
 
+  describe('getGoogleUrl', () => {
+    it('should construct generateContent URLs', () => {
+      expect(getGoogleUrl('gemini-1.5-flash')).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent'
+      );
+    });
+
+    it('should construct SSE streamGenerateContent URLs', () => {
+      expect(getGoogleUrl('gemini-1.5-flash', true)).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:streamGenerateContent?alt=sse'
+      );
+    });
+
+    it('should accept model names with the models/ prefix', () => {
+      expect(getGoogleUrl('models/gemini-2.0-flash')).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent'
+      );
+    });
+  });
+
+  describe('getAzureOpenAIUrl', () => {
+    it('should construct deployment URLs with the default api-version', () => {
+      expect(getAzureOpenAIUrl('contoso', 'gpt-4o-prod')).toBe(
+        'https://contoso.openai.azure.com/openai/deployments/gpt-4o-prod/chat/completions?api-version=2024-10-21'
+      );
+    });
+
+    it('should use the given api-version', () => {
+      expect(getAzureOpenAIUrl('contoso', 'o3-mini', '2025-01-01-preview')).toBe(
+        'https://contoso.openai.azure.com/openai/deployments/o3-mini/chat/completions?api-version=2025-01-01-preview'
+      );
+    });
+  });
+
+  describe('getEmbeddingEndpoint', () => {
+    it('should construct embeddings URLs', () => {
+      expect(getEmbeddingEndpoint('openai')).toBe('https://api.openai.com/v1/embeddings');
+      expect(getEmbeddingEndpoint('ollama')).toBe('http://localhost:11434/api/embed');
+    });
+
+    it('should return undefined for providers without an embeddings endpoint', () => {
+      expect(getEmbeddingEndpoint('anthropic')).toBeUndefined();
+    });
+  });
+
+  describe('getAudioEndpoint', () => {
+    it('should construct transcription and translation URLs', () => {
+      expect(getAudioEndpoint('openai', 'transcriptions')).toBe('https://api.openai.com/v1/audio/transcriptions');
+      expect(getAudioEndpoint('groq', 'translations')).toBe('https://api.groq.com/openai/v1/audio/translations');
+    });
+
+    it('should construct speech URLs', () => {
+      expect(getAudioEndpoint('openai', 'speech')).toBe('https://api.openai.com/v1/audio/speech');
+      expect(getAudioEndpoint('together', 'speech')).toBe('https://api.together.xyz/v1/audio/speech');
+      expect(getAudioEndpoint('together', 'transcriptions')).toBeUndefined();
+    });
+
+    it('should return undefined for providers without an audio endpoint', () => {
+      expect(getAudioEndpoint('anthropic', 'transcriptions')).toBeUndefined();
+    });
+  });
+
+  describe('getImageEndpoint', () => {
+    it('should construct image generation URLs', () => {
+      expect(getImageEndpoint('openai')).toBe('https://api.openai.com/v1/images/generations');
+      expect(getImageEndpoint('siliconflow')).toBe('https://api.siliconflow.cn/v1/images/generations');
+      expect(getImageEndpoint('anthropic')).toBeUndefined();
+    });
+  });
+
+  describe('getModerationEndpoint', () => {
+    it('should construct the OpenAI moderation URL', () => {
+      expect(getModerationEndpoint('openai')).toBe('https://api.openai.com/v1/moderations');
+      expect(getModerationEndpoint('groq')).toBeUndefined();
+    });
+  });
+
+  describe('getRerankEndpoint', () => {
+    it('should construct rerank URLs', () => {
+      expect(getRerankEndpoint('together')).toBe('https://api.together.xyz/v1/rerank');
+      expect(getRerankEndpoint('siliconflow')).toBe('https://api.siliconflow.cn/v1/rerank');
+      expect(getRerankEndpoint('openai')).toBeUndefined();
+    });
+  });
+
+  describe('getGoogleEmbeddingUrl', () => {
+    it('should construct embedContent and batchEmbedContents URLs', () => {
+      expect(getGoogleEmbeddingUrl('models/text-embedding-004')).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent'
+      );
+      expect(getGoogleEmbeddingUrl('text-embedding-004', true)).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:batchEmbedContents'
+      );
+    });
+  });
+
   describe('URL Structure Validation', () => {
     it('should have consistent URL structures', () => {
       // All base URLs should not end with slash
@@ -0,0 +1,86 @@
+/**
+ * Multimodal Content Parts
+ *
+ * Message content is either a string or an array of typed parts:
+ * - { type: 'text', text }
+ * - { type: 'image', url } or { type: 'image', data, mimeType }
+ * - { type: 'audio', data, mimeType }
+ * - { type: 'document', data, mimeType, filename? } or { type: 'document', url }
+ *
+ * `data` is raw base64 (no data: URL prefix). This module holds the MIME and
+ * size rules shared by the schema and the provider translators.
+ */
+
+/**
+ * MIME types accepted for each media part type
+ */
+const SUPPORTED_MIME_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  audio: ['audio/wav', 'audio/mpeg', 'audio/mp3', 'audio/aac', 'audio/ogg', 'audio/flac', 'audio/aiff'],
+  document: ['application/pdf', 'text/plain']
+};
+
+/**
+ * Largest decoded size accepted for inline (base64) data, in bytes
+ * These are the most generous provider limits, stricter ones are checked by the translators
+ */
+const MAX_INLINE_BYTES = {
+  image: 20 * 1024 * 1024,
+  audio: 20 * 1024 * 1024,
+  document: 32 * 1024 * 1024
+};
+
+/**
+ * Computes the decoded size of a base64 string without decoding it
+ * @param {string} data - Base64 data
+ * @returns {number} Size in bytes
+ */
+const get_base64_size = (data) => {
+  const padding = data.endsWith('==') ? 2 : (data.endsWith('=') ? 1 : 0);
+  return Math.floor((data.length * 3) / 4) - padding;
+};
+
+/**
+ * Builds a data: URL from an inline media part
+ * @param {Object} part - Media part with data and mimeType
+ * @returns {string} data: URL
+ */
+const to_data_url = (part) => `data:${part.mimeType};base64,${part.data}`;
+
+/**
+ * Returns the text of message content, ignoring media parts
+ * Used for fields that only accept text (system prompts, plain-text prompts)
+ * @param {string|Array|null} content - Message content
+ * @returns {string} Text content, parts joined by newlines
+ */
+const get_text_content = (content) => {
+  if (!Array.isArray(content)) {
+    return content ?? '';
+  }
+  return content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+};
+
+/**
+ * Builds the error thrown when a provider cannot accept a content part
+ * @param {string} provider - Provider name
+ * @param {Object} part - Content part
+ * @param {string} [reason] - Extra detail (e.g. 'only base64 images are supported')
+ * @returns {Error} Error naming the provider and part type
+ */
+const unsupported_part_error = (provider, part, reason) => {
+  const source = part.url ? 'URL' : 'inline';
+  const detail = reason ? `: ${reason}` : '';
+  return new Error(`${provider} does not support ${source} ${part.type} content parts${detail}`);
+};
+
+module.exports = {
+  SUPPORTED_MIME_TYPES,
+  MAX_INLINE_BYTES,
+  get_base64_size,
+  to_data_url,
+  get_text_content,
+  unsupported_part_error
+};
@@ -0,0 +1,44 @@
+const {
+  get_base64_size,
+  to_data_url,
+  get_text_content,
+  unsupported_part_error
+} = require('./content_parts');
+
+describe('content_parts', () => {
+  describe('get_base64_size', () => {
+    it('should compute the decoded size including padding', () => {
+      expect(get_base64_size(Buffer.from('abc').toString('base64'))).toBe(3);
+      expect(get_base64_size(Buffer.from('abcd').toString('base64'))).toBe(4);
+      expect(get_base64_size(Buffer.from('abcde').toString('base64'))).toBe(5);
+    });
+  });
+
+  describe('to_data_url', () => {
+    it('should prefix the data with its MIME type', () => {
+      expect(to_data_url({ data: 'AAAA', mimeType: 'image/png' })).toBe('data:image/png;base64,AAAA');
+    });
+  });
+
+  describe('get_text_content', () => {
+    it('should return strings unchanged and null as an empty string', () => {
+      expect(get_text_content('Hello')).toBe('Hello');
+      expect(get_text_content(null)).toBe('');
+    });
+
+    it('should join text parts and skip media parts', () => {
+      expect(get_text_content([
+        { type: 'text', text: 'Describe' },
+        { type: 'image', url: 'https://example.com/cat.png' },
+        { type: 'text', text: 'briefly' }
+      ])).toBe('Describe\nbriefly');
+    });
+  });
+
+  describe('unsupported_part_error', () => {
+    it('should name the provider, source and part type', () => {
+      const error = unsupported_part_error('ollama', { type: 'image', url: 'https://example.com/cat.png' }, 'only base64 images are supported');
+      expect(error.message).toBe('ollama does not support URL image content parts: only base64 images are supported');
+    });
+  });
+});
@@ -7,15 +7,48 @@ const {
   getChatEndpoint,
   getModelEndpoint,
   getHuggingFaceUrl,
-  getBatchEndpoint
+  getGoogleUrl,
+  getAzureOpenAIUrl,
+  getBatchEndpoint,
+  HUGGINGFACE_ROUTER_URL
 } = require('./config/url_config');
+const { normalize_response, normalize_content_filter_error } = require('./normalize_response');
+const { parse_stream, get_stream_format, read_stream_error_body } = require('./stream_parser');
+const { accumulate_stream } = require('./stream_accumulator');
+const { parse_structured_output } = require('./structured_output');
+const { to_openai_messages, to_openai_tool_choice, to_openai_response_format } = require('./providers/openai');
+const { to_anthropic_payload } = require('./providers/anthropic');
+const { to_google_payload } = require('./providers/google');
+const { to_ollama_payload } = require('./providers/ollama');
+const { to_huggingface_payload } = require('./providers/huggingface');
+const { get_model_info } = require('./model_registry');
+const { get_compatibility_profile, apply_compatibility_profile } = require('./compatibility_profiles');
+const { get_custom_provider } = require('./provider_registry');
+const { apply_parameter_limits } = require('./parameter_limits');
 
 // API version constants for maintainability
 const API_VERSIONS = {
-  anthropic: '2025-05-22',
+  // Reference: https://docs.anthropic.com/en/api/versioning
+  anthropic: '2023-06-01',
   anthropicBeta: 'message-batches-2024-09-24'
 };
 
+// OpenAI-compatible providers that report token usage at the end of a stream
+// only when the request sets stream_options.include_usage
+// Reference: https://platform.openai.com/docs/api-reference/chat/create#chat-create-stream_options
+const STREAM_USAGE_PROVIDERS = ['openai', 'azure-openai', 'together', 'deepseek', 'qwen', 'siliconflow', 'grok', 'groq', 'openrouter'];
+
+// Hugging Face answers 503 with estimated_time while a cold model loads
+const HUGGINGFACE_LOADING_RETRIES = 3;
+const HUGGINGFACE_MAX_LOADING_WAIT_SECONDS = 120;
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Validates and sanitizes API key to prevent header injection attacks
  * @param {string} apiKey - The API key to validate
@@ -47,9 +80,12 @@ const validateApiKey = (apiKey, provider) => {
 /**
  * Validates URL to prevent SSRF attacks
  * @param {string} url - The URL to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowPrivateNetwork] - Allow localhost and private IP addresses,
+ *   set for URLs of providers registered with allowPrivateNetwork
  * @returns {string} Validated URL
  */
-const validateUrl = (url) => {
+const validateUrl = (url, options = {}) => {
   if (!url || typeof url !== 'string') {
     throw new Error('Invalid URL format');
   }
@@ -69,7 +105,8 @@ const validateUrl = (url) => {
         hostname.startsWith('192.168.') ||
         hostname.startsWith('10.') ||
         hostname.match(/^172\.(1[6-9]|2[0-9]|3[0-1])\./)) && 
-        !url.includes('localhost:11434')) {
+        !url.includes('localhost:11434') &&
+        !options.allowPrivateNetwork) {
       throw new Error('Private IP addresses are not allowed');
     }
 
@@ -106,7 +143,20 @@ const create_provider_headers = (data) => {
     case 'google':
       return {
         ...baseHeaders,
-        'Authorization': `Bearer ${validateApiKey(data.apiKey, data.provider)}`
+        'x-goog-api-key': validateApiKey(data.apiKey, data.provider)
+      };
+
+    case 'azure-openai':
+      // Resource keys use the api-key header, Microsoft Entra ID tokens the Authorization header
+      if (data.azureAuth === 'bearer') {
+        return {
+          ...baseHeaders,
+          'Authorization': `Bearer ${validateApiKey(data.apiKey, data.provider)}`
+        };
+      }
+      return {
+        ...baseHeaders,
+        'api-key': validateApiKey(data.apiKey, data.provider)
       };
 
     case 'gh-models':
@@ -145,21 +195,42 @@ const create_provider_headers = (data) => {
       // Ollama typically runs locally and doesn't require API key authentication
       return baseHeaders;
 
-    default:
-      // For any other providers, return base headers
-      return baseHeaders;
+    default: {
+      // Providers added with register_provider send the key as configured in auth
+      const custom = get_custom_provider(data.provider);
+      if (!custom || custom.auth.type === 'none' || !data.apiKey) {
+        return baseHeaders;
+      }
+      const apiKey = validateApiKey(data.apiKey, data.provider);
+      return custom.auth.type === 'header'
+        ? { ...baseHeaders, [custom.auth.header]: apiKey }
+        : { ...baseHeaders, 'Authorization': `Bearer ${apiKey}` };
+    }
   }
 };
 
 /**
  * Gets the default URL for a provider
  * @param {string} provider - The provider name
- * @param {string} model - The model name (required for some providers like Hugging Face)
+ * @param {string} model - The model name (required for some providers like Hugging Face and Google)
+ * @param {boolean} stream - Whether the request streams (selects Google's streamGenerateContent)
+ * @param {boolean} huggingfaceRouter - Whether Hugging Face requests use the OpenAI-compatible router
+ * @param {Object} azure - Azure OpenAI { resource, deployment, apiVersion }, the deployment defaults to the model
  * @returns {string} Default URL for the provider
+ * @throws {Error} When an Azure OpenAI request has no resource
  */
-const get_default_url = (provider, model) => {
+const get_default_url = (provider, model, stream = false, huggingfaceRouter = false, azure = {}) => {
+  if (provider === 'azure-openai') {
+    if (!azure.resource) {
+      throw new Error('azureResource is required for provider: azure-openai');
+    }
+    return getAzureOpenAIUrl(azure.resource, azure.deployment || model, azure.apiVersion);
+  }
   if (provider === 'huggingface') {
-    return getHuggingFaceUrl(model);
+    return huggingfaceRouter ? HUGGINGFACE_ROUTER_URL : getHuggingFaceUrl(model);
+  }
+  if (provider === 'google') {
+    return getGoogleUrl(model, stream);
   }
   return getChatEndpoint(provider);
 };
@@ -198,8 +269,9 @@ const create_batch_request = (data) => {
   }
 
   // Provider-specific validation for required batch fields
+  const custom = get_custom_provider(data.provider);
   const requiresInputFileId = ['siliconflow', 'openai', 'groq'];
-  if (requiresInputFileId.includes(data.provider) && data.batch && !data.batch.inputFileId) {
+  if ((requiresInputFileId.includes(data.provider) || custom?.capabilities.batch) && data.batch && !data.batch.inputFileId) {
     // Capitalize first letter for better error message formatting
     const providerName = data.provider.charAt(0).toUpperCase() + data.provider.slice(1);
     throw new Error(`${providerName} batch processing requires inputFileId`);
@@ -218,13 +290,8 @@ const create_batch_request = (data) => {
         data: {
           requests: data.batch.requests || [{
             custom_id: data.batch.customId || `req-${Date.now()}`,
-            params: {
-              model: data.model,
-              max_tokens: data.maxTokens || 1024,
-              messages: data.messages,
-              ...(data.temperature && { temperature: data.temperature }),
-              ...(data.topP && { top_p: data.topP })
-            }
+            // Batch items cannot stream, everything else uses the Messages API translation
+            params: to_anthropic_payload({ ...data, stream: undefined })
           }]
         },
         headers: {
@@ -262,27 +329,40 @@ const create_batch_request = (data) => {
       };
 
     default:
+      // Providers added with register_provider batch in the OpenAI format when enabled
+      if (custom?.capabilities.batch) {
+        return { ...create_openai_compatible_batch(data, data.provider), headers: create_provider_headers(data) };
+      }
       throw new Error(`Batch processing not supported for provider: ${data.provider}`);
   }
 };
 
 /**
  * Creates JSONL batch file content for OpenAI/Groq format
+ * Bodies of models with a compatibility profile are rewritten like chat payloads
  * @param {Array} requests - Array of request objects
+ * @param {Array<string>} [warnings] - Receives a description of every compatibility rewrite
  * @returns {string} JSONL format string
  */
-const create_batch_jsonl = (requests) => {
-  return requests.map(req => JSON.stringify({
-    custom_id: req.customId,
-    method: 'POST',
-    url: CHAT_ENDPOINTS[req.provider] || '/v1/chat/completions',
-    body: {
+const create_batch_jsonl = (requests, warnings = []) => {
+  return requests.map(req => {
+    const body = {
       model: req.model,
       messages: req.messages,
       ...(req.maxTokens && { max_tokens: req.maxTokens }),
       ...(req.temperature && { temperature: req.temperature })
-    }
-  })).join('\n');
+    };
+    const profile = get_compatibility_profile(req.provider, req.model);
+    const rewritten = profile ? apply_compatibility_profile(profile, body, req.provider) : { payload: body, warnings: [] };
+    warnings.push(...rewritten.warnings.map(warning => `${req.customId}: ${warning}`));
+
+    return JSON.stringify({
+      custom_id: req.customId,
+      method: 'POST',
+      url: get_custom_provider(req.provider)?.chatPath || CHAT_ENDPOINTS[req.provider] || '/v1/chat/completions',
+      body: rewritten.payload
+    });
+  }).join('\n');
 };
 
 /**
@@ -290,8 +370,11 @@ const create_batch_jsonl = (requests) => {
  * Uses allowlist approach to include only API-relevant fields
  * Excludes internal fields like provider, apiKey, batch
  * Maps camelCase field names to snake_case API format
+ * Models with a compatibility profile (e.g. OpenAI o-series) get their payload
+ * rewritten, and each change is appended to warnings
  *
  * @param {Object} validatedData - The validated input data
+ * @param {Array<string>} [warnings] - Receives a description of every compatibility rewrite
  * @returns {Object} Clean API payload with snake_case keys
  *
  * @example
@@ -304,7 +387,7 @@ const create_batch_jsonl = (requests) => {
  * });
  * // Returns: { model: 'gpt-4', messages: [...], max_tokens: 1000 }
  */
-const extract_api_payload = (validatedData) => {
+const extract_api_payload = (validatedData, warnings = []) => {
   if (!validatedData || typeof validatedData !== 'object') {
     throw new Error('extract_api_payload: validatedData must be a non-null object');
   }
@@ -328,6 +411,8 @@ const extract_api_payload = (validatedData) => {
     'presencePenalty': 'presence_penalty',
     'frequencyPenalty': 'frequency_penalty',
     'tools': 'tools',
+    'toolChoice': 'tool_choice',
+    'parallelToolCalls': 'parallel_tool_calls',
     'responseFormat': 'response_format',
     'seed': 'seed'
   };
@@ -341,21 +426,122 @@ const extract_api_payload = (validatedData) => {
     }
   }
 
+  // Without stream_options the final usage chunk is never sent and streamed results have no usage
+  if (apiPayload.stream === true && STREAM_USAGE_PROVIDERS.includes(validatedData.provider)) {
+    apiPayload.stream_options = { include_usage: true };
+  }
+
+  // Message fields are camelCase too (toolCalls, toolCallId)
+  if (Array.isArray(apiPayload.messages)) {
+    apiPayload.messages = to_openai_messages(apiPayload.messages);
+  }
+  if (apiPayload.tool_choice !== undefined) {
+    apiPayload.tool_choice = to_openai_tool_choice(apiPayload.tool_choice);
+  }
+  if (apiPayload.response_format !== undefined) {
+    apiPayload.response_format = to_openai_response_format(apiPayload.response_format);
+  }
+
+  const profile = get_compatibility_profile(validatedData.provider, validatedData.model);
+  if (profile) {
+    const rewritten = apply_compatibility_profile(profile, apiPayload, validatedData.provider);
+    warnings.push(...rewritten.warnings);
+    return rewritten.payload;
+  }
   return apiPayload;
 };
 
 /**
- * Creates an axios request configuration from a Zod schema and input data
- * @param {z.ZodSchema} schema - The Zod schema to validate input against
- * @param {Object} data - The input data to validate and convert
- * @param {Object} options - Additional request options
- * @param {string} options.url - The request URL (optional, will use provider default if not specified)
- * @param {string} options.method - HTTP method (default: 'POST')
- * @param {Object} options.headers - Additional headers (will override provider headers)
+ * Builds the provider-specific request body from validated data
+ * Providers with their own wire format get a dedicated translator,
+ * all OpenAI-compatible providers use extract_api_payload
+ * @param {Object} validatedData - The validated input data
+ * @param {Array<string>} [warnings] - Receives compatibility rewrite warnings
+ * @returns {Object} Request body for the provider's chat endpoint
+ */
+const create_provider_payload = (validatedData, warnings = []) => {
+  switch (validatedData.provider) {
+    case 'anthropic':
+      return to_anthropic_payload(validatedData);
+
+    case 'google':
+      return to_google_payload(validatedData);
+
+    case 'ollama':
+      return to_ollama_payload(validatedData);
+
+    case 'huggingface':
+      return validatedData.huggingfaceRouter
+        ? extract_api_payload(validatedData, warnings)
+        : to_huggingface_payload(validatedData);
+
+    default:
+      return extract_api_payload(validatedData, warnings);
+  }
+};
+
+/**
+ * Rejects requests that use a feature a provider added with register_provider
+ * has disabled in its capabilities
+ * @param {Object} validatedData - The validated input data
+ * @throws {Error} When the provider does not support tools, JSON mode or streaming
+ */
+const check_provider_capabilities = (validatedData) => {
+  const custom = get_custom_provider(validatedData.provider);
+  if (!custom) {
+    return;
+  }
+
+  const { provider, tools, responseFormat, stream } = validatedData;
+  const { capabilities } = custom;
+  if (tools?.length > 0 && !capabilities.tools) {
+    throw new Error(`${provider} does not support tool calls`);
+  }
+  const responseType = responseFormat?.type;
+  if ((responseType === 'json_object' || responseType === 'json_schema') && !capabilities.jsonMode) {
+    throw new Error(`${provider} does not support JSON response formats`);
+  }
+  if (stream && !capabilities.streaming) {
+    throw new Error(`${provider} does not support streaming`);
+  }
+};
+
+/**
+ * Warns about requests that use a feature the model registry marks as unsupported
+ * The registry is built from a collected snapshot that can be outdated, so the
+ * request is still sent. Models with unknown capabilities are not checked
+ * @param {Object} validatedData - The validated input data
+ * @param {Array<string>} warnings - Receives a warning per unsupported feature
+ */
+const check_model_capabilities = (validatedData, warnings) => {
+  const { provider, model } = validatedData;
+  const modelInfo = get_model_info(provider, model);
+  if (!modelInfo) {
+    return;
+  }
+
+  if (validatedData.tools?.length > 0 && modelInfo.supportsTools === false) {
+    warnings.push(`${provider} model ${model} is listed in the model registry as not supporting tool calls`);
+  }
+  const responseType = validatedData.responseFormat?.type;
+  if ((responseType === 'json_object' || responseType === 'json_schema') && modelInfo.supportsJsonMode === false) {
+    warnings.push(`${provider} model ${model} is listed in the model registry as not supporting JSON response formats`);
+  }
+};
+
+/**
+ * Builds the axios request configuration from schema-validated input
+ * @param {Object} parsedData - Output of the request schema
+ * @param {Object} options - Request options (see create_request)
  * @returns {Object} Axios request configuration object
  */
-const create_request = (schema, data, options = {}) => {
-  const validatedData = schema.parse(data);
+const build_request = (parsedData, options) => {
+  // Schemas wrapped with with_parameter_limits in clamp mode return their warnings with the input
+  const { warnings: schemaWarnings = [], ...parsed } = parsedData;
+  const warnings = [...schemaWarnings];
+  const validatedData = options.parameterLimits
+    ? apply_parameter_limits(parsed, options.parameterLimits, warnings)
+    : parsed;
 
   // Check if this is a batch processing request
   if (validatedData.batch?.enabled) {
@@ -376,6 +562,7 @@ const create_request = (schema, data, options = {}) => {
   // Validate API key requirements
   const requiresApiKey = [
     'openai',
+    'azure-openai',
     'anthropic',
     'google',
     'together',
@@ -386,60 +573,179 @@ const create_request = (schema, data, options = {}) => {
     'grok',
     'openrouter'
   ];
-  if (requiresApiKey.includes(validatedData.provider) && !validatedData.apiKey) {
+  const requiresCustomApiKey = get_custom_provider(validatedData.provider)?.auth.required;
+  if ((requiresApiKey.includes(validatedData.provider) || requiresCustomApiKey) && !validatedData.apiKey) {
     throw new Error(`API key is required for provider: ${validatedData.provider}`);
   }
+  check_provider_capabilities(validatedData);
+  check_model_capabilities(validatedData, warnings);
 
   // Return request configuration directly
-  const finalUrl = options.url || get_default_url(validatedData.provider, validatedData.model);
+  const finalUrl = options.url || get_default_url(
+    validatedData.provider,
+    validatedData.model,
+    validatedData.stream,
+    validatedData.huggingfaceRouter,
+    {
+      resource: validatedData.azureResource,
+      deployment: validatedData.azureDeployment,
+      apiVersion: validatedData.azureApiVersion
+    }
+  );
+  // Registered URLs of providers with allowPrivateNetwork may be internal, overrides may not
+  const allowPrivateNetwork = !options.url && get_custom_provider(validatedData.provider)?.allowPrivateNetwork;
   return {
     method: options.method || 'POST',
-    url: validateUrl(finalUrl),
-    data: extract_api_payload(validatedData),
+    url: validateUrl(finalUrl, { allowPrivateNetwork }),
+    data: create_provider_payload(validatedData, warnings),
     headers: {
       ...create_provider_headers(validatedData),
       ...options.headers // Allow overriding provider headers
-    }
+    },
+    ...(warnings.length > 0 && { warnings })
   };
 };
 
+/**
+ * Creates an axios request configuration from a Zod schema and input data
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Additional request options
+ * @param {string} options.url - The request URL (optional, will use provider default if not specified)
+ * @param {string} options.method - HTTP method (default: 'POST')
+ * @param {Object} options.headers - Additional headers (will override provider headers)
+ * @param {'reject'|'clamp'} options.parameterLimits - Apply the provider and model parameter
+ *   ranges (see parameter_limits.js): reject out-of-range values or clamp them with a warning
+ * @returns {Object} Axios request configuration object, with a warnings array when
+ *   the payload was rewritten for model compatibility, parameters were clamped or the
+ *   model registry lists a requested feature as unsupported
+ */
+const create_request = (schema, data, options = {}) =>
+  build_request(schema.parse(data), options);
+
+/**
+ * Sends a request, waiting for cold Hugging Face models to load
+ * The Inference API returns 503 with { error: 'Model ... is currently loading', estimated_time }
+ * while a model is being loaded; the request is retried after the estimated time,
+ * asking the API to hold the connection until the model is ready.
+ * Streamed error bodies are read first so estimated_time is available for streams too
+ * @param {Object} requestConfig - Axios request configuration
+ * @param {string} provider - The provider name
+ * @returns {Promise<Object>} Axios response
+ */
+const send_request = async (requestConfig, provider) => {
+  let config = requestConfig;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios(config);
+    } catch (caught) {
+      // Streamed requests get the 503 body as an unread stream, estimated_time is inside it
+      const error = provider === 'huggingface' && caught.response?.status === 503
+        ? await read_stream_error_body(caught)
+        : caught;
+      const estimatedTime = error.response?.data?.estimated_time;
+      const isModelLoading = provider === 'huggingface' &&
+        error.response?.status === 503 &&
+        typeof estimatedTime === 'number';
+
+      if (!isModelLoading || attempt >= HUGGINGFACE_LOADING_RETRIES) {
+        throw error;
+      }
+
+      await sleep(Math.min(estimatedTime, HUGGINGFACE_MAX_LOADING_WAIT_SECONDS) * 1000);
+      if (config.data?.inputs !== undefined) {
+        config = {
+          ...config,
+          data: { ...config.data, options: { ...config.data.options, wait_for_model: true } }
+        };
+      }
+    }
+  }
+};
+
+/**
+ * Converts a request failure into an error that doesn't leak sensitive information
+ * @param {Error} error - Error thrown while building or sending the request
+ * @returns {Error} Sanitized error (HTTP errors keep status, body and headers, Azure content filter
+ *   errors also get contentFilter)
+ */
+const sanitize_request_error = (error) => {
+  if (error.response) {
+    // HTTP error response - preserve status and basic info, sanitize details
+    const sanitizedError = new Error(`HTTP ${error.response.status}: Request failed`);
+    sanitizedError.response = {
+      status: error.response.status,
+      statusText: error.response.statusText,
+      data: error.response.data,
+      headers: error.response.headers
+    };
+    // Azure OpenAI rejects filtered prompts with HTTP 400, report the categories like on success
+    const contentFilter = normalize_content_filter_error(error.response.data);
+    if (contentFilter) {
+      sanitizedError.contentFilter = contentFilter;
+    }
+    return sanitizedError;
+  } else if (error.request) {
+    // Network error - don't expose internal network details
+    return new Error('Network error: Unable to reach the API endpoint');
+  } else if (error.name === 'ZodError') {
+    // Schema validation error - safe to expose
+    return error;
+  } else if (error.code && ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT'].includes(error.code)) {
+    // Network-related errors
+    return new Error('Network error: Unable to reach the API endpoint');
+  } else {
+    // Other errors - sanitize message
+    return new Error(`Request failed: ${error.message}`);
+  }
+};
+
 /**
  * Creates and executes an axios request from a schema with proper error handling
+ *
+ * Chat responses are normalized via normalize_response so every provider returns
+ * { text, role, toolCalls, finishReason, usage, model, provider, raw }.
+ * Streaming requests are consumed and accumulated into the same shape, so turning
+ * streaming on does not change what callers receive. With a json_schema
+ * responseFormat the reply is also parsed and validated into `parsed`.
+ * When the payload was rewritten for model compatibility the result carries
+ * the create_request warnings.
+ * Batch requests resolve with the axios response unchanged.
+ *
  * @param {z.ZodSchema} schema - The Zod schema to validate input against
  * @param {Object} data - The input data to validate and convert
  * @param {Object} options - Request options (url, method, headers, etc.)
- * @returns {Promise} Axios response promise
+ * @returns {Promise<Object>} Normalized chat result, or axios response for batch requests
  * @throws {Error} Sanitized error messages that don't leak sensitive information
  */
 const execute_request = async (schema, data, options = {}) => {
   try {
-    const requestConfig = create_request(schema, data, options);
-    return await axios(requestConfig);
-  } catch (error) {
-    // Sanitize error messages to prevent information leakage
-    if (error.response) {
-      // HTTP error response - preserve status and basic info, sanitize details
-      const sanitizedError = new Error(`HTTP ${error.response.status}: Request failed`);
-      sanitizedError.response = {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data,
-        headers: error.response.headers
-      };
-      throw sanitizedError;
-    } else if (error.request) {
-      // Network error - don't expose internal network details
-      throw new Error('Network error: Unable to reach the API endpoint');
-    } else if (error.name === 'ZodError') {
-      // Schema validation error - safe to expose
-      throw error;
-    } else if (error.code && ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT'].includes(error.code)) {
-      // Network-related errors
-      throw new Error('Network error: Unable to reach the API endpoint');
-    } else {
-      // Other errors - sanitize message
-      throw new Error(`Request failed: ${error.message}`);
+    const validatedData = schema.parse(data);
+    const requestConfig = build_request(validatedData, options);
+    const { provider, model, responseFormat } = validatedData;
+    const isStreaming = validatedData.stream && !validatedData.batch?.enabled;
+    const response = await send_request(
+      isStreaming ? { ...requestConfig, responseType: 'stream' } : requestConfig,
+      provider
+    );
+
+    if (validatedData.batch?.enabled) {
+      return response;
+    }
+    let result = isStreaming
+      ? await accumulate_stream(
+        parse_stream(get_stream_format(validatedData), response.data, { model }),
+        { provider, model }
+      )
+      : normalize_response(provider, response.data, model);
+
+    if (responseFormat?.type === 'json_schema') {
+      result = parse_structured_output(result, responseFormat);
     }
+    return requestConfig.warnings ? { ...result, warnings: requestConfig.warnings } : result;
+  } catch (error) {
+    throw sanitize_request_error(await read_stream_error_body(error));
   }
 };
 
@@ -450,5 +756,9 @@ module.exports = {
   get_default_url,
   create_batch_request,
   create_batch_jsonl,
-  extract_api_payload
+  extract_api_payload,
+  create_provider_payload,
+  send_request,
+  sanitize_request_error,
+  validateUrl
 };
@@ -1,6 +1,7 @@
 const { z } = require('zod');
-const { create_request, extract_api_payload } = require('./create_request');
+const { create_request, extract_api_payload, create_batch_jsonl } = require('./create_request');
 const { llm_input_schema } = require('./llm_schema');
+const { register_model_info } = require('./model_registry');
 
 // Base API payload (what gets sent to APIs) - now in correct snake_case format
 const basePayload = {
@@ -54,7 +55,172 @@ describe('create_request', () => {
         headers: {
           'Content-Type': 'application/json',
           'x-api-key': 'test-key-123',
-          'anthropic-version': '2025-05-22'
+          'anthropic-version': '2023-06-01'
+        }
+      });
+    });
+
+    it('should send the documented anthropic-version header', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'anthropic',
+        model: 'claude-3-5-haiku-20241022'
+      });
+
+      expect(requestConfig.headers['anthropic-version']).toBe('2023-06-01');
+    });
+
+    it('should create Azure OpenAI deployment requests', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'azure-openai',
+        azureResource: 'contoso',
+        azureDeployment: 'gpt4-prod'
+      });
+
+      expect(requestConfig).toEqual({
+        method: 'POST',
+        url: 'https://contoso.openai.azure.com/openai/deployments/gpt4-prod/chat/completions?api-version=2024-10-21',
+        data: basePayload,
+        headers: {
+          'Content-Type': 'application/json',
+          'api-key': 'test-key-123'
+        }
+      });
+    });
+
+    it('should use the model as Azure deployment and support Entra ID tokens', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'azure-openai',
+        azureResource: 'contoso',
+        azureApiVersion: '2025-01-01-preview',
+        azureAuth: 'bearer'
+      });
+
+      expect(requestConfig.url).toBe(
+        'https://contoso.openai.azure.com/openai/deployments/gpt-4/chat/completions?api-version=2025-01-01-preview'
+      );
+      expect(requestConfig.headers).toEqual({
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer test-key-123'
+      });
+    });
+
+    it('should require an Azure resource unless a URL is given', () => {
+      const azureInput = { ...baseWithApiKey, provider: 'azure-openai' };
+
+      expect(() => create_request(llm_input_schema, azureInput))
+        .toThrow('azureResource is required for provider: azure-openai');
+      expect(() => create_request(llm_input_schema, { ...azureInput, azureResource: 'contoso.evil.com/x' })).toThrow();
+      expect(create_request(llm_input_schema, azureInput, { url: 'https://proxy.contoso.com/chat' }).url)
+        .toBe('https://proxy.contoso.com/chat');
+    });
+
+    it('should translate system prompts and stop sequences for Anthropic', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        provider: 'anthropic',
+        apiKey: 'test-key-123',
+        model: 'claude-3-5-sonnet-20241022',
+        messages: [
+          { role: 'system', content: 'You are a helpful assistant.' },
+          { role: 'user', content: 'Hello' },
+          { role: 'user', content: 'Are you there?' }
+        ],
+        stop: ['END'],
+        tools: [{
+          type: 'function',
+          function: { name: 'get_weather', parameters: { type: 'object', properties: {} } }
+        }]
+      });
+
+      expect(requestConfig.data).toEqual({
+        model: 'claude-3-5-sonnet-20241022',
+        max_tokens: 1024,
+        system: 'You are a helpful assistant.',
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Hello' },
+            { type: 'text', text: 'Are you there?' }
+          ]
+        }],
+        stop_sequences: ['END'],
+        tools: [{ name: 'get_weather', input_schema: { type: 'object', properties: {} } }]
+      });
+    });
+
+    it('should create Google Gemini generateContent request', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        provider: 'google',
+        apiKey: 'test-key-123',
+        model: 'gemini-1.5-flash',
+        messages: [
+          { role: 'system', content: 'You are a helpful assistant.' },
+          { role: 'user', content: 'Hello' }
+        ],
+        maxTokens: 1000,
+        temperature: 0.7,
+        stop: ['END']
+      });
+
+      expect(requestConfig).toEqual({
+        method: 'POST',
+        url: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent',
+        data: {
+          contents: [{ role: 'user', parts: [{ text: 'Hello' }] }],
+          systemInstruction: { parts: [{ text: 'You are a helpful assistant.' }] },
+          generationConfig: {
+            maxOutputTokens: 1000,
+            temperature: 0.7,
+            stopSequences: ['END']
+          }
+        },
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': 'test-key-123'
+        }
+      });
+    });
+
+    it('should use the streamGenerateContent URL for streaming Gemini requests', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        provider: 'google',
+        apiKey: 'test-key-123',
+        model: 'gemini-1.5-flash',
+        messages: [{ role: 'user', content: 'Hello' }],
+        stream: true
+      });
+
+      expect(requestConfig.url).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:streamGenerateContent?alt=sse'
+      );
+      expect(requestConfig.data.stream).toBeUndefined();
+    });
+
+    it('should create native Ollama /api/chat request', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        provider: 'ollama',
+        model: 'llama3.2',
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 100,
+        temperature: 0.2,
+        numCtx: 4096,
+        keepAlive: '5m'
+      });
+
+      expect(requestConfig).toEqual({
+        method: 'POST',
+        url: 'http://localhost:11434/api/chat',
+        data: {
+          model: 'llama3.2',
+          messages: [{ role: 'user', content: 'Hello' }],
+          stream: false,
+          options: { num_predict: 100, temperature: 0.2, num_ctx: 4096 },
+          keep_alive: '5m'
+        },
+        headers: {
+          'Content-Type': 'application/json'
         }
       });
     });
@@ -89,7 +255,14 @@ describe('create_request', () => {
       expect(requestConfig).toEqual({
         method: 'POST',
         url: 'https://api-inference.huggingface.co/models/gpt-4',
-        data: basePayload,
+        data: {
+          inputs: 'User: Hello, how are you?\n\nAssistant:',
+          parameters: {
+            max_new_tokens: 1000,
+            temperature: 0.7,
+            return_full_text: false
+          }
+        },
         headers: {
           'Content-Type': 'application/json',
           'Authorization': 'Bearer test-key-123'
@@ -97,6 +270,21 @@ describe('create_request', () => {
       });
     });
 
+    it('should send Hugging Face router requests in OpenAI format', () => {
+      const requestConfig = create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'huggingface',
+        model: 'meta-llama/Llama-3.1-8B-Instruct',
+        huggingfaceRouter: true
+      });
+
+      expect(requestConfig.url).toBe('https://router.huggingface.co/v1/chat/completions');
+      expect(requestConfig.data).toEqual({
+        ...basePayload,
+        model: 'meta-llama/Llama-3.1-8B-Instruct'
+      });
+    });
+
     it('should create DeepSeek-compatible request', () => {
       const requestConfig = create_request(llm_input_schema, {
         ...baseWithApiKey,
@@ -260,6 +448,7 @@ describe('create_request', () => {
         temperature: 0.8,
         top_p: 0.9,
         stream: true,
+        stream_options: { include_usage: true },
         stop: ['\\n', 'END'],
         presence_penalty: 0.1,
         frequency_penalty: -0.1,
@@ -332,6 +521,74 @@ describe('create_request', () => {
         });
       }).not.toThrow();
     });
+
+    it('should translate toolChoice and parallelToolCalls per provider', () => {
+      const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: {} } } }];
+      const input = { ...baseWithApiKey, tools, toolChoice: { name: 'get_weather' }, parallelToolCalls: false };
+
+      const openaiRequest = create_request(llm_input_schema, { ...input, provider: 'openai' });
+      expect(openaiRequest.data.tool_choice).toEqual({ type: 'function', function: { name: 'get_weather' } });
+      expect(openaiRequest.data.parallel_tool_calls).toBe(false);
+
+      const anthropicRequest = create_request(llm_input_schema, { ...input, provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' });
+      expect(anthropicRequest.data.tool_choice).toEqual({ type: 'tool', name: 'get_weather', disable_parallel_tool_use: true });
+
+      const googleRequest = create_request(llm_input_schema, { ...input, provider: 'google', model: 'gemini-1.5-flash' });
+      expect(googleRequest.data.toolConfig).toEqual({
+        functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['get_weather'] }
+      });
+    });
+
+    it('should reject unknown toolChoice values', () => {
+      expect(() => {
+        create_request(llm_input_schema, { ...baseWithApiKey, provider: 'openai', toolChoice: 'always' });
+      }).toThrow();
+    });
+
+    it('should send tool-call round-trips in each provider format', () => {
+      const messages = [
+        { role: 'user', content: 'Weather in Paris?' },
+        {
+          role: 'assistant',
+          content: null,
+          toolCalls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+        },
+        { role: 'tool', content: '18°C', toolCallId: 'call_1' }
+      ];
+
+      const openaiRequest = create_request(llm_input_schema, { ...baseWithApiKey, provider: 'openai', messages });
+      expect(openaiRequest.data.messages.slice(1)).toEqual([
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+        },
+        { role: 'tool', content: '18°C', tool_call_id: 'call_1' }
+      ]);
+
+      const anthropicRequest = create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'anthropic',
+        model: 'claude-3-5-sonnet-20241022',
+        messages
+      });
+      expect(anthropicRequest.data.messages[1].content[0]).toEqual({
+        type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' }
+      });
+      expect(anthropicRequest.data.messages[2].content[0]).toEqual({
+        type: 'tool_result', tool_use_id: 'call_1', content: '18°C'
+      });
+
+      const googleRequest = create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'google',
+        model: 'gemini-1.5-flash',
+        messages
+      });
+      expect(googleRequest.data.contents[2].parts[0]).toEqual({
+        functionResponse: { name: 'get_weather', response: { result: '18°C' } }
+      });
+    });
   });
 
   describe('should handle edge cases', () => {
@@ -364,6 +621,76 @@ describe('create_request', () => {
     });
   });
 
+  describe('should consult the model registry', () => {
+    const tool = { type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: {} } } };
+
+    it('should warn about tools and JSON mode for models marked as unsupported and still send them', () => {
+      register_model_info('openrouter', 'example/no-tools', { supportsTools: false, supportsJsonMode: false });
+      const input = { ...baseWithApiKey, provider: 'openrouter', model: 'example/no-tools' };
+
+      const toolRequest = create_request(llm_input_schema, { ...input, tools: [tool] });
+      expect(toolRequest.data.tools).toHaveLength(1);
+      expect(toolRequest.warnings).toEqual([
+        'openrouter model example/no-tools is listed in the model registry as not supporting tool calls'
+      ]);
+      expect(create_request(llm_input_schema, { ...input, responseFormat: { type: 'json_object' } }).warnings).toEqual([
+        'openrouter model example/no-tools is listed in the model registry as not supporting JSON response formats'
+      ]);
+      expect(create_request(llm_input_schema, input)).not.toHaveProperty('warnings');
+    });
+
+    it('should not check models with unknown capabilities', () => {
+      expect(create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'openrouter',
+        model: 'example/unknown-model',
+        tools: [tool]
+      })).not.toHaveProperty('warnings');
+    });
+
+    it('should not read the registry while building requests', () => {
+      const fs = require('fs');
+      const readSpy = jest.spyOn(fs, 'readFileSync');
+
+      create_request(llm_input_schema, { ...baseWithApiKey, provider: 'openrouter', model: 'openai/gpt-4o', tools: [tool] });
+
+      expect(readSpy).not.toHaveBeenCalled();
+      readSpy.mockRestore();
+    });
+  });
+
+  describe('should rewrite requests for reasoning models', () => {
+    it('should rewrite o-series payloads and return the warnings', () => {
+      const request = create_request(llm_input_schema, {
+        ...baseWithApiKey,
+        provider: 'openai',
+        model: 'o3-mini',
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello' }],
+        topP: 0.9
+      });
+
+      expect(request.data).toEqual({
+        model: 'o3-mini',
+        messages: [{ role: 'developer', content: 'Be brief' }, { role: 'user', content: 'Hello' }],
+        max_completion_tokens: 1000,
+        stream: false
+      });
+      expect(request.warnings).toEqual([
+        'openai model o3-mini: max_tokens sent as max_completion_tokens',
+        'openai model o3-mini: temperature is not supported and was dropped',
+        'openai model o3-mini: top_p is not supported and was dropped',
+        'openai model o3-mini: system messages sent as developer messages'
+      ]);
+    });
+
+    it('should leave other models unchanged', () => {
+      const request = create_request(llm_input_schema, { ...baseWithApiKey, provider: 'openai' });
+
+      expect(request.data).toEqual(basePayload);
+      expect(request).not.toHaveProperty('warnings');
+    });
+  });
+
   describe('should handle batch processing for supported providers', () => {
     it('should create OpenAI batch request', () => {
       const requestConfig = create_request(llm_input_schema, {
@@ -422,7 +749,7 @@ describe('create_request', () => {
         headers: {
           'Content-Type': 'application/json',
           'x-api-key': 'test-key-123',
-          'anthropic-version': '2025-05-22',
+          'anthropic-version': '2023-06-01',
           'anthropic-beta': 'message-batches-2024-09-24'
         }
       });
@@ -631,7 +958,7 @@ describe('create_request', () => {
         headers: {
           'Content-Type': 'application/json',
           'x-api-key': 'sk-ant-test123',
-          'anthropic-version': '2025-05-22',
+          'anthropic-version': '2023-06-01',
           'anthropic-beta': 'message-batches-2024-09-24'
         }
       });
@@ -1104,6 +1431,41 @@ describe('extract_api_payload', () => {
       });
     });
 
+    describe('Compatibility profiles', () => {
+      it('should append rewrites to the warnings array', () => {
+        const warnings = [];
+        const result = extract_api_payload({
+          provider: 'gh-models',
+          model: 'openai/o1',
+          messages: [{ role: 'user', content: 'Test' }],
+          maxTokens: 100,
+          presencePenalty: 0.5
+        }, warnings);
+
+        expect(result).toEqual({
+          model: 'openai/o1',
+          messages: [{ role: 'user', content: 'Test' }],
+          max_completion_tokens: 100
+        });
+        expect(warnings).toEqual([
+          'gh-models model openai/o1: max_tokens sent as max_completion_tokens',
+          'gh-models model openai/o1: presence_penalty is not supported and was dropped'
+        ]);
+      });
+
+      it('should fold system messages into the first user message for o1-mini', () => {
+        const warnings = [];
+        const result = extract_api_payload({
+          provider: 'openai',
+          model: 'o1-mini',
+          messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Test' }]
+        }, warnings);
+
+        expect(result.messages).toEqual([{ role: 'user', content: 'Be brief\n\nTest' }]);
+        expect(warnings).toEqual(['openai model o1-mini: system messages folded into the first user message']);
+      });
+    });
+
     describe('Future-proofing tests', () => {
       it('should handle future schema additions gracefully', () => {
         const inputData = {
@@ -1162,3 +1524,41 @@ describe('extract_api_payload', () => {
       });
     });
   });
+
+describe('create_batch_jsonl', () => {
+  const messages = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello' }];
+
+  it('should write one chat request per line', () => {
+    const lines = create_batch_jsonl([
+      { customId: 'req-1', provider: 'openai', model: 'gpt-4o', messages, maxTokens: 100, temperature: 0.5 }
+    ]).split('\n').map(line => JSON.parse(line));
+
+    expect(lines).toEqual([{
+      custom_id: 'req-1',
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: { model: 'gpt-4o', messages, max_tokens: 100, temperature: 0.5 }
+    }]);
+  });
+
+  it('should apply compatibility profiles and report each rewrite', () => {
+    const warnings = [];
+    const lines = create_batch_jsonl([
+      { customId: 'req-1', provider: 'openai', model: 'o3-mini', messages, maxTokens: 100, temperature: 0.5 },
+      { customId: 'req-2', provider: 'openai', model: 'o1-mini', messages }
+    ], warnings).split('\n').map(line => JSON.parse(line));
+
+    expect(lines[0].body).toEqual({
+      model: 'o3-mini',
+      messages: [{ role: 'developer', content: 'Be brief' }, { role: 'user', content: 'Hello' }],
+      max_completion_tokens: 100
+    });
+    expect(lines[1].body.messages).toEqual([{ role: 'user', content: 'Be brief\n\nHello' }]);
+    expect(warnings).toEqual([
+      'req-1: openai model o3-mini: max_tokens sent as max_completion_tokens',
+      'req-1: openai model o3-mini: temperature is not supported and was dropped',
+      'req-1: openai model o3-mini: system messages sent as developer messages',
+      'req-2: openai model o1-mini: system messages folded into the first user message'
+    ]);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Embeddings Module
+ *
+ * Builds and executes embedding requests for every provider with an embeddings
+ * API and normalizes the responses into { vectors, dimensions, usage }.
+ *
+ * Inputs are split into chunks no larger than the provider's batch limit; each
+ * chunk is one request and the vectors are merged back in input order.
+ */
+
+const {
+  create_provider_headers,
+  send_request,
+  sanitize_request_error,
+  validateUrl
+} = require('./create_request');
+const {
+  getEmbeddingEndpoint,
+  getGoogleEmbeddingUrl,
+  getHuggingFaceUrl
+} = require('./config/url_config');
+
+/**
+ * Maximum number of inputs per embedding request
+ */
+const EMBEDDING_BATCH_LIMITS = {
+  openai: 2048,
+  together: 128,
+  siliconflow: 32,
+  google: 100,
+  huggingface: 32,
+  ollama: 128
+};
+
+/**
+ * Providers that accept embedding requests without an API key
+ */
+const OPTIONAL_API_KEY_PROVIDERS = ['huggingface', 'ollama'];
+
+/**
+ * Splits an array into chunks of at most size items
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} Chunks in order
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Builds the URL of an embedding request
+ * @param {Object} validatedData - The validated embedding input
+ * @param {number} inputCount - Number of inputs in the request
+ * @returns {string} Request URL
+ */
+const get_embedding_url = (validatedData, inputCount) => {
+  switch (validatedData.provider) {
+    case 'google':
+      return getGoogleEmbeddingUrl(validatedData.model, inputCount > 1);
+    case 'huggingface':
+      return getHuggingFaceUrl(validatedData.model);
+    default:
+      return getEmbeddingEndpoint(validatedData.provider);
+  }
+};
+
+/**
+ * Builds the request body of an embedding request
+ * @param {Object} validatedData - The validated embedding input
+ * @param {Array<string>} inputs - Inputs of this request
+ * @returns {Object} Provider request body
+ */
+const create_embedding_payload = (validatedData, inputs) => {
+  const { provider, model, dimensions, taskType } = validatedData;
+
+  switch (provider) {
+    case 'google': {
+      const to_request = (text) => ({
+        ...(inputs.length > 1 && { model: `models/${model.replace(/^models\//, '')}` }),
+        content: { parts: [{ text }] },
+        ...(taskType && { taskType }),
+        ...(dimensions && { outputDimensionality: dimensions })
+      });
+      return inputs.length > 1 ? { requests: inputs.map(to_request) } : to_request(inputs[0]);
+    }
+
+    case 'huggingface':
+      return { inputs };
+
+    case 'ollama':
+      return { model, input: inputs, ...(dimensions && { dimensions }) };
+
+    default:
+      return {
+        model,
+        input: inputs,
+        encoding_format: 'float',
+        ...(dimensions && { dimensions })
+      };
+  }
+};
+
+/**
+ * Averages token embeddings into one vector
+ * Some Hugging Face feature-extraction models return one vector per token
+ * @param {Array<Array<number>>} tokens - Token vectors
+ * @returns {Array<number>} Mean vector
+ */
+const mean_pool = (tokens) => {
+  const sums = new Array(tokens[0].length).fill(0);
+  for (const token of tokens) {
+    token.forEach((value, i) => {
+      sums[i] += value;
+    });
+  }
+  return sums.map(sum => sum / tokens.length);
+};
+
+/**
+ * Normalizes an embedding response into vectors and usage
+ * @param {string} provider - The provider name
+ * @param {Object|Array} payload - Response body
+ * @returns {Object} { vectors, usage } where usage is null when the provider does not report it
+ */
+const normalize_embedding_response = (provider, payload) => {
+  switch (provider) {
+    case 'google':
+      return {
+        vectors: payload.embeddings
+          ? payload.embeddings.map(embedding => embedding.values)
+          : [payload.embedding.values],
+        usage: null
+      };
+
+    case 'huggingface': {
+      const vectors = Array.isArray(payload[0]) ? payload : [payload];
+      return {
+        vectors: vectors.map(vector => (Array.isArray(vector[0]) ? mean_pool(vector) : vector)),
+        usage: null
+      };
+    }
+
+    case 'ollama':
+      return {
+        vectors: payload.embeddings,
+        usage: payload.prompt_eval_count !== undefined
+          ? { inputTokens: payload.prompt_eval_count, totalTokens: payload.prompt_eval_count }
+          : null
+      };
+
+    default:
+      return {
+        vectors: [...payload.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+        usage: payload.usage
+          ? { inputTokens: payload.usage.prompt_tokens, totalTokens: payload.usage.total_tokens }
+          : null
+      };
+  }
+};
+
+/**
+ * Builds the axios request configurations from validated input, one per chunk of inputs
+ * @param {Object} validatedData - The validated embedding input
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Array<Object>} Axios request configurations, in input order
+ */
+const build_embedding_requests = (validatedData, options) => {
+  if (!OPTIONAL_API_KEY_PROVIDERS.includes(validatedData.provider) && !validatedData.apiKey) {
+    throw new Error(`API key is required for provider: ${validatedData.provider}`);
+  }
+
+  const inputs = Array.isArray(validatedData.input) ? validatedData.input : [validatedData.input];
+  const headers = {
+    ...create_provider_headers(validatedData),
+    ...options.headers
+  };
+
+  return chunk(inputs, EMBEDDING_BATCH_LIMITS[validatedData.provider]).map(chunkInputs => ({
+    method: 'POST',
+    url: validateUrl(options.url || get_embedding_url(validatedData, chunkInputs.length)),
+    data: create_embedding_payload(validatedData, chunkInputs),
+    headers
+  }));
+};
+
+/**
+ * Creates the axios request configurations for an embedding input
+ * One configuration is returned per chunk of inputs under the provider's batch limit
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (embedding_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Array<Object>} Axios request configurations, in input order
+ * @throws {Error} When validation fails or a required API key is missing
+ *
+ * @example
+ * create_embedding_request(embedding_input_schema, {
+ *   provider: 'openai',
+ *   apiKey: 'sk-...',
+ *   model: 'text-embedding-3-small',
+ *   input: ['first text', 'second text']
+ * });
+ * // Returns: [{ method: 'POST', url: 'https://api.openai.com/v1/embeddings',
+ * //             data: { model, input: [...], encoding_format: 'float' }, headers }]
+ */
+const create_embedding_request = (schema, data, options = {}) =>
+  build_embedding_requests(schema.parse(data), options);
+
+/**
+ * Creates and executes embedding requests and merges the results
+ * Chunks are sent one after another to stay within provider rate limits
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (embedding_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Promise<Object>} { vectors, dimensions, usage, model, provider, raw }
+ *   where usage is { inputTokens, totalTokens } summed over chunks, or null
+ * @throws {Error} Sanitized error messages that don't leak sensitive information
+ */
+const execute_embedding = async (schema, data, options = {}) => {
+  try {
+    const validatedData = schema.parse(data);
+    const requests = build_embedding_requests(validatedData, options);
+    const vectors = [];
+    const raw = [];
+    let usage = null;
+
+    for (const requestConfig of requests) {
+      const response = await send_request(requestConfig, validatedData.provider);
+      const normalized = normalize_embedding_response(validatedData.provider, response.data);
+
+      vectors.push(...normalized.vectors);
+      raw.push(response.data);
+      if (normalized.usage) {
+        usage = {
+          inputTokens: (usage?.inputTokens || 0) + normalized.usage.inputTokens,
+          totalTokens: (usage?.totalTokens || 0) + normalized.usage.totalTokens
+        };
+      }
+    }
+
+    return {
+      vectors,
+      dimensions: vectors.length > 0 ? vectors[0].length : 0,
+      usage,
+      model: validatedData.model,
+      provider: validatedData.provider,
+      raw
+    };
+  } catch (error) {
+    throw sanitize_request_error(error);
+  }
+};
+
+module.exports = {
+  EMBEDDING_BATCH_LIMITS,
+  create_embedding_payload,
+  normalize_embedding_response,
+  create_embedding_request,
+  execute_embedding
+};
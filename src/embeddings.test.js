@@ -0,0 +1,174 @@
+const axios = require('axios');
+const { embedding_input_schema } = require('./llm_schema');
+const {
+  EMBEDDING_BATCH_LIMITS,
+  create_embedding_request,
+  normalize_embedding_response,
+  execute_embedding
+} = require('./embeddings');
+
+jest.mock('axios');
+
+describe('embeddings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create_embedding_request', () => {
+    it('should build OpenAI-compatible requests', () => {
+      const [request] = create_embedding_request(embedding_input_schema, {
+        provider: 'openai',
+        apiKey: 'test-key',
+        model: 'text-embedding-3-small',
+        input: 'Hello',
+        dimensions: 256
+      });
+
+      expect(request).toEqual({
+        method: 'POST',
+        url: 'https://api.openai.com/v1/embeddings',
+        data: { model: 'text-embedding-3-small', input: ['Hello'], encoding_format: 'float', dimensions: 256 },
+        headers: expect.objectContaining({ Authorization: 'Bearer test-key' })
+      });
+    });
+
+    it('should chunk inputs under the provider batch limit', () => {
+      const input = Array.from({ length: EMBEDDING_BATCH_LIMITS.siliconflow * 2 + 1 }, (_, i) => `text ${i}`);
+      const requests = create_embedding_request(embedding_input_schema, {
+        provider: 'siliconflow',
+        apiKey: 'test-key',
+        model: 'BAAI/bge-m3',
+        input
+      });
+
+      expect(requests.map(request => request.data.input.length)).toEqual([32, 32, 1]);
+      expect(requests[2].data.input).toEqual([input[64]]);
+    });
+
+    it('should use embedContent for one input and batchEmbedContents for several on Google', () => {
+      const base = { provider: 'google', apiKey: 'test-key', model: 'text-embedding-004', taskType: 'RETRIEVAL_QUERY' };
+
+      const [single] = create_embedding_request(embedding_input_schema, { ...base, input: 'Hello' });
+      expect(single.url).toBe('https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent');
+      expect(single.data).toEqual({ content: { parts: [{ text: 'Hello' }] }, taskType: 'RETRIEVAL_QUERY' });
+      expect(single.headers['x-goog-api-key']).toBe('test-key');
+
+      const [batch] = create_embedding_request(embedding_input_schema, { ...base, input: ['a', 'b'] });
+      expect(batch.url).toBe('https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:batchEmbedContents');
+      expect(batch.data.requests[1]).toEqual({
+        model: 'models/text-embedding-004',
+        content: { parts: [{ text: 'b' }] },
+        taskType: 'RETRIEVAL_QUERY'
+      });
+    });
+
+    it('should build Hugging Face feature-extraction and Ollama /api/embed requests', () => {
+      const [huggingface] = create_embedding_request(embedding_input_schema, {
+        provider: 'huggingface',
+        model: 'sentence-transformers/all-MiniLM-L6-v2',
+        input: ['Hello']
+      });
+      expect(huggingface.url).toBe('https://api-inference.huggingface.co/models/sentence-transformers/all-MiniLM-L6-v2');
+      expect(huggingface.data).toEqual({ inputs: ['Hello'] });
+
+      const [ollama] = create_embedding_request(embedding_input_schema, {
+        provider: 'ollama',
+        model: 'nomic-embed-text',
+        input: ['Hello']
+      });
+      expect(ollama.url).toBe('http://localhost:11434/api/embed');
+      expect(ollama.data).toEqual({ model: 'nomic-embed-text', input: ['Hello'] });
+    });
+
+    it('should require an API key for hosted providers', () => {
+      expect(() => create_embedding_request(embedding_input_schema, {
+        provider: 'together',
+        model: 'BAAI/bge-large-en-v1.5',
+        input: 'Hello'
+      })).toThrow('API key is required for provider: together');
+    });
+
+    it('should reject providers without an embeddings API', () => {
+      expect(() => create_embedding_request(embedding_input_schema, {
+        provider: 'anthropic',
+        apiKey: 'test-key',
+        model: 'claude',
+        input: 'Hello'
+      })).toThrow();
+    });
+  });
+
+  describe('normalize_embedding_response', () => {
+    it('should order OpenAI-compatible vectors by index and read usage', () => {
+      expect(normalize_embedding_response('openai', {
+        data: [{ index: 1, embedding: [0.3, 0.4] }, { index: 0, embedding: [0.1, 0.2] }],
+        usage: { prompt_tokens: 4, total_tokens: 4 }
+      })).toEqual({
+        vectors: [[0.1, 0.2], [0.3, 0.4]],
+        usage: { inputTokens: 4, totalTokens: 4 }
+      });
+    });
+
+    it('should read Google single and batch responses', () => {
+      expect(normalize_embedding_response('google', { embedding: { values: [1, 2] } }).vectors).toEqual([[1, 2]]);
+      expect(normalize_embedding_response('google', { embeddings: [{ values: [1] }, { values: [2] }] }).vectors).toEqual([[1], [2]]);
+    });
+
+    it('should mean-pool Hugging Face token embeddings', () => {
+      expect(normalize_embedding_response('huggingface', [[0.5, 1]]).vectors).toEqual([[0.5, 1]]);
+      expect(normalize_embedding_response('huggingface', [[[1, 2], [3, 4]]]).vectors).toEqual([[2, 3]]);
+    });
+
+    it('should read Ollama embeddings and prompt_eval_count', () => {
+      expect(normalize_embedding_response('ollama', { embeddings: [[1, 2]], prompt_eval_count: 3 })).toEqual({
+        vectors: [[1, 2]],
+        usage: { inputTokens: 3, totalTokens: 3 }
+      });
+    });
+  });
+
+  describe('execute_embedding', () => {
+    it('should merge chunked responses in order and sum usage', async () => {
+      axios
+        .mockResolvedValueOnce({ data: { data: [{ index: 0, embedding: [1, 0, 0] }], usage: { prompt_tokens: 2, total_tokens: 2 } } })
+        .mockResolvedValueOnce({ data: { data: [{ index: 0, embedding: [0, 1, 0] }], usage: { prompt_tokens: 3, total_tokens: 3 } } });
+
+      const input = Array.from({ length: EMBEDDING_BATCH_LIMITS.siliconflow + 1 }, (_, i) => `text ${i}`);
+      const result = await execute_embedding(embedding_input_schema, {
+        provider: 'siliconflow',
+        apiKey: 'test-key',
+        model: 'BAAI/bge-m3',
+        input
+      });
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(result.vectors).toEqual([[1, 0, 0], [0, 1, 0]]);
+      expect(result.dimensions).toBe(3);
+      expect(result.usage).toEqual({ inputTokens: 5, totalTokens: 5 });
+      expect(result.raw).toHaveLength(2);
+    });
+
+    it('should validate the input once and report the validated model', async () => {
+      axios.mockResolvedValueOnce({ data: { data: [{ index: 0, embedding: [1, 0] }] } });
+      const schema = embedding_input_schema.transform(input => ({ ...input, model: 'text-embedding-3-small' }));
+      const parse = jest.spyOn(schema, 'parse');
+
+      const result = await execute_embedding(schema, { provider: 'openai', apiKey: 'test-key', model: 'small', input: 'Hello' });
+
+      expect(parse).toHaveBeenCalledTimes(1);
+      expect(axios.mock.calls[0][0].data.model).toBe('text-embedding-3-small');
+      expect(result).toMatchObject({ model: 'text-embedding-3-small', provider: 'openai' });
+    });
+
+    it('should sanitize HTTP errors', async () => {
+      axios.mockRejectedValueOnce({ response: { status: 401, statusText: 'Unauthorized', data: {}, headers: {} } });
+
+      await expect(execute_embedding(embedding_input_schema, {
+        provider: 'openai',
+        apiKey: 'test-key',
+        model: 'text-embedding-3-small',
+        input: 'Hello'
+      })).rejects.toThrow('HTTP 401: Request failed');
+    });
+  });
+});
@@ -1,5 +1,7 @@
+const { Readable } = require('stream');
 const axios = require('axios');
-const { execute_request } = require('./create_request');
+const { z } = require('zod');
+const { create_request, execute_request } = require('./create_request');
 const { llm_input_schema } = require('./llm_schema');
 
 // Mock axios for controlled testing
@@ -47,8 +49,10 @@ describe('HTTP Mocking Tests', () => {
 
       const response = await execute_request(llm_input_schema, input);
 
-      expect(response.status).toBe(200);
-      expect(response.data.choices[0].message.content).toBe('Hello! How can I help you today?');
+      expect(response.text).toBe('Hello! How can I help you today?');
+      expect(response.finishReason).toBe('stop');
+      expect(response.usage).toEqual({ inputTokens: 9, outputTokens: 12, totalTokens: 21 });
+      expect(response.raw).toBe(mockResponse.data);
       expect(mockedAxios).toHaveBeenCalledWith(
         expect.objectContaining({
           method: 'POST',
@@ -91,15 +95,17 @@ describe('HTTP Mocking Tests', () => {
 
       const response = await execute_request(llm_input_schema, input);
 
-      expect(response.status).toBe(200);
-      expect(response.data.content[0].text).toBe('Hello! How can I assist you?');
+      expect(response.text).toBe('Hello! How can I assist you?');
+      expect(response.finishReason).toBe('stop');
+      expect(response.usage).toEqual({ inputTokens: 10, outputTokens: 15, totalTokens: 25 });
+      expect(response.model).toBe('claude-3-sonnet-20240229');
       expect(mockedAxios).toHaveBeenCalledWith(
         expect.objectContaining({
           method: 'POST',
           url: 'https://api.anthropic.com/v1/messages',
           headers: expect.objectContaining({
             'x-api-key': 'test-key',
-            'anthropic-version': '2025-05-22'
+            'anthropic-version': '2023-06-01'
           })
         })
       );
@@ -108,7 +114,11 @@ describe('HTTP Mocking Tests', () => {
     it('should handle streaming response', async () => {
       const mockStreamResponse = {
         status: 200,
-        data: 'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\ndata: [DONE]\n\n'
+        data: Readable.from([
+          'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":" there"},"finish_reason":"stop"}]}\n\n',
+          'data: [DONE]\n\n'
+        ])
       };
 
       mockedAxios.mockResolvedValueOnce(mockStreamResponse);
@@ -123,9 +133,12 @@ describe('HTTP Mocking Tests', () => {
 
       const response = await execute_request(llm_input_schema, input);
 
-      expect(response.status).toBe(200);
+      expect(response.text).toBe('Hello there');
+      expect(response.finishReason).toBe('stop');
+      expect(response.model).toBe('gpt-4');
       expect(mockedAxios).toHaveBeenCalledWith(
         expect.objectContaining({
+          responseType: 'stream',
           data: expect.objectContaining({
             stream: true
           })
@@ -134,6 +147,155 @@ describe('HTTP Mocking Tests', () => {
     });
   });
 
+  describe('Streaming Usage', () => {
+    it('should ask OpenAI for the usage chunk and report it like a non-streamed reply', async () => {
+      mockedAxios.mockResolvedValueOnce({
+        status: 200,
+        data: Readable.from([
+          'data: {"model":"gpt-4o","choices":[{"delta":{"content":"Hi"},"finish_reason":"stop"}],"usage":null}\n\n',
+          'data: {"model":"gpt-4o","choices":[],"usage":{"prompt_tokens":9,"completion_tokens":1,"total_tokens":10}}\n\n',
+          'data: [DONE]\n\n'
+        ])
+      });
+
+      const response = await execute_request(llm_input_schema, {
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hello' }],
+        stream: true,
+        apiKey: 'test-key'
+      });
+
+      expect(mockedAxios.mock.calls[0][0].data).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+      expect(response.usage).toEqual({ inputTokens: 9, outputTokens: 1, totalTokens: 10 });
+    });
+
+    it('should follow the validated input when the schema sets stream', async () => {
+      mockedAxios.mockResolvedValueOnce({
+        status: 200,
+        data: Readable.from([
+          'data: {"model":"gpt-4o","choices":[{"delta":{"content":"Hi"},"finish_reason":"stop"}]}\n\n',
+          'data: [DONE]\n\n'
+        ])
+      });
+      const streaming_schema = llm_input_schema.transform(input => ({ ...input, stream: true }));
+      const parse = jest.spyOn(streaming_schema, 'parse');
+
+      const response = await execute_request(streaming_schema, {
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hello' }],
+        apiKey: 'test-key'
+      });
+
+      expect(mockedAxios.mock.calls[0][0].responseType).toBe('stream');
+      expect(response).toMatchObject({ text: 'Hi', finishReason: 'stop', provider: 'openai' });
+      expect(parse).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only send stream_options to providers that support it', () => {
+      const streamed = { model: 'sonar', messages: [{ role: 'user', content: 'Hello' }], stream: true, apiKey: 'test-key' };
+
+      expect(create_request(llm_input_schema, { ...streamed, provider: 'perplexity' }).data).not.toHaveProperty('stream_options');
+      expect(create_request(llm_input_schema, { ...streamed, provider: 'openai', stream: false }).data).not.toHaveProperty('stream_options');
+      expect(create_request(llm_input_schema, { ...streamed, provider: 'groq' }).data.stream_options).toEqual({ include_usage: true });
+    });
+  });
+
+  describe('Model Compatibility', () => {
+    it('should return the warnings of rewritten reasoning model requests', async () => {
+      mockedAxios.mockResolvedValueOnce({
+        status: 200,
+        data: {
+          id: 'chatcmpl-456',
+          model: 'o3-mini',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }]
+        }
+      });
+
+      const response = await execute_request(llm_input_schema, {
+        provider: 'openai',
+        model: 'o3-mini',
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 500,
+        temperature: 0.2,
+        apiKey: 'test-key'
+      });
+
+      expect(response.text).toBe('Hi');
+      expect(response.warnings).toEqual([
+        'openai model o3-mini: max_tokens sent as max_completion_tokens',
+        'openai model o3-mini: temperature is not supported and was dropped'
+      ]);
+    });
+  });
+
+  describe('Structured Outputs', () => {
+    const weatherSchema = z.object({ city: z.string(), temperature: z.number() });
+
+    it('should parse and validate json_schema replies', async () => {
+      mockedAxios.mockResolvedValueOnce({
+        status: 200,
+        data: {
+          model: 'gpt-4o',
+          choices: [{ message: { role: 'assistant', content: '{"city":"Paris","temperature":18}' }, finish_reason: 'stop' }]
+        }
+      });
+
+      const response = await execute_request(llm_input_schema, {
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        responseFormat: { type: 'json_schema', schema: weatherSchema },
+        apiKey: 'test-key'
+      });
+
+      expect(response.parsed).toEqual({ city: 'Paris', temperature: 18 });
+      expect(mockedAxios.mock.calls[0][0].data.response_format.json_schema.strict).toBe(true);
+    });
+
+    it('should read Anthropic forced tool calls', async () => {
+      mockedAxios.mockResolvedValueOnce({
+        status: 200,
+        data: {
+          model: 'claude-3-5-sonnet-20241022',
+          content: [{ type: 'tool_use', id: 'toolu_1', name: 'structured_output', input: { city: 'Rome', temperature: 24 } }],
+          stop_reason: 'tool_use'
+        }
+      });
+
+      const response = await execute_request(llm_input_schema, {
+        provider: 'anthropic',
+        model: 'claude-3-5-sonnet-20241022',
+        messages: [{ role: 'user', content: 'Weather in Rome?' }],
+        responseFormat: { type: 'json_schema', schema: weatherSchema },
+        apiKey: 'test-key'
+      });
+
+      expect(response.parsed).toEqual({ city: 'Rome', temperature: 24 });
+      expect(response.toolCalls).toEqual([]);
+      expect(response.finishReason).toBe('stop');
+    });
+
+    it('should reject replies that do not match the schema', async () => {
+      mockedAxios.mockResolvedValueOnce({
+        status: 200,
+        data: {
+          model: 'gpt-4o',
+          choices: [{ message: { role: 'assistant', content: '{"city":"Paris"}' }, finish_reason: 'stop' }]
+        }
+      });
+
+      await expect(execute_request(llm_input_schema, {
+        provider: 'openai',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        responseFormat: { type: 'json_schema', schema: weatherSchema },
+        apiKey: 'test-key'
+      })).rejects.toMatchObject({ name: 'ZodError', issues: [expect.objectContaining({ path: ['temperature'] })] });
+    });
+  });
+
   describe('Error Response Handling', () => {
     it('should handle 401 authentication errors', async () => {
       const mockError = {
@@ -235,6 +397,137 @@ describe('HTTP Mocking Tests', () => {
       });
     });
 
+    it('should report Azure OpenAI content filter errors', async () => {
+      mockedAxios.mockRejectedValueOnce({
+        response: {
+          status: 400,
+          data: {
+            error: {
+              message: 'The response was filtered due to the prompt triggering Azure OpenAI content management policy.',
+              code: 'content_filter',
+              param: 'prompt',
+              status: 400,
+              innererror: {
+                code: 'ResponsibleAIPolicyViolation',
+                content_filter_result: {
+                  hate: { filtered: false, severity: 'safe' },
+                  self_harm: { filtered: false, severity: 'safe' },
+                  violence: { filtered: true, severity: 'medium' },
+                  jailbreak: { filtered: false, detected: false }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      const input = {
+        provider: 'azure-openai',
+        azureResource: 'contoso',
+        azureDeployment: 'gpt-4o',
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hello' }],
+        apiKey: 'test-key'
+      };
+
+      await expect(execute_request(llm_input_schema, input)).rejects.toMatchObject({
+        message: 'HTTP 400: Request failed',
+        response: { status: 400 },
+        contentFilter: {
+          filtered: true,
+          prompt: {
+            hate: { filtered: false, severity: 'safe' },
+            selfHarm: { filtered: false, severity: 'safe' },
+            violence: { filtered: true, severity: 'medium' },
+            jailbreak: { filtered: false, detected: false }
+          },
+          completion: null
+        }
+      });
+    });
+
+    it('should wait and retry while a Hugging Face model is loading', async () => {
+      const loadingError = {
+        response: {
+          status: 503,
+          data: {
+            error: 'Model HuggingFaceH4/zephyr-7b-beta is currently loading',
+            estimated_time: 0.01
+          }
+        }
+      };
+
+      mockedAxios
+        .mockRejectedValueOnce(loadingError)
+        .mockResolvedValueOnce({ status: 200, data: [{ generated_text: 'Loaded reply' }] });
+
+      const input = {
+        provider: 'huggingface',
+        model: 'HuggingFaceH4/zephyr-7b-beta',
+        messages: [{ role: 'user', content: 'Hello' }]
+      };
+
+      const response = await execute_request(llm_input_schema, input);
+
+      expect(response.text).toBe('Loaded reply');
+      expect(mockedAxios).toHaveBeenCalledTimes(2);
+      expect(mockedAxios.mock.calls[1][0].data.options).toEqual({ wait_for_model: true });
+    });
+
+    it('should retry streamed requests while a Hugging Face model is loading', async () => {
+      mockedAxios
+        .mockRejectedValueOnce({
+          response: {
+            status: 503,
+            data: Readable.from([JSON.stringify({ error: 'Model gpt2 is currently loading', estimated_time: 0.01 })])
+          }
+        })
+        .mockResolvedValueOnce({
+          status: 200,
+          data: Readable.from([
+            'data:{"token":{"id":1,"text":"Hi","special":false},"generated_text":null}\n\n',
+            'data:{"token":{"id":2,"text":"</s>","special":true},"generated_text":"Hi","details":{"finish_reason":"eos_token","generated_tokens":2}}\n\n'
+          ])
+        });
+
+      const response = await execute_request(llm_input_schema, {
+        provider: 'huggingface',
+        model: 'gpt2',
+        messages: [{ role: 'user', content: 'Hello' }],
+        stream: true
+      });
+
+      expect(response.text).toBe('Hi');
+      expect(mockedAxios).toHaveBeenCalledTimes(2);
+      expect(mockedAxios.mock.calls[1][0]).toMatchObject({
+        responseType: 'stream',
+        data: { options: { wait_for_model: true } }
+      });
+    });
+
+    it('should give up after repeated Hugging Face loading responses', async () => {
+      const loadingError = {
+        response: {
+          status: 503,
+          data: { error: 'Model gpt2 is currently loading', estimated_time: 0.01 }
+        }
+      };
+
+      mockedAxios.mockRejectedValue(loadingError);
+
+      const input = {
+        provider: 'huggingface',
+        model: 'gpt2',
+        messages: [{ role: 'user', content: 'Hello' }]
+      };
+
+      await expect(execute_request(llm_input_schema, input)).rejects.toMatchObject({
+        response: { status: 503 }
+      });
+      expect(mockedAxios).toHaveBeenCalledTimes(4);
+      mockedAxios.mockReset();
+    });
+
     it('should handle network errors', async () => {
       const networkError = new Error('Network Error');
       networkError.code = 'ECONNREFUSED';
@@ -302,6 +595,7 @@ describe('HTTP Mocking Tests', () => {
       const providers = [
         {
           name: 'openai',
+          expected: 'OpenAI response',
           response: {
             status: 200,
             data: { choices: [{ message: { content: 'OpenAI response' } }] }
@@ -309,10 +603,27 @@ describe('HTTP Mocking Tests', () => {
         },
         {
           name: 'anthropic',
+          expected: 'Anthropic response',
           response: {
             status: 200,
             data: { content: [{ text: 'Anthropic response' }] }
           }
+        },
+        {
+          name: 'google',
+          expected: 'Gemini response',
+          response: {
+            status: 200,
+            data: { candidates: [{ content: { parts: [{ text: 'Gemini response' }] }, finishReason: 'STOP' }] }
+          }
+        },
+        {
+          name: 'ollama',
+          expected: 'Ollama response',
+          response: {
+            status: 200,
+            data: { model: 'test-model', message: { role: 'assistant', content: 'Ollama response' }, done: true }
+          }
         }
       ];
 
@@ -327,7 +638,9 @@ describe('HTTP Mocking Tests', () => {
         };
 
         const response = await execute_request(llm_input_schema, input);
-        expect(response.status).toBe(200);
+        expect(response.text).toBe(provider.expected);
+        expect(response.provider).toBe(provider.name);
+        expect(response.role).toBe('assistant');
       }
     });
   });
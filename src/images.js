@@ -0,0 +1,195 @@
+/**
+ * Image Generation Module
+ *
+ * Builds and executes text-to-image requests for OpenAI, Together and SiliconFlow
+ * and normalizes the responses into a list of { url, data, revisedPrompt } images,
+ * where exactly one of url or data (raw base64) is set.
+ *
+ * Image endpoints are rate limited in images per minute (IPM), so requests are
+ * checked against the IPM limit before they are sent and the number of generated
+ * images is recorded in the rate limit tracker instead of tokens.
+ */
+
+const {
+  create_provider_headers,
+  send_request,
+  sanitize_request_error,
+  validateUrl
+} = require('./create_request');
+const { getImageEndpoint } = require('./config/url_config');
+const { globalRateLimitTracker } = require('./rate_limits');
+
+/**
+ * Rate limit tier checked when the caller does not name one: the lowest tier with an
+ * API key (see PROVIDER_RATE_LIMITS)
+ */
+const DEFAULT_RATE_LIMIT_TIERS = {
+  openai: 'tier1',
+  together: 'tier1',
+  siliconflow: 'free'
+};
+
+/**
+ * Splits a WIDTHxHEIGHT size into numbers
+ * @param {string} size - Image size (e.g. '1024x768')
+ * @returns {Object} { width, height }
+ */
+const parse_size = (size) => {
+  const [width, height] = size.split('x').map(Number);
+  return { width, height };
+};
+
+/**
+ * Builds the request body of an image generation request
+ * @param {Object} validatedData - The validated image generation input
+ * @returns {Object} Provider request body
+ */
+const create_image_payload = (validatedData) => {
+  const { provider, model, prompt, n, size, quality, style, responseFormat, negativePrompt, steps, seed } = validatedData;
+
+  switch (provider) {
+    case 'together':
+      return {
+        model,
+        prompt,
+        n,
+        ...(size && parse_size(size)),
+        ...(steps && { steps }),
+        ...(seed !== undefined && { seed }),
+        ...(negativePrompt && { negative_prompt: negativePrompt }),
+        response_format: responseFormat === 'b64_json' ? 'base64' : 'url'
+      };
+
+    case 'siliconflow':
+      return {
+        model,
+        prompt,
+        batch_size: n,
+        ...(size && { image_size: size }),
+        ...(steps && { num_inference_steps: steps }),
+        ...(seed !== undefined && { seed }),
+        ...(negativePrompt && { negative_prompt: negativePrompt })
+      };
+
+    default:
+      return {
+        model,
+        prompt,
+        n,
+        ...(size && { size }),
+        ...(quality && { quality }),
+        ...(style && { style }),
+        // gpt-image models always return base64 and reject response_format
+        ...(!model.startsWith('gpt-image') && { response_format: responseFormat })
+      };
+  }
+};
+
+/**
+ * Normalizes an image generation response
+ * @param {string} provider - The provider name
+ * @param {Object} payload - Response body
+ * @returns {Array<Object>} Images as { url, data, revisedPrompt }, unset fields are null
+ */
+const normalize_image_response = (provider, payload) => {
+  const images = provider === 'siliconflow' ? payload.images : payload.data;
+
+  return images.map(image => ({
+    url: image.url || null,
+    data: image.b64_json || null,
+    revisedPrompt: image.revised_prompt || null
+  }));
+};
+
+/**
+ * Builds the axios request configuration from validated input
+ * @param {Object} validatedData - The validated image generation input
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration
+ */
+const build_image_request = (validatedData, options) => {
+  if (!validatedData.apiKey) {
+    throw new Error(`API key is required for provider: ${validatedData.provider}`);
+  }
+
+  return {
+    method: 'POST',
+    url: validateUrl(options.url || getImageEndpoint(validatedData.provider)),
+    data: create_image_payload(validatedData),
+    headers: {
+      ...create_provider_headers(validatedData),
+      ...options.headers
+    }
+  };
+};
+
+/**
+ * Creates the axios request configuration for an image generation request
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (image_generation_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration
+ * @throws {Error} When validation fails or the API key is missing
+ *
+ * @example
+ * create_image_request(image_generation_input_schema, {
+ *   provider: 'together',
+ *   apiKey: 'tgp_...',
+ *   model: 'black-forest-labs/FLUX.1-schnell',
+ *   prompt: 'A lighthouse at dawn',
+ *   size: '1024x768'
+ * });
+ * // Returns: { method: 'POST', url: 'https://api.together.xyz/v1/images/generations',
+ * //            data: { model, prompt, n: 1, width: 1024, height: 768, response_format: 'url' }, headers }
+ */
+const create_image_request = (schema, data, options = {}) =>
+  build_image_request(schema.parse(data), options);
+
+/**
+ * Creates and executes an image generation request
+ * Requests that would exceed the images-per-minute limit are rejected before they are sent,
+ * and the number of generated images is recorded in the global rate limit tracker
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (image_generation_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @param {string} [options.rateLimitTier] - Rate limit tier of the account (see PROVIDER_RATE_LIMITS),
+ *   defaults to the lowest tier of the provider
+ * @returns {Promise<Object>} { images, model, provider, raw }
+ * @throws {Error} Sanitized error messages that don't leak sensitive information
+ */
+const execute_image_generation = async (schema, data, options = {}) => {
+  try {
+    const validatedData = schema.parse(data);
+    const requestConfig = build_image_request(validatedData, options);
+    const { provider, model, n } = validatedData;
+
+    const tier = options.rateLimitTier || DEFAULT_RATE_LIMIT_TIERS[provider];
+    const limit = globalRateLimitTracker.checkRateLimit(provider, tier, 0, { images: n });
+    if (!limit.allowed) {
+      throw new Error(`Rate limit exceeded for ${provider}: ${limit.reason}, retry in ${Math.ceil(limit.waitTime / 1000)}s`);
+    }
+
+    const response = await send_request(requestConfig, provider);
+    const images = normalize_image_response(provider, response.data);
+
+    globalRateLimitTracker.recordImages(provider, images.length);
+
+    return {
+      images,
+      model,
+      provider,
+      raw: response.data
+    };
+  } catch (error) {
+    throw sanitize_request_error(error);
+  }
+};
+
+module.exports = {
+  create_image_payload,
+  normalize_image_response,
+  create_image_request,
+  execute_image_generation
+};
@@ -0,0 +1,190 @@
+const axios = require('axios');
+const { image_generation_input_schema } = require('./llm_schema');
+const { globalRateLimitTracker } = require('./rate_limits');
+const {
+  create_image_request,
+  normalize_image_response,
+  execute_image_generation
+} = require('./images');
+
+jest.mock('axios');
+
+describe('images', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalRateLimitTracker.usage.clear();
+  });
+
+  describe('create_image_request', () => {
+    it('should build OpenAI requests', () => {
+      const request = create_image_request(image_generation_input_schema, {
+        provider: 'openai',
+        apiKey: 'test-key',
+        model: 'dall-e-3',
+        prompt: 'A lighthouse at dawn',
+        size: '1024x1024',
+        quality: 'hd',
+        style: 'natural',
+        responseFormat: 'b64_json'
+      });
+
+      expect(request).toEqual({
+        method: 'POST',
+        url: 'https://api.openai.com/v1/images/generations',
+        data: {
+          model: 'dall-e-3',
+          prompt: 'A lighthouse at dawn',
+          n: 1,
+          size: '1024x1024',
+          quality: 'hd',
+          style: 'natural',
+          response_format: 'b64_json'
+        },
+        headers: expect.objectContaining({ Authorization: 'Bearer test-key' })
+      });
+    });
+
+    it('should omit response_format for gpt-image models', () => {
+      const request = create_image_request(image_generation_input_schema, {
+        provider: 'openai',
+        apiKey: 'test-key',
+        model: 'gpt-image-1',
+        prompt: 'A lighthouse'
+      });
+
+      expect(request.data).not.toHaveProperty('response_format');
+    });
+
+    it('should map size, steps and base64 output for Together', () => {
+      const request = create_image_request(image_generation_input_schema, {
+        provider: 'together',
+        apiKey: 'test-key',
+        model: 'black-forest-labs/FLUX.1-schnell',
+        prompt: 'A lighthouse',
+        n: 2,
+        size: '1024x768',
+        steps: 4,
+        seed: 7,
+        negativePrompt: 'people',
+        responseFormat: 'b64_json'
+      });
+
+      expect(request.url).toBe('https://api.together.xyz/v1/images/generations');
+      expect(request.data).toEqual({
+        model: 'black-forest-labs/FLUX.1-schnell',
+        prompt: 'A lighthouse',
+        n: 2,
+        width: 1024,
+        height: 768,
+        steps: 4,
+        seed: 7,
+        negative_prompt: 'people',
+        response_format: 'base64'
+      });
+    });
+
+    it('should map batch size and image size for SiliconFlow', () => {
+      const request = create_image_request(image_generation_input_schema, {
+        provider: 'siliconflow',
+        apiKey: 'test-key',
+        model: 'Kwai-Kolors/Kolors',
+        prompt: 'A lighthouse',
+        n: 2,
+        size: '1024x1024',
+        steps: 20
+      });
+
+      expect(request.data).toEqual({
+        model: 'Kwai-Kolors/Kolors',
+        prompt: 'A lighthouse',
+        batch_size: 2,
+        image_size: '1024x1024',
+        num_inference_steps: 20
+      });
+    });
+
+    it('should reject base64 output on SiliconFlow', () => {
+      expect(() => create_image_request(image_generation_input_schema, {
+        provider: 'siliconflow',
+        apiKey: 'test-key',
+        model: 'Kwai-Kolors/Kolors',
+        prompt: 'A lighthouse',
+        responseFormat: 'b64_json'
+      })).toThrow('siliconflow only returns image URLs');
+    });
+  });
+
+  describe('normalize_image_response', () => {
+    it('should normalize OpenAI and Together data arrays', () => {
+      expect(normalize_image_response('openai', {
+        data: [{ url: 'https://img/1.png', revised_prompt: 'A lighthouse at dawn, oil painting' }]
+      })).toEqual([{ url: 'https://img/1.png', data: null, revisedPrompt: 'A lighthouse at dawn, oil painting' }]);
+
+      expect(normalize_image_response('together', { data: [{ index: 0, b64_json: 'aGVsbG8=' }] }))
+        .toEqual([{ url: null, data: 'aGVsbG8=', revisedPrompt: null }]);
+    });
+
+    it('should normalize SiliconFlow images', () => {
+      expect(normalize_image_response('siliconflow', { images: [{ url: 'https://img/a.png' }], seed: 1 }))
+        .toEqual([{ url: 'https://img/a.png', data: null, revisedPrompt: null }]);
+    });
+  });
+
+  describe('execute_image_generation', () => {
+    it('should return normalized images and record them for rate limiting', async () => {
+      axios.mockResolvedValue({ data: { data: [{ url: 'https://img/1.png' }, { url: 'https://img/2.png' }] } });
+
+      const result = await execute_image_generation(image_generation_input_schema, {
+        provider: 'together',
+        apiKey: 'test-key',
+        model: 'black-forest-labs/FLUX.1-schnell',
+        prompt: 'A lighthouse',
+        n: 2
+      });
+
+      expect(result.images.map(image => image.url)).toEqual(['https://img/1.png', 'https://img/2.png']);
+      expect(result.provider).toBe('together');
+      expect(globalRateLimitTracker.getUsageStats('together').images.minute.used).toBe(2);
+      expect(globalRateLimitTracker.getUsageStats('together').tokens.minute.used).toBe(0);
+    });
+
+    it('should reject requests over the images-per-minute limit before sending them', async () => {
+      axios.mockResolvedValue({ data: { data: [{ url: 'https://img/1.png' }] } });
+      const input = { provider: 'openai', apiKey: 'test-key', model: 'dall-e-3', prompt: 'A lighthouse' };
+      globalRateLimitTracker.recordImages('openai', 5);
+
+      await expect(execute_image_generation(image_generation_input_schema, input))
+        .rejects.toThrow('Rate limit exceeded for openai: IPM limit would be exceeded (6/5), retry in 60s');
+      expect(axios).not.toHaveBeenCalled();
+
+      const result = await execute_image_generation(image_generation_input_schema, input, { rateLimitTier: 'tier5' });
+      expect(result.images).toHaveLength(1);
+    });
+
+    it('should validate the input once and use the parsed data', async () => {
+      axios.mockResolvedValue({ data: { data: [{ url: 'https://img/1.png' }] } });
+      const parse = jest.spyOn(image_generation_input_schema, 'parse');
+
+      await execute_image_generation(image_generation_input_schema, {
+        provider: 'together',
+        apiKey: 'test-key',
+        model: 'black-forest-labs/FLUX.1-schnell',
+        prompt: 'A lighthouse'
+      });
+
+      expect(parse).toHaveBeenCalledTimes(1);
+      parse.mockRestore();
+    });
+
+    it('should sanitize HTTP errors', async () => {
+      axios.mockRejectedValue({ response: { status: 400, data: { error: { message: 'content policy' } } } });
+
+      await expect(execute_image_generation(image_generation_input_schema, {
+        provider: 'openai',
+        apiKey: 'test-key',
+        model: 'dall-e-3',
+        prompt: 'A lighthouse'
+      })).rejects.toThrow('HTTP 400: Request failed');
+    });
+  });
+});
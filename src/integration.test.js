@@ -47,13 +47,12 @@ describe('Integration Tests', () => {
             const response = await execute_request(llm_input_schema, testInputWithToken);
 
             // Test our code's responsibility: HTTP request/response handling
-            expect(response.status).toBe(200);
-            expect(response.data).toBeDefined();
-            expect(typeof response.data).toBe('object');
+            expect(typeof response.text).toBe('string');
+            expect(response.provider).toBe('gh-models');
 
-            // Test that we get a response in expected format (OpenAI-compatible)
-            expect(response.data).toHaveProperty('choices');
-            expect(Array.isArray(response.data.choices)).toBe(true);
+            // Test that the raw payload is still the OpenAI-compatible format
+            expect(response.raw).toHaveProperty('choices');
+            expect(Array.isArray(response.raw.choices)).toBe(true);
 
             console.log('✅ GitHub Models authenticated request successful');
             console.log('� Response structure validated');
@@ -75,9 +74,9 @@ describe('Integration Tests', () => {
           try {
             const response = await execute_request(llm_input_schema, streamingInput);
 
-            expect(response.status).toBe(200);
-            // For streaming, we expect either SSE data or a different response format
-            expect(response.data).toBeDefined();
+            // Streamed deltas are accumulated into the normalized result
+            expect(typeof response.text).toBe('string');
+            expect(Array.isArray(response.raw)).toBe(true);
 
             console.log('✅ GitHub Models streaming request successful');
 
@@ -100,7 +99,7 @@ describe('Integration Tests', () => {
               };
 
               const response = await execute_request(llm_input_schema, modelInput);
-              expect(response.status).toBe(200);
+              expect(typeof response.text).toBe('string');
 
               console.log(`✅ Model ${model} authentication successful`);
 
@@ -123,7 +122,7 @@ describe('Integration Tests', () => {
             const response = await execute_request(llm_input_schema, baseTestInput);
 
             // If somehow it works without auth, that's great
-            expect(response.status).toBe(200);
+            expect(typeof response.text).toBe('string');
             console.log('✅ GitHub Models works without authentication');
 
           } catch (error) {
@@ -166,7 +165,7 @@ describe('Integration Tests', () => {
       it('should handle Ollama connection gracefully', async () => {
         try {
           const response = await execute_request(llm_input_schema, testInput);
-          expect(response.status).toBe(200);
+          expect(typeof response.text).toBe('string');
         } catch (error) {
           // Ollama might not be running locally - that's expected
           expect(['ECONNREFUSED', 'ENOTFOUND', 'ERR_BAD_REQUEST']).toContain(error.code);
@@ -195,8 +194,8 @@ describe('Integration Tests', () => {
           const response = await execute_request(llm_input_schema, testInput);
 
           // Hugging Face free tier might work without API key
-          expect(response.status).toBe(200);
-          expect(response.data).toBeDefined();
+          expect(typeof response.text).toBe('string');
+          expect(response.raw).toBeDefined();
           console.log('✓ Hugging Face free tier successful');
         } catch (error) {
           // Expected errors for free tier
@@ -272,7 +271,7 @@ describe('Integration Tests', () => {
 
       // At least one should succeed or return a proper error (including auth errors)
       const hasValidResponse = results.some(result =>
-        result.status === 200 ||
+        typeof result.text === 'string' ||
         result.response?.status === 401 ||
         result.response?.status === 429 ||
         result.response?.status === 503
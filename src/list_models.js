@@ -0,0 +1,152 @@
+/**
+ * Model Listing
+ *
+ * Lists the models a provider serves through its MODEL_ENDPOINTS entry, follows
+ * pagination and normalizes every entry into
+ * { id, displayName, contextWindow, outputLimit, modalities, created, raw }.
+ *
+ * Entries are normalized by normalize_model in model_registry.js, which
+ * provider_info_collector.js also uses (through to_collected_model), so live
+ * listings and collected data share one normalization.
+ */
+
+const {
+  create_provider_headers,
+  send_request,
+  sanitize_request_error,
+  validateUrl
+} = require('./create_request');
+const { getModelEndpoint } = require('./config/url_config');
+const { normalize_model } = require('./model_registry');
+const { get_custom_provider } = require('./provider_registry');
+
+/**
+ * Largest page size accepted by the paginated model endpoints
+ */
+const MODEL_PAGE_SIZES = {
+  anthropic: 1000,
+  google: 1000
+};
+
+/**
+ * Providers without a model listing endpoint
+ * The Hugging Face Inference API serves any Hub model and has no list of its own
+ */
+const UNSUPPORTED_PROVIDERS = ['huggingface'];
+
+/**
+ * Providers whose model list can be read without an API key
+ * Providers added with register_provider follow their auth.required setting
+ */
+const OPTIONAL_API_KEY_PROVIDERS = ['gh-models', 'openrouter', 'ollama'];
+
+/**
+ * Returns the model entries of one page of a model list response
+ * @param {string} provider - The provider name
+ * @param {Object|Array} payload - Response body
+ * @returns {Array<Object>} Raw model entries
+ */
+const get_page_models = (provider, payload) => {
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+  if (provider === 'google' || provider === 'ollama') {
+    return payload.models || [];
+  }
+  return payload.data || payload.models || [];
+};
+
+/**
+ * Builds the URL of a model list page
+ * @param {string} provider - The provider name
+ * @param {string} baseUrl - Model endpoint URL
+ * @param {Object|null} previousPage - Body of the previous page, null for the first page
+ * @returns {string|null} Page URL, or null when there are no more pages
+ */
+const get_page_url = (provider, baseUrl, previousPage) => {
+  const url = new URL(baseUrl);
+
+  switch (provider) {
+    case 'anthropic':
+      if (previousPage && !previousPage.has_more) {
+        return null;
+      }
+      url.searchParams.set('limit', String(MODEL_PAGE_SIZES.anthropic));
+      if (previousPage) {
+        url.searchParams.set('after_id', previousPage.last_id);
+      }
+      return url.toString();
+
+    case 'google':
+      if (previousPage && !previousPage.nextPageToken) {
+        return null;
+      }
+      url.searchParams.set('pageSize', String(MODEL_PAGE_SIZES.google));
+      if (previousPage) {
+        url.searchParams.set('pageToken', previousPage.nextPageToken);
+      }
+      return url.toString();
+
+    default:
+      return previousPage ? null : url.toString();
+  }
+};
+
+/**
+ * Lists the models available from a provider
+ *
+ * @param {string} provider - The provider name
+ * @param {Object} options - Listing options
+ * @param {string} [options.apiKey] - API key (optional for GitHub Models, OpenRouter and Ollama)
+ * @param {string} [options.url] - Model endpoint URL override (e.g. a remote Ollama host)
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<Array<Object>>} Normalized models from every page, in provider order
+ * @throws {Error} When the provider has no model endpoint, or sanitized request errors
+ *
+ * @example
+ * const models = await list_models('anthropic', { apiKey: process.env.ANTHROPIC_API_KEY });
+ * // Returns: [{ id: 'claude-sonnet-4-20250514', displayName: 'Claude Sonnet 4', contextWindow: null,
+ * //             outputLimit: null, modalities: null, created: '2025-05-22T00:00:00.000Z', raw: {...} }, ...]
+ */
+const list_models = async (provider, options = {}) => {
+  const baseUrl = options.url || getModelEndpoint(provider);
+  if (!baseUrl || UNSUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(`list_models is not supported for provider: ${provider}`);
+  }
+  const custom = get_custom_provider(provider);
+  const isKeyOptional = custom ? !custom.auth.required : OPTIONAL_API_KEY_PROVIDERS.includes(provider);
+  if (!isKeyOptional && !options.apiKey) {
+    throw new Error(`API key is required for provider: ${provider}`);
+  }
+
+  // Registered URLs of providers with allowPrivateNetwork may be internal, overrides may not
+  const allowPrivateNetwork = !options.url && custom?.allowPrivateNetwork;
+
+  try {
+    // OpenRouter lists its models publicly, so the key is only sent when given
+    const headers = {
+      ...(provider === 'openrouter' && !options.apiKey
+        ? { 'Content-Type': 'application/json' }
+        : create_provider_headers({ provider, apiKey: options.apiKey })),
+      ...options.headers
+    };
+    const models = [];
+    let page = null;
+    let url = get_page_url(provider, baseUrl, page);
+
+    while (url) {
+      const response = await send_request({ method: 'GET', url: validateUrl(url, { allowPrivateNetwork }), headers }, provider);
+      page = response.data;
+      models.push(...get_page_models(provider, page).map(model => normalize_model(provider, model)));
+      url = get_page_url(provider, baseUrl, page);
+    }
+
+    return models;
+  } catch (error) {
+    throw sanitize_request_error(error);
+  }
+};
+
+module.exports = {
+  list_models
+};
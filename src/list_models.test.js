@@ -0,0 +1,75 @@
+const axios = require('axios');
+const { list_models } = require('./list_models');
+
+jest.mock('axios');
+
+describe('list_models', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('list_models', () => {
+    it('should follow Anthropic has_more and after_id pagination', async () => {
+      axios
+        .mockResolvedValueOnce({ data: { data: [{ id: 'claude-a', display_name: 'A' }], has_more: true, last_id: 'claude-a' } })
+        .mockResolvedValueOnce({ data: { data: [{ id: 'claude-b', display_name: 'B' }], has_more: false, last_id: 'claude-b' } });
+
+      const models = await list_models('anthropic', { apiKey: 'test-key' });
+
+      expect(models.map(model => model.id)).toEqual(['claude-a', 'claude-b']);
+      expect(axios.mock.calls[0][0]).toMatchObject({
+        method: 'GET',
+        url: 'https://api.anthropic.com/v1/models?limit=1000',
+        headers: expect.objectContaining({ 'x-api-key': 'test-key', 'anthropic-version': expect.any(String) })
+      });
+      expect(axios.mock.calls[1][0].url).toBe('https://api.anthropic.com/v1/models?limit=1000&after_id=claude-a');
+    });
+
+    it('should follow Gemini nextPageToken pagination', async () => {
+      axios
+        .mockResolvedValueOnce({ data: { models: [{ name: 'models/gemini-a' }], nextPageToken: 'page-2' } })
+        .mockResolvedValueOnce({ data: { models: [{ name: 'models/gemini-b' }] } });
+
+      const models = await list_models('google', { apiKey: 'test-key' });
+
+      expect(models.map(model => model.id)).toEqual(['gemini-a', 'gemini-b']);
+      expect(axios.mock.calls[1][0].url).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&pageToken=page-2'
+      );
+      expect(axios.mock.calls[1][0].headers['x-goog-api-key']).toBe('test-key');
+    });
+
+    it('should read single-page lists, including bare arrays', async () => {
+      axios.mockResolvedValueOnce({ data: [{ id: 'meta-llama/Llama-3.3-70B-Instruct-Turbo', display_name: 'Llama 3.3 70B', context_length: 131072 }] });
+
+      const models = await list_models('together', { apiKey: 'test-key' });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(models[0]).toMatchObject({ displayName: 'Llama 3.3 70B', contextWindow: 131072 });
+    });
+
+    it('should list OpenRouter and Ollama models without an API key', async () => {
+      axios
+        .mockResolvedValueOnce({ data: { data: [{ id: 'openai/gpt-4o' }] } })
+        .mockResolvedValueOnce({ data: { models: [{ name: 'llama3.2:latest', model: 'llama3.2:latest', modified_at: '2025-01-01T00:00:00Z' }] } });
+
+      await list_models('openrouter');
+      const models = await list_models('ollama');
+
+      expect(axios.mock.calls[0][0].headers.Authorization).toBeUndefined();
+      expect(axios.mock.calls[1][0].url).toBe('http://localhost:11434/api/tags');
+      expect(models[0]).toMatchObject({ id: 'llama3.2:latest', created: '2025-01-01T00:00:00.000Z' });
+    });
+
+    it('should reject unsupported providers and missing keys', async () => {
+      await expect(list_models('huggingface')).rejects.toThrow('list_models is not supported for provider: huggingface');
+      await expect(list_models('groq')).rejects.toThrow('API key is required for provider: groq');
+    });
+
+    it('should sanitize HTTP errors', async () => {
+      axios.mockRejectedValue({ response: { status: 401, data: {} } });
+
+      await expect(list_models('openai', { apiKey: 'test-key' })).rejects.toThrow('HTTP 401: Request failed');
+    });
+  });
+});
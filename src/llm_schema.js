@@ -1,4 +1,173 @@
 const { z } = require('zod');
+const { SUPPORTED_MIME_TYPES, MAX_INLINE_BYTES, get_base64_size } = require('./content_parts');
+const { BUILT_IN_PROVIDERS, is_known_provider } = require('./provider_registry');
+
+/**
+ * Tool call requested by the assistant, in the shape returned by execute_request
+ * Arguments are a JSON-encoded string, as in the OpenAI chat format
+ * Reference: https://platform.openai.com/docs/api-reference/chat/object#chat/object-choices
+ */
+const tool_call_schema = z.object({
+  id: z.string(),
+  type: z.literal('function').default('function'),
+  function: z.object({
+    name: z.string(),
+    arguments: z.string()
+  })
+});
+
+/**
+ * Media part fields shared by image, audio and document parts
+ * Exactly one of url or data must be set, and inline data needs a mimeType
+ */
+const media_part_fields = {
+  /**
+   * Public http(s) URL of the media
+   */
+  url: z.string().url().optional(),
+
+  /**
+   * Raw base64 data, without a data: URL prefix
+   */
+  data: z.string().regex(/^[A-Za-z0-9+/]+={0,2}$/, 'data must be raw base64 without a data: URL prefix').optional(),
+
+  /**
+   * MIME type of the media (e.g. 'image/png', 'audio/wav', 'application/pdf')
+   */
+  mimeType: z.string().optional()
+};
+
+/**
+ * Single typed content part of a multimodal message
+ *
+ * Part types:
+ * - text: { type: 'text', text }
+ * - image: JPEG, PNG, GIF or WebP, by URL or base64 (up to 20 MB)
+ * - audio: WAV, MP3, AAC, OGG, FLAC or AIFF, base64 (up to 20 MB)
+ * - document: PDF or plain text, by URL or base64 (up to 32 MB)
+ *
+ * Provider translation:
+ * - OpenAI-compatible: text, image_url, input_audio (wav/mp3) and file parts
+ *   Reference: https://platform.openai.com/docs/guides/vision
+ * - Anthropic: image and document blocks with base64 or url sources (images up to 5 MB, no audio)
+ *   Reference: https://docs.anthropic.com/en/docs/build-with-claude/vision
+ * - Google Gemini: inlineData for base64, fileData for URLs
+ *   Reference: https://ai.google.dev/gemini-api/docs/vision
+ * - Ollama: base64 images in the message images array (no audio or documents)
+ *   Reference: https://github.com/ollama/ollama/blob/main/docs/api.md#chat-request-with-images
+ */
+const content_part_schema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('text'), text: z.string() }),
+  z.object({ type: z.literal('image'), ...media_part_fields }),
+  z.object({ type: z.literal('audio'), ...media_part_fields }),
+  z.object({
+    type: z.literal('document'),
+    ...media_part_fields,
+
+    /**
+     * File name shown to the model (OpenAI file parts)
+     */
+    filename: z.string().optional()
+  })
+]).superRefine((part, ctx) => {
+  if (part.type === 'text') {
+    return;
+  }
+
+  if ((part.url === undefined) === (part.data === undefined)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `${part.type} parts need exactly one of url or data`
+    });
+    return;
+  }
+  if (part.data !== undefined && part.mimeType === undefined) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['mimeType'],
+      message: `mimeType is required for inline ${part.type} data`
+    });
+  }
+  if (part.mimeType !== undefined && !SUPPORTED_MIME_TYPES[part.type].includes(part.mimeType)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['mimeType'],
+      message: `Unsupported ${part.type} MIME type ${part.mimeType}, expected one of: ${SUPPORTED_MIME_TYPES[part.type].join(', ')}`
+    });
+  }
+  if (part.data !== undefined && get_base64_size(part.data) > MAX_INLINE_BYTES[part.type]) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['data'],
+      message: `Inline ${part.type} data exceeds ${MAX_INLINE_BYTES[part.type] / (1024 * 1024)} MB`
+    });
+  }
+});
+
+/**
+ * Single chat message
+ * Content may only be omitted (or null) on assistant turns that carry tool calls
+ *
+ * Tool-calling conversation:
+ * - assistant: { role: 'assistant', content: null, toolCalls: [{ id, type, function: { name, arguments } }] }
+ * - tool: { role: 'tool', toolCallId: 'call_123', name: 'get_weather', content: '{"temp": 21}' }
+ *
+ * Provider translation:
+ * - OpenAI-compatible: tool_calls / tool_call_id
+ *   Reference: https://platform.openai.com/docs/guides/function-calling
+ * - Anthropic: tool_use blocks on the assistant turn, tool_result blocks on the next user turn
+ *   Reference: https://docs.anthropic.com/en/docs/build-with-claude/tool-use
+ * - Google Gemini: functionCall parts on the model turn, functionResponse parts on the user turn
+ *   Reference: https://ai.google.dev/gemini-api/docs/function-calling
+ */
+const message_schema = z.object({
+  role: z.enum(['system', 'user', 'assistant', 'tool']),
+
+  /**
+   * Text content, or an array of typed parts for multimodal input
+   */
+  content: z.union([z.string(), z.array(content_part_schema).min(1)]).nullable().optional(),
+
+  /**
+   * Tool calls made by the assistant (assistant messages only)
+   */
+  toolCalls: z.array(tool_call_schema).optional(),
+
+  /**
+   * Id of the tool call this message answers (tool messages only)
+   */
+  toolCallId: z.string().optional(),
+
+  /**
+   * Name of the tool that produced this result (tool messages only)
+   * Gemini requires it; when omitted it is looked up from the matching assistant tool call
+   */
+  name: z.string().optional()
+}).superRefine((message, ctx) => {
+  const hasToolCalls = message.role === 'assistant' && message.toolCalls?.length > 0;
+
+  if ((message.content === undefined || message.content === null) && !hasToolCalls) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['content'],
+      message: 'content is required unless an assistant message carries toolCalls'
+    });
+  }
+  if (message.toolCalls && message.role !== 'assistant') {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['toolCalls'],
+      message: 'toolCalls are only allowed on assistant messages'
+    });
+  }
+  if (message.toolCallId && message.role !== 'tool') {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['toolCallId'],
+      message: 'toolCallId is only allowed on tool messages'
+    });
+  }
+});
 
 /**
  * Universal LLM input schema that works across different providers
@@ -10,6 +179,7 @@ const llm_input_schema = z.object({
    * 
    * Complete API Reference Documentation for each provider:
    * - OpenAI: https://platform.openai.com/docs/api-reference (Complete REST API Reference)
+   * - Azure OpenAI: https://learn.microsoft.com/en-us/azure/ai-services/openai/reference (Deployment-based REST API Reference)
    * - Anthropic: https://docs.anthropic.com/en/api (Complete REST API Reference) 
    * - Google (Gemini): https://ai.google.dev/gemini-api/docs/models (Complete REST API Reference with Grounding Search)
    * - GitHub Models: https://docs.github.com/en/rest/models (Complete REST API Reference - Free, no API key required)
@@ -23,8 +193,12 @@ const llm_input_schema = z.object({
    * - Groq: https://console.groq.com/docs/api-reference (Complete REST API Reference with web search tools)
    * - OpenRouter: https://openrouter.ai/docs/api-reference (Complete REST API Reference - Multi-provider gateway)
    * - Ollama: https://github.com/ollama/ollama/blob/main/docs/api.md (Complete API Reference - Local deployment)
+   * - Custom OpenAI-compatible providers added at runtime with register_provider (provider_registry.js)
    */
-  provider: z.enum(['openai', 'anthropic', 'google', 'gh-models', 'huggingface', 'together', 'perplexity', 'deepseek', 'qwen', 'siliconflow', 'grok', 'groq', 'openrouter', 'ollama']),
+  provider: z.string().refine(
+    is_known_provider,
+    provider => ({ message: `Unknown provider: ${provider}. Use register_provider to add custom providers` })
+  ),
   
   /**
    * API Key for authentication with the LLM provider
@@ -103,6 +277,8 @@ const llm_input_schema = z.object({
    * Message Structure:
    * - role: Defines the message sender (system, user, assistant, tool)
    * - content: The actual message text or structured content
+   * - toolCalls: Tool calls made by the assistant (see message_schema)
+   * - toolCallId: Tool call answered by a tool message
    * 
    * Message Types:
    * - system: Instructions for the AI assistant's behavior
@@ -119,10 +295,7 @@ const llm_input_schema = z.object({
    * Reference: https://platform.openai.com/docs/api-reference/chat/create#chat-create-messages
    * Advanced usage: https://platform.openai.com/docs/guides/vision
    */
-  messages: z.array(z.object({
-    role: z.enum(['system', 'user', 'assistant', 'tool']),
-    content: z.string()
-  })),
+  messages: z.array(message_schema),
   
   /**
    * Maximum number of tokens to generate in the response
@@ -283,6 +456,40 @@ const llm_input_schema = z.object({
       parameters: z.record(z.unknown()).optional()
     })
   })).optional(),
+
+  /**
+   * Controls whether and which tool the model calls
+   *
+   * Values:
+   * - 'auto': The model decides (default when tools are provided)
+   * - 'none': The model must answer without calling a tool
+   * - 'required': The model must call at least one tool
+   * - { name }: The model must call the named tool
+   *
+   * Provider Support:
+   * - OpenAI-compatible providers: Sent as tool_choice ({ name } becomes { type: 'function', function: { name } })
+   *   Reference: https://platform.openai.com/docs/api-reference/chat/create#chat-create-tool_choice
+   * - Anthropic: Sent as tool_choice.type ('auto', 'none', 'any', 'tool')
+   *   Reference: https://docs.anthropic.com/en/docs/build-with-claude/tool-use#controlling-claudes-output
+   * - Google Gemini: Sent as toolConfig.functionCallingConfig (AUTO, NONE, ANY with allowedFunctionNames)
+   *   Reference: https://ai.google.dev/gemini-api/docs/function-calling#function_calling_modes
+   * - Ollama, Hugging Face Inference API: Ignored (no tool choice control)
+   */
+  toolChoice: z.union([
+    z.enum(['auto', 'none', 'required']),
+    z.object({ name: z.string().min(1) })
+  ]).optional(),
+
+  /**
+   * Whether the model may request several tool calls in one turn
+   * Set to false to get at most one tool call per assistant message
+   *
+   * Provider Support:
+   * - OpenAI-compatible providers: Sent as parallel_tool_calls
+   * - Anthropic: Sent as tool_choice.disable_parallel_tool_use (inverted)
+   * - Google Gemini, Ollama: Ignored (no parallel call control)
+   */
+  parallelToolCalls: z.boolean().optional(),
   
   /**
    * Response format specification for structured outputs
@@ -291,6 +498,9 @@ const llm_input_schema = z.object({
    * Format Types:
    * - 'text': Regular text response (default for most use cases)
    * - 'json_object': Forces response to be valid JSON
+   * - 'json_schema': Forces response to match a Zod schema; the reply is parsed
+   *   and validated with the same schema and returned in result.parsed
+   *   ({ type: 'json_schema', schema: z.object({...}), name?, description? })
    * 
    * JSON Mode Benefits:
    * - Guaranteed valid JSON output
@@ -310,13 +520,28 @@ const llm_input_schema = z.object({
    * - JSON Schema validation for strict structure
    * - Structured outputs with guaranteed schema compliance
    * - Function calling with structured responses
+   *
+   * json_schema translation:
+   * - OpenAI-compatible: response_format json_schema, strict when every field is required
+   * - Google Gemini: generationConfig.responseSchema with responseMimeType application/json
+   * - Ollama: format set to the JSON Schema
+   * - Anthropic: a forced tool whose input_schema is the JSON Schema
    * 
    * Reference: https://platform.openai.com/docs/api-reference/chat/create#chat-create-response_format
    * JSON mode guide: https://platform.openai.com/docs/guides/text-generation/json-mode
    */
-  responseFormat: z.object({
-    type: z.enum(['text', 'json_object'])
-  }).optional(),
+  responseFormat: z.discriminatedUnion('type', [
+    z.object({ type: z.literal('text') }),
+    z.object({ type: z.literal('json_object') }),
+    z.object({
+      type: z.literal('json_schema'),
+      schema: z.custom(value => typeof value?.safeParse === 'function' && value._def !== undefined, {
+        message: 'schema must be a Zod schema'
+      }),
+      name: z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/).optional(),
+      description: z.string().optional()
+    })
+  ]).optional(),
   
   /**
    * Seed for deterministic outputs (when supported by provider)
@@ -346,6 +571,87 @@ const llm_input_schema = z.object({
    */
   seed: z.number().optional(),
 
+  /**
+   * Context window size in tokens (Ollama only)
+   * Ollama loads models with a small default context (2048 tokens in older releases),
+   * so long conversations are silently truncated unless num_ctx is raised
+   *
+   * Provider Support:
+   * - Ollama: Sent as options.num_ctx
+   *   Reference: https://github.com/ollama/ollama/blob/main/docs/modelfile.md#valid-parameters-and-values
+   * - Other providers: Ignored (context size is fixed per model)
+   */
+  numCtx: z.number().int().min(1).optional(),
+
+  /**
+   * How long the model stays loaded in memory after the request (Ollama only)
+   * Accepts a duration string ('5m', '1h') or a number of seconds
+   * Use 0 to unload immediately and a negative value to keep the model loaded indefinitely
+   *
+   * Provider Support:
+   * - Ollama: Sent as keep_alive
+   *   Reference: https://github.com/ollama/ollama/blob/main/docs/api.md#generate-a-chat-completion
+   * - Other providers: Ignored (models are managed server-side)
+   */
+  keepAlive: z.union([z.string(), z.number()]).optional(),
+
+  /**
+   * Prompt template used to render messages for the Hugging Face Inference API (Hugging Face only)
+   * The serverless text-generation endpoint takes a single prompt string, so chat
+   * messages must be rendered with the template the model was fine-tuned on.
+   * When omitted, the template is detected from the model id.
+   *
+   * Templates:
+   * - chatml: <|im_start|>role markers (Qwen, Hermes, Yi, OpenChat)
+   * - llama3: <|start_header_id|> markers (Llama 3 family)
+   * - llama2: [INST] with <<SYS>> system block (Llama 2 chat)
+   * - mistral: [INST] without system block (Mistral, Mixtral)
+   * - zephyr: <|user|> / <|assistant|> markers (Zephyr)
+   * - plain: "User:" / "Assistant:" text for base models
+   *
+   * Reference: https://huggingface.co/docs/transformers/main/en/chat_templating
+   */
+  promptFormat: z.enum(['chatml', 'llama3', 'llama2', 'mistral', 'zephyr', 'plain']).optional(),
+
+  /**
+   * Route Hugging Face requests through the router's OpenAI-compatible chat API (Hugging Face only)
+   * When true, messages are sent unchanged to router.huggingface.co/v1/chat/completions
+   * instead of being rendered into a prompt for the per-model Inference API URL
+   *
+   * Reference: https://huggingface.co/docs/inference-providers/index
+   */
+  huggingfaceRouter: z.boolean().optional(),
+
+  /**
+   * Azure OpenAI resource name, the <resource> in https://<resource>.openai.azure.com (Azure OpenAI only)
+   * Required unless a full URL is passed in the request options
+   *
+   * Reference: https://learn.microsoft.com/en-us/azure/ai-services/openai/reference#chat-completions
+   */
+  azureResource: z.string().regex(/^[a-zA-Z0-9-]+$/, 'azureResource must be an Azure resource name').optional(),
+
+  /**
+   * Azure OpenAI deployment name (Azure OpenAI only)
+   * Azure routes requests by deployment rather than model, defaults to the model field
+   */
+  azureDeployment: z.string().regex(/^[\w.-]+$/, 'azureDeployment must be an Azure deployment name').optional(),
+
+  /**
+   * Azure OpenAI api-version query parameter (Azure OpenAI only), defaults to AZURE_OPENAI_API_VERSION
+   *
+   * Reference: https://learn.microsoft.com/en-us/azure/ai-services/openai/api-version-deprecation
+   */
+  azureApiVersion: z.string().regex(/^\d{4}-\d{2}-\d{2}(-preview)?$/, 'azureApiVersion must look like 2024-10-21').optional(),
+
+  /**
+   * How the apiKey is sent to Azure OpenAI (Azure OpenAI only)
+   * - api-key: Resource key in the api-key header (default)
+   * - bearer: Microsoft Entra ID access token in the Authorization header
+   *
+   * Reference: https://learn.microsoft.com/en-us/azure/ai-services/openai/reference#authentication
+   */
+  azureAuth: z.enum(['api-key', 'bearer']).optional(),
+
   /**
    * Batch processing configuration for cost optimization and bulk operations
    * Supported providers: OpenAI (50% discount), Anthropic (50% discount), Groq (25% discount), SiliconFlow (estimated discount)
@@ -419,6 +725,412 @@ const llm_input_schema = z.object({
   }).optional()
 });
 
+/**
+ * Embedding input schema
+ * Inputs longer than a provider's batch limit are split into several requests
+ * by execute_embedding and merged back in order
+ *
+ * Provider Support:
+ * - OpenAI: /v1/embeddings (text-embedding-3-small, text-embedding-3-large)
+ *   Reference: https://platform.openai.com/docs/api-reference/embeddings
+ * - Together AI: /v1/embeddings
+ *   Reference: https://docs.together.ai/reference/embeddings-2
+ * - SiliconFlow: /v1/embeddings
+ *   Reference: https://docs.siliconflow.cn/api-reference/embeddings/create-embeddings
+ * - Google Gemini: models/{model}:embedContent and :batchEmbedContents
+ *   Reference: https://ai.google.dev/api/embeddings
+ * - Hugging Face: feature-extraction on the Inference API
+ *   Reference: https://huggingface.co/docs/api-inference/tasks/feature-extraction
+ * - Ollama: /api/embed
+ *   Reference: https://github.com/ollama/ollama/blob/main/docs/api.md#generate-embeddings
+ */
+const embedding_input_schema = z.object({
+  /**
+   * Provider serving the embedding model
+   */
+  provider: z.enum(['openai', 'together', 'siliconflow', 'google', 'huggingface', 'ollama']),
+
+  /**
+   * API key (optional for Hugging Face and Ollama)
+   */
+  apiKey: z.string().optional(),
+
+  /**
+   * Embedding model identifier (e.g. 'text-embedding-3-small', 'text-embedding-004', 'nomic-embed-text')
+   */
+  model: z.string().min(1),
+
+  /**
+   * Text or texts to embed, vectors are returned in the same order
+   */
+  input: z.union([z.string(), z.array(z.string()).min(1)]),
+
+  /**
+   * Number of dimensions of the returned vectors (OpenAI text-embedding-3, Gemini, Ollama)
+   */
+  dimensions: z.number().int().min(1).optional(),
+
+  /**
+   * Intended use of the embeddings (Google only)
+   * Reference: https://ai.google.dev/api/embeddings#tasktype
+   */
+  taskType: z.enum([
+    'RETRIEVAL_QUERY', 'RETRIEVAL_DOCUMENT', 'SEMANTIC_SIMILARITY',
+    'CLASSIFICATION', 'CLUSTERING', 'QUESTION_ANSWERING', 'FACT_VERIFICATION'
+  ]).optional()
+});
+
+/**
+ * Response formats accepted by each audio transcription provider
+ */
+const TRANSCRIPTION_RESPONSE_FORMATS = {
+  openai: ['json', 'text', 'verbose_json', 'srt', 'vtt'],
+  groq: ['json', 'text', 'verbose_json']
+};
+
+/**
+ * Audio transcription and translation input schema
+ * Translation always produces English text, so language only applies to transcription
+ *
+ * Provider Support:
+ * - OpenAI: /v1/audio/transcriptions and /v1/audio/translations (whisper-1, gpt-4o-transcribe)
+ *   Reference: https://platform.openai.com/docs/api-reference/audio
+ * - Groq: /openai/v1/audio/transcriptions and /openai/v1/audio/translations (whisper-large-v3)
+ *   Reference: https://console.groq.com/docs/speech-to-text
+ */
+const transcription_input_schema = z.object({
+  /**
+   * Provider serving the speech-to-text model
+   */
+  provider: z.enum(['openai', 'groq']),
+
+  /**
+   * API key for the provider
+   */
+  apiKey: z.string().optional(),
+
+  /**
+   * Speech-to-text model identifier (e.g. 'whisper-1', 'whisper-large-v3')
+   */
+  model: z.string().min(1),
+
+  /**
+   * 'transcribe' keeps the spoken language, 'translate' produces English text
+   */
+  task: z.enum(['transcribe', 'translate']).default('transcribe'),
+
+  /**
+   * Audio file contents (Buffer, Uint8Array or Blob)
+   */
+  file: z.custom(value => value instanceof Uint8Array || (typeof Blob !== 'undefined' && value instanceof Blob), {
+    message: 'file must be a Buffer, Uint8Array or Blob'
+  }),
+
+  /**
+   * File name sent with the upload, providers detect the audio format from its extension
+   */
+  filename: z.string().regex(/\.(flac|mp3|mp4|mpeg|mpga|m4a|ogg|opus|wav|webm)$/i, {
+    message: 'filename must end with a supported audio extension (flac, mp3, mp4, mpeg, mpga, m4a, ogg, opus, wav, webm)'
+  }),
+
+  /**
+   * ISO-639-1 language of the audio (transcription only)
+   */
+  language: z.string().regex(/^[a-z]{2}$/).optional(),
+
+  /**
+   * Text to guide the model's style or continue a previous segment
+   */
+  prompt: z.string().optional(),
+
+  /**
+   * Output format, verbose_json adds segments and the audio duration
+   */
+  responseFormat: z.enum(['json', 'text', 'verbose_json', 'srt', 'vtt']).default('json'),
+
+  /**
+   * Sampling temperature between 0 and 1
+   */
+  temperature: z.number().min(0).max(1).optional(),
+
+  /**
+   * Timestamp detail to include (verbose_json only)
+   */
+  timestampGranularities: z.array(z.enum(['word', 'segment'])).min(1).optional(),
+
+  /**
+   * Audio duration in seconds, used for rate limit tracking when the response does not report it
+   */
+  durationSeconds: z.number().positive().optional()
+}).superRefine((data, ctx) => {
+  if (data.task === 'translate' && data.language) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['language'],
+      message: 'language is only supported for transcription, translations are always English'
+    });
+  }
+  if (!TRANSCRIPTION_RESPONSE_FORMATS[data.provider].includes(data.responseFormat)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['responseFormat'],
+      message: `${data.provider} does not support the ${data.responseFormat} response format`
+    });
+  }
+  if (data.timestampGranularities && data.responseFormat !== 'verbose_json') {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['timestampGranularities'],
+      message: 'timestampGranularities requires the verbose_json response format'
+    });
+  }
+});
+
+/**
+ * Text-to-speech input schema
+ *
+ * Provider Support (OpenAI-compatible /audio/speech endpoints):
+ * - OpenAI: /v1/audio/speech (tts-1, tts-1-hd, gpt-4o-mini-tts)
+ *   Reference: https://platform.openai.com/docs/api-reference/audio/createSpeech
+ * - Groq: /openai/v1/audio/speech (playai-tts)
+ *   Reference: https://console.groq.com/docs/text-to-speech
+ * - Together AI: /v1/audio/speech (cartesia/sonic)
+ *   Reference: https://docs.together.ai/reference/audio-speech
+ * - SiliconFlow: /v1/audio/speech (FunAudioLLM/CosyVoice2-0.5B)
+ *   Reference: https://docs.siliconflow.cn/api-reference/audio/create-speech
+ */
+const speech_input_schema = z.object({
+  /**
+   * Provider serving the text-to-speech model
+   */
+  provider: z.enum(['openai', 'groq', 'together', 'siliconflow']),
+
+  /**
+   * API key for the provider
+   */
+  apiKey: z.string().optional(),
+
+  /**
+   * Text-to-speech model identifier
+   */
+  model: z.string().min(1),
+
+  /**
+   * Text to speak
+   */
+  input: z.string().min(1).max(4096),
+
+  /**
+   * Voice name, the available voices depend on the provider and model (e.g. 'alloy', 'Fritz-PlayAI')
+   */
+  voice: z.string().min(1),
+
+  /**
+   * Audio format of the result
+   */
+  format: z.enum(['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm']).default('mp3'),
+
+  /**
+   * Playback speed between 0.25 and 4
+   */
+  speed: z.number().min(0.25).max(4).optional(),
+
+  /**
+   * Tone and style instructions (gpt-4o-mini-tts)
+   */
+  instructions: z.string().optional(),
+
+  /**
+   * Return the audio as a Node stream instead of a Buffer
+   */
+  stream: z.boolean().default(false)
+});
+
+/**
+ * Image generation input schema
+ *
+ * Provider Support:
+ * - OpenAI: /v1/images/generations (dall-e-3, gpt-image-1)
+ *   Reference: https://platform.openai.com/docs/api-reference/images/create
+ * - Together AI: /v1/images/generations (black-forest-labs/FLUX.1-schnell)
+ *   Reference: https://docs.together.ai/reference/post_images-generations
+ * - SiliconFlow: /v1/images/generations (black-forest-labs/FLUX.1-schnell, Kwai-Kolors/Kolors), URLs only
+ *   Reference: https://docs.siliconflow.cn/api-reference/images/images-generations
+ */
+const image_generation_input_schema = z.object({
+  /**
+   * Provider serving the image model
+   */
+  provider: z.enum(['openai', 'together', 'siliconflow']),
+
+  /**
+   * API key for the provider
+   */
+  apiKey: z.string().optional(),
+
+  /**
+   * Image model identifier
+   */
+  model: z.string().min(1),
+
+  /**
+   * Description of the image to generate
+   */
+  prompt: z.string().min(1),
+
+  /**
+   * Number of images to generate
+   */
+  n: z.number().int().min(1).max(10).default(1),
+
+  /**
+   * Image size as WIDTHxHEIGHT (e.g. '1024x1024')
+   */
+  size: z.string().regex(/^\d+x\d+$/).optional(),
+
+  /**
+   * Image quality (OpenAI, e.g. 'standard', 'hd', 'high')
+   */
+  quality: z.string().optional(),
+
+  /**
+   * Image style (dall-e-3: 'vivid' or 'natural')
+   */
+  style: z.enum(['vivid', 'natural']).optional(),
+
+  /**
+   * Return image URLs or base64 data
+   * gpt-image models always return base64
+   */
+  responseFormat: z.enum(['url', 'b64_json']).default('url'),
+
+  /**
+   * What the image should not contain (Together, SiliconFlow)
+   */
+  negativePrompt: z.string().optional(),
+
+  /**
+   * Number of diffusion steps (Together, SiliconFlow)
+   */
+  steps: z.number().int().min(1).optional(),
+
+  /**
+   * Seed for reproducible images (Together, SiliconFlow)
+   */
+  seed: z.number().int().optional()
+}).superRefine((data, ctx) => {
+  if (data.provider === 'siliconflow' && data.responseFormat === 'b64_json') {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['responseFormat'],
+      message: 'siliconflow only returns image URLs'
+    });
+  }
+});
+
+/**
+ * Chat providers that can serve a safety classifier model (Llama Guard) for moderation
+ */
+const moderation_chat_provider_schema = z.enum(['groq', 'together', 'ollama']);
+
+/**
+ * Moderation input schema
+ * OpenAI uses its /moderations endpoint, the other providers run a Llama Guard
+ * chat model whose verdict is parsed into the same categories
+ *
+ * Provider Support:
+ * - OpenAI: /v1/moderations (omni-moderation-latest, text-moderation-latest)
+ *   Reference: https://platform.openai.com/docs/api-reference/moderations
+ * - Groq: meta-llama/llama-guard-4-12b
+ *   Reference: https://console.groq.com/docs/content-moderation
+ * - Together AI: meta-llama/Meta-Llama-Guard-3-8B
+ *   Reference: https://docs.together.ai/docs/llama-guard
+ * - Ollama: llama-guard3
+ *   Reference: https://ollama.com/library/llama-guard3
+ */
+const moderation_input_schema = z.object({
+  /**
+   * Provider serving the moderation or safety classifier model
+   */
+  provider: z.enum(['openai']).or(moderation_chat_provider_schema),
+
+  /**
+   * API key (optional for Ollama)
+   */
+  apiKey: z.string().optional(),
+
+  /**
+   * Moderation model identifier (e.g. 'omni-moderation-latest', 'meta-llama/llama-guard-4-12b')
+   */
+  model: z.string().min(1),
+
+  /**
+   * Text or texts to classify, results are returned in the same order
+   */
+  input: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]),
+
+  /**
+   * Safety classifier chat model used when the primary request fails
+   */
+  fallback: z.object({
+    provider: moderation_chat_provider_schema,
+    apiKey: z.string().optional(),
+    model: z.string().min(1)
+  }).optional()
+});
+
+/**
+ * Rerank input schema
+ *
+ * Provider Support:
+ * - Together AI: /v1/rerank (Salesforce/Llama-Rank-V1)
+ *   Reference: https://docs.together.ai/reference/rerank-1
+ * - SiliconFlow: /v1/rerank (BAAI/bge-reranker-v2-m3)
+ *   Reference: https://docs.siliconflow.cn/api-reference/rerank/create-rerank
+ */
+const rerank_input_schema = z.object({
+  /**
+   * Provider serving the rerank model
+   */
+  provider: z.enum(['together', 'siliconflow']),
+
+  /**
+   * API key for the provider
+   */
+  apiKey: z.string().optional(),
+
+  /**
+   * Rerank model identifier
+   */
+  model: z.string().min(1),
+
+  /**
+   * Search query the documents are ranked against
+   */
+  query: z.string().min(1),
+
+  /**
+   * Documents to rank
+   */
+  documents: z.array(z.string()).min(1),
+
+  /**
+   * Number of most relevant documents to return (all by default)
+   */
+  topN: z.number().int().min(1).optional()
+});
+
 module.exports = {
-  llm_input_schema
+  // Defined in provider_registry, re-exported for existing imports
+  BUILT_IN_PROVIDERS,
+  llm_input_schema,
+  embedding_input_schema,
+  transcription_input_schema,
+  speech_input_schema,
+  image_generation_input_schema,
+  moderation_input_schema,
+  rerank_input_schema,
+  message_schema,
+  content_part_schema,
+  tool_call_schema
 };
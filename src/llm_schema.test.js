@@ -1,3 +1,4 @@
+const { z } = require('zod');
 const { llm_input_schema } = require('./llm_schema');
 
 describe('llm_input_schema', () => {
@@ -83,6 +84,83 @@ describe('llm_input_schema', () => {
         });
       }).toThrow();
     });
+
+    it('should accept a tool-call round-trip', () => {
+      const result = llm_input_schema.parse({
+        ...validBaseInput,
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          {
+            role: 'assistant',
+            content: null,
+            toolCalls: [{ id: 'call_1', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+          },
+          { role: 'tool', content: '18°C', toolCallId: 'call_1' }
+        ]
+      });
+
+      expect(result.messages[1].toolCalls[0].type).toBe('function');
+    });
+
+    it('should accept multimodal content parts', () => {
+      expect(() => {
+        llm_input_schema.parse({
+          ...validBaseInput,
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: 'Compare these' },
+              { type: 'image', url: 'https://example.com/cat.png' },
+              { type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' },
+              { type: 'audio', data: 'UklGRg==', mimeType: 'audio/wav' },
+              { type: 'document', data: 'JVBERi0=', mimeType: 'application/pdf', filename: 'report.pdf' }
+            ]
+          }]
+        });
+      }).not.toThrow();
+    });
+
+    it('should validate media part sources, MIME types and sizes', () => {
+      const parse = (part) => llm_input_schema.safeParse({
+        ...validBaseInput,
+        messages: [{ role: 'user', content: [part] }]
+      });
+
+      expect(parse({ type: 'image' }).success).toBe(false);
+      expect(parse({ type: 'image', url: 'https://example.com/cat.png', data: 'iVBORw0KGgo=' }).success).toBe(false);
+      expect(parse({ type: 'image', data: 'iVBORw0KGgo=' }).success).toBe(false);
+      expect(parse({ type: 'image', data: 'data:image/png;base64,iVBORw0KGgo=', mimeType: 'image/png' }).success).toBe(false);
+      expect(parse({ type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/tiff' }).success).toBe(false);
+      expect(parse({ type: 'document', data: 'A'.repeat(44 * 1024 * 1024), mimeType: 'application/pdf' }).success).toBe(false);
+    });
+
+    it('should reject empty content part arrays', () => {
+      expect(() => {
+        llm_input_schema.parse({ ...validBaseInput, messages: [{ role: 'user', content: [] }] });
+      }).toThrow();
+    });
+
+    it('should reject toolCalls on non-assistant messages', () => {
+      expect(() => {
+        llm_input_schema.parse({
+          ...validBaseInput,
+          messages: [{
+            role: 'user',
+            content: 'Hi',
+            toolCalls: [{ id: 'call_1', function: { name: 'f', arguments: '{}' } }]
+          }]
+        });
+      }).toThrow();
+    });
+
+    it('should reject toolCallId on non-tool messages', () => {
+      expect(() => {
+        llm_input_schema.parse({
+          ...validBaseInput,
+          messages: [{ role: 'user', content: 'Hi', toolCallId: 'call_1' }]
+        });
+      }).toThrow();
+    });
   });
 
   describe('Parameter validation', () => {
@@ -149,6 +227,20 @@ describe('llm_input_schema', () => {
       }).not.toThrow();
     });
 
+    it('should accept Ollama numCtx and keepAlive', () => {
+      expect(() => {
+        llm_input_schema.parse({ ...validBaseInput, provider: 'ollama', numCtx: 8192, keepAlive: '5m' });
+      }).not.toThrow();
+
+      expect(() => {
+        llm_input_schema.parse({ ...validBaseInput, provider: 'ollama', keepAlive: -1 });
+      }).not.toThrow();
+
+      expect(() => {
+        llm_input_schema.parse({ ...validBaseInput, numCtx: 0 });
+      }).toThrow();
+    });
+
     it('should work without optional fields', () => {
       expect(() => {
         llm_input_schema.parse(validBaseInput);
@@ -156,6 +248,26 @@ describe('llm_input_schema', () => {
     });
   });
 
+  describe('Response format validation', () => {
+    it('should accept a Zod schema for json_schema outputs', () => {
+      expect(() => {
+        llm_input_schema.parse({
+          ...validBaseInput,
+          responseFormat: { type: 'json_schema', name: 'weather', schema: z.object({ city: z.string() }) }
+        });
+      }).not.toThrow();
+    });
+
+    it('should reject json_schema outputs without a Zod schema', () => {
+      expect(() => {
+        llm_input_schema.parse({
+          ...validBaseInput,
+          responseFormat: { type: 'json_schema', schema: { type: 'object' } }
+        });
+      }).toThrow('schema must be a Zod schema');
+    });
+  });
+
   describe('Tools validation', () => {
     it('should accept valid tools', () => {
       const inputWithTools = {
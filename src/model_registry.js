@@ -0,0 +1,318 @@
+/**
+ * Model Registry
+ *
+ * Capability data (context window, output limit, modalities, tool and JSON mode
+ * support, pricing, deprecation date) keyed by provider and model id, built from
+ * the latest collected_info/all_providers_*.json written by provider_info_collector.js.
+ *
+ * Values the collected data does not hold are null, meaning "unknown", so callers
+ * should only act on explicit values (e.g. supportsTools === false). The collected
+ * data is a snapshot and may be outdated, so it should inform rather than block
+ * requests. Entries can be added or corrected at runtime with register_model_info.
+ *
+ * The registry is read once when this module is loaded, never during a request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory the provider info collector writes to
+ */
+const COLLECTED_INFO_DIR = path.join(__dirname, '..', 'collected_info');
+
+/**
+ * File names of complete collector runs, the date sorts chronologically
+ */
+const COLLECTED_FILE_PATTERN = /^all_providers_\d{4}-\d{2}-\d{2}\.json$/;
+
+/**
+ * Current registry, { [provider]: { [modelId]: modelInfo } }, loaded at the end of this module
+ */
+let registry = {};
+
+/**
+ * Converts a Unix timestamp (seconds) or date string into an ISO 8601 string
+ * @param {number|string|undefined} value - Creation time
+ * @returns {string|null} ISO 8601 date, or null when unknown
+ */
+const to_iso_date = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Reads input and output modalities when the provider reports them
+ * @param {Object} model - Raw model entry
+ * @returns {Object|null} { input, output } modality lists, or null when unknown
+ */
+const get_modalities = (model) => {
+  const architecture = model.architecture;
+  if (architecture?.input_modalities || architecture?.output_modalities) {
+    return {
+      input: architecture.input_modalities || [],
+      output: architecture.output_modalities || []
+    };
+  }
+  if (typeof architecture?.modality === 'string' && architecture.modality.includes('->')) {
+    const [input, output] = architecture.modality.split('->');
+    return { input: input.split('+'), output: output.split('+') };
+  }
+  if (model.input_modalities || model.output_modalities) {
+    return { input: model.input_modalities || [], output: model.output_modalities || [] };
+  }
+  return null;
+};
+
+/**
+ * Normalizes one model entry from a provider's model list
+ *
+ * @param {string} provider - The provider name
+ * @param {Object} model - Raw model entry
+ * @returns {Object} { id, displayName, contextWindow, outputLimit, modalities, created, raw }
+ *   where unknown values are null
+ *
+ * @example
+ * normalize_model('google', { name: 'models/gemini-2.0-flash', displayName: 'Gemini 2.0 Flash',
+ *   inputTokenLimit: 1048576, outputTokenLimit: 8192 });
+ * // Returns: { id: 'gemini-2.0-flash', displayName: 'Gemini 2.0 Flash', contextWindow: 1048576,
+ * //            outputLimit: 8192, modalities: null, created: null, raw: {...} }
+ */
+const normalize_model = (provider, model) => {
+  switch (provider) {
+    case 'google':
+      return {
+        id: model.name.replace(/^models\//, ''),
+        displayName: model.displayName || model.name,
+        contextWindow: model.inputTokenLimit || null,
+        outputLimit: model.outputTokenLimit || null,
+        modalities: null,
+        created: null,
+        raw: model
+      };
+
+    case 'ollama':
+      return {
+        id: model.model || model.name,
+        displayName: model.name,
+        contextWindow: null,
+        outputLimit: null,
+        modalities: null,
+        created: to_iso_date(model.modified_at),
+        raw: model
+      };
+
+    case 'gh-models':
+      return {
+        id: model.name || model.id,
+        displayName: model.friendly_name || model.name || model.id,
+        contextWindow: model.model_limits?.max_input_tokens || null,
+        outputLimit: model.model_limits?.max_output_tokens || null,
+        modalities: model.supported_input_modalities
+          ? { input: model.supported_input_modalities, output: model.supported_output_modalities || [] }
+          : null,
+        created: null,
+        raw: model
+      };
+
+    default:
+      return {
+        id: model.id,
+        displayName: model.display_name || model.name || model.id,
+        contextWindow: model.context_length || model.context_window || model.top_provider?.context_length ||
+          model.max_input_tokens || model.max_tokens || null,
+        outputLimit: model.top_provider?.max_completion_tokens || model.max_completion_tokens ||
+          model.max_output_tokens || null,
+        modalities: get_modalities(model),
+        created: to_iso_date(model.created ?? model.created_at),
+        raw: model
+      };
+  }
+};
+
+/**
+ * Builds the entry provider_info_collector.js stores for one model
+ * The normalized fields come from normalize_model, the function list_models uses,
+ * so collected data and live listings cannot drift apart. The raw fields the
+ * registry derives capabilities and pricing from are kept next to them.
+ *
+ * @param {string} provider - The provider name
+ * @param {Object} model - Raw model entry from the provider's model list
+ * @returns {Object} { id, displayName, contextWindow, outputLimit, modalities, created,
+ *   description, pricing, supported_parameters, task, expiration_date }
+ */
+const to_collected_model = (provider, model) => {
+  const { raw, ...normalized } = normalize_model(provider, model);
+
+  return {
+    ...normalized,
+    description: model.description || null,
+    pricing: model.pricing || null,
+    supported_parameters: model.supported_parameters || null,
+    task: model.task || null,
+    expiration_date: model.expiration_date || null
+  };
+};
+
+/**
+ * Reads whether a model supports one of the given request parameters
+ * OpenRouter lists supported_parameters, GitHub Models tags embedding models by task
+ * @param {Object} model - Raw model entry
+ * @param {Array<string>} parameters - Parameter names that indicate support
+ * @returns {boolean|null} Support, or null when unknown
+ */
+const get_parameter_support = (model, parameters) => {
+  if (Array.isArray(model.supported_parameters)) {
+    return parameters.some(parameter => model.supported_parameters.includes(parameter));
+  }
+  if (model.task === 'embeddings') {
+    return false;
+  }
+  return null;
+};
+
+/**
+ * Converts per-token prices into prices per million tokens
+ * @param {Object} model - Raw model entry
+ * @returns {Object|null} { inputPerMillion, outputPerMillion } in USD, or null when unknown
+ */
+const get_pricing = (model) => {
+  const input = Number(model.pricing?.prompt);
+  const output = Number(model.pricing?.completion);
+  if (!model.pricing || Number.isNaN(input) || Number.isNaN(output)) {
+    return null;
+  }
+  return {
+    inputPerMillion: Number((input * 1e6).toFixed(6)),
+    outputPerMillion: Number((output * 1e6).toFixed(6))
+  };
+};
+
+/**
+ * Builds the registry entry of one model
+ * Entries written by to_collected_model are already normalized, entries of
+ * older collector runs and API entries go through normalize_model
+ * @param {string} provider - The provider name
+ * @param {Object} model - Raw model entry (API or collector format)
+ * @returns {Object} Model info
+ */
+const to_model_info = (provider, model) => {
+  const { id, displayName, contextWindow, outputLimit, modalities, created } = 'contextWindow' in model
+    ? model
+    : normalize_model(provider, model);
+  const normalized = { id, displayName, contextWindow, outputLimit, modalities, created };
+
+  return {
+    provider,
+    ...normalized,
+    supportsTools: get_parameter_support(model, ['tools']),
+    supportsJsonMode: get_parameter_support(model, ['response_format', 'structured_outputs']),
+    pricing: get_pricing(model),
+    deprecationDate: to_iso_date(model.expiration_date ?? model.deprecation_date)
+  };
+};
+
+/**
+ * Builds a registry from collector output
+ * Scraped and documentation entries are skipped because their ids are page
+ * text rather than API model ids, and the Ollama entry is the runtime release
+ *
+ * @param {Array<Object>} collected - Collector output ([{ provider, models }])
+ * @returns {Object} Registry, { [provider]: { [modelId]: modelInfo } }
+ */
+const build_model_registry = (collected) => {
+  const built = {};
+
+  for (const { provider, models } of collected) {
+    if (provider === 'ollama' || !Array.isArray(models)) {
+      continue;
+    }
+    for (const model of models.filter(entry => !entry.source)) {
+      const info = to_model_info(provider, model);
+      built[provider] = built[provider] || {};
+      built[provider][info.id] = info;
+    }
+  }
+
+  return built;
+};
+
+/**
+ * Loads the registry from the latest collector run and makes it the current registry
+ * An empty registry is used when no collected data is available
+ *
+ * @param {string} [directory] - Directory holding all_providers_*.json files
+ * @returns {Object} The loaded registry
+ */
+const load_model_registry = (directory = COLLECTED_INFO_DIR) => {
+  const files = fs.existsSync(directory)
+    ? fs.readdirSync(directory).filter(file => COLLECTED_FILE_PATTERN.test(file)).sort()
+    : [];
+
+  registry = files.length > 0
+    ? build_model_registry(JSON.parse(fs.readFileSync(path.join(directory, files[files.length - 1]), 'utf8')))
+    : {};
+  return registry;
+};
+
+/**
+ * Looks up the capabilities of a model
+ *
+ * @param {string} provider - The provider name
+ * @param {string} model - Model id as sent in requests (Gemini ids may keep the 'models/' prefix)
+ * @returns {Object|null} { provider, id, displayName, contextWindow, outputLimit, modalities, created,
+ *   supportsTools, supportsJsonMode, pricing, deprecationDate }, or null for unknown models
+ *
+ * @example
+ * get_model_info('openrouter', 'openai/gpt-4o');
+ * // Returns: { provider: 'openrouter', id: 'openai/gpt-4o', contextWindow: 128000,
+ * //            pricing: { inputPerMillion: 2.5, outputPerMillion: 10 }, ... }
+ */
+const get_model_info = (provider, model) => {
+  const models = registry[provider] || {};
+  const id = provider === 'google' ? model.replace(/^models\//, '') : model;
+  return models[id] || null;
+};
+
+/**
+ * Adds or corrects the capabilities of a model in the current registry
+ * Given fields override the collected ones, other fields are kept
+ *
+ * @param {string} provider - The provider name
+ * @param {string} model - Model id
+ * @param {Object} info - Model info fields to set (e.g. { outputLimit: 8192, supportsTools: true })
+ * @returns {Object} The updated model info
+ */
+const register_model_info = (provider, model, info) => {
+  const unknown = {
+    provider,
+    id: model,
+    displayName: model,
+    contextWindow: null,
+    outputLimit: null,
+    modalities: null,
+    created: null,
+    supportsTools: null,
+    supportsJsonMode: null,
+    pricing: null,
+    deprecationDate: null
+  };
+
+  registry[provider] = registry[provider] || {};
+  registry[provider][model] = { ...unknown, ...registry[provider][model], ...info, provider, id: model };
+  return registry[provider][model];
+};
+
+load_model_registry();
+
+module.exports = {
+  normalize_model,
+  to_collected_model,
+  build_model_registry,
+  load_model_registry,
+  get_model_info,
+  register_model_info
+};
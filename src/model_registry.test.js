@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalize_model,
+  to_collected_model,
+  build_model_registry,
+  load_model_registry,
+  get_model_info,
+  register_model_info
+} = require('./model_registry');
+
+describe('model_registry', () => {
+  describe('normalize_model', () => {
+    it('should normalize OpenAI-compatible entries', () => {
+      expect(normalize_model('groq', {
+        id: 'llama-3.3-70b-versatile',
+        object: 'model',
+        created: 1733447754,
+        owned_by: 'Meta',
+        context_window: 131072,
+        max_completion_tokens: 32768
+      })).toEqual({
+        id: 'llama-3.3-70b-versatile',
+        displayName: 'llama-3.3-70b-versatile',
+        contextWindow: 131072,
+        outputLimit: 32768,
+        modalities: null,
+        created: '2024-12-06T01:15:54.000Z',
+        raw: expect.any(Object)
+      });
+    });
+
+    it('should read OpenRouter architecture and limits', () => {
+      const model = normalize_model('openrouter', {
+        id: 'openai/gpt-4o',
+        name: 'OpenAI: GPT-4o',
+        created: 1715367049,
+        context_length: 128000,
+        architecture: { modality: 'text+image->text', input_modalities: ['text', 'image'], output_modalities: ['text'] },
+        top_provider: { context_length: 128000, max_completion_tokens: 16384 }
+      });
+
+      expect(model).toMatchObject({
+        displayName: 'OpenAI: GPT-4o',
+        contextWindow: 128000,
+        outputLimit: 16384,
+        modalities: { input: ['text', 'image'], output: ['text'] }
+      });
+    });
+
+    it('should normalize Anthropic and Gemini entries', () => {
+      expect(normalize_model('anthropic', {
+        type: 'model',
+        id: 'claude-sonnet-4-20250514',
+        display_name: 'Claude Sonnet 4',
+        created_at: '2025-05-22T00:00:00Z'
+      })).toMatchObject({ id: 'claude-sonnet-4-20250514', displayName: 'Claude Sonnet 4', created: '2025-05-22T00:00:00.000Z' });
+
+      expect(normalize_model('google', {
+        name: 'models/gemini-2.0-flash',
+        displayName: 'Gemini 2.0 Flash',
+        inputTokenLimit: 1048576,
+        outputTokenLimit: 8192
+      })).toMatchObject({ id: 'gemini-2.0-flash', displayName: 'Gemini 2.0 Flash', contextWindow: 1048576, outputLimit: 8192 });
+    });
+  });
+
+  describe('to_collected_model', () => {
+    const raw = {
+      id: 'openai/gpt-4o',
+      name: 'OpenAI: GPT-4o',
+      description: 'GPT-4o',
+      context_length: 128000,
+      top_provider: { context_length: 128000, max_completion_tokens: 16384 },
+      pricing: { prompt: '0.0000025', completion: '0.00001' },
+      supported_parameters: ['tools'],
+      created: 1715367049
+    };
+
+    it('should store the normalize_model fields without the raw entry', () => {
+      const { raw: ignored, ...normalized } = normalize_model('openrouter', raw);
+
+      expect(to_collected_model('openrouter', raw)).toEqual({
+        ...normalized,
+        description: 'GPT-4o',
+        pricing: raw.pricing,
+        supported_parameters: ['tools'],
+        task: null,
+        expiration_date: null
+      });
+    });
+
+    it('should build the same registry entry as the raw API entry', () => {
+      const fromCollected = build_model_registry([{ provider: 'openrouter', models: [to_collected_model('openrouter', raw)] }]);
+      const fromRaw = build_model_registry([{ provider: 'openrouter', models: [raw] }]);
+
+      expect(fromCollected).toEqual(fromRaw);
+      expect(fromCollected.openrouter['openai/gpt-4o'].outputLimit).toBe(16384);
+    });
+  });
+
+  describe('build_model_registry', () => {
+    const collected = [
+      {
+        provider: 'openrouter',
+        models: [{
+          id: 'openai/gpt-4o',
+          name: 'OpenAI: GPT-4o',
+          context_length: 128000,
+          pricing: { prompt: '0.0000025', completion: '0.00001' },
+          created: 1715367049,
+          supported_parameters: ['tools', 'response_format', 'temperature'],
+          expiration_date: '2026-01-01'
+        }]
+      },
+      {
+        provider: 'gh-models',
+        models: [{ id: 'azureml://registries/azure-openai/models/text-embedding-3-small/versions/1', name: 'text-embedding-3-small', task: 'embeddings' }]
+      },
+      { provider: 'anthropic', models: [{ id: 'claude haiku 3.5', name: 'Claude Haiku 3.5', source: 'documentation' }] },
+      { provider: 'ollama', models: [{ id: 'ollama', name: 'Ollama', version: 'v0.9.0' }] }
+    ];
+
+    it('should build model info keyed by provider and model id', () => {
+      const registry = build_model_registry(collected);
+
+      expect(registry.openrouter['openai/gpt-4o']).toEqual({
+        provider: 'openrouter',
+        id: 'openai/gpt-4o',
+        displayName: 'OpenAI: GPT-4o',
+        contextWindow: 128000,
+        outputLimit: null,
+        modalities: null,
+        created: '2024-05-10T18:50:49.000Z',
+        supportsTools: true,
+        supportsJsonMode: true,
+        pricing: { inputPerMillion: 2.5, outputPerMillion: 10 },
+        deprecationDate: '2026-01-01T00:00:00.000Z'
+      });
+      expect(registry['gh-models']['text-embedding-3-small']).toMatchObject({ supportsTools: false, supportsJsonMode: false });
+    });
+
+    it('should skip scraped entries and the Ollama release entry', () => {
+      const registry = build_model_registry(collected);
+      expect(registry.anthropic).toBeUndefined();
+      expect(registry.ollama).toBeUndefined();
+    });
+  });
+
+  describe('load_model_registry and get_model_info', () => {
+    afterAll(() => {
+      load_model_registry();
+    });
+
+    it('should load the latest collector run', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+      fs.writeFileSync(path.join(directory, 'all_providers_2025-01-01.json'), JSON.stringify([
+        { provider: 'groq', models: [{ id: 'old-model' }] }
+      ]));
+      fs.writeFileSync(path.join(directory, 'all_providers_2025-06-01.json'), JSON.stringify([
+        { provider: 'groq', models: [{ id: 'llama-3.3-70b-versatile', context_length: 131072 }] },
+        { provider: 'google', models: [{ id: 'models/gemini-2.0-flash', name: 'models/gemini-2.0-flash', outputTokenLimit: 8192 }] }
+      ]));
+
+      load_model_registry(directory);
+      fs.rmSync(directory, { recursive: true, force: true });
+
+      expect(get_model_info('groq', 'old-model')).toBeNull();
+      expect(get_model_info('groq', 'llama-3.3-70b-versatile').contextWindow).toBe(131072);
+      expect(get_model_info('google', 'models/gemini-2.0-flash').outputLimit).toBe(8192);
+      expect(get_model_info('google', 'gemini-2.0-flash').outputLimit).toBe(8192);
+    });
+
+    it('should use an empty registry when no data was collected', () => {
+      load_model_registry(path.join(os.tmpdir(), 'model-registry-missing'));
+      expect(get_model_info('openrouter', 'openai/gpt-4o')).toBeNull();
+    });
+
+    it('should read the bundled collected_info data by default', () => {
+      load_model_registry();
+      expect(get_model_info('openrouter', 'openai/gpt-4o')).toMatchObject({ contextWindow: 128000 });
+    });
+
+    it('should let callers add and correct model info', () => {
+      load_model_registry();
+      register_model_info('openrouter', 'openai/gpt-4o', { supportsTools: true, outputLimit: 16384 });
+      register_model_info('anthropic', 'claude-sonnet-4-20250514', { outputLimit: 64000 });
+
+      expect(get_model_info('openrouter', 'openai/gpt-4o')).toMatchObject({ contextWindow: 128000, supportsTools: true, outputLimit: 16384 });
+      expect(get_model_info('anthropic', 'claude-sonnet-4-20250514')).toMatchObject({ outputLimit: 64000, contextWindow: null });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Moderation Module
+ *
+ * Classifies text as safe or unsafe before it is sent to a chat model. Results
+ * are normalized into { flagged, categories, scores } per input, whether they come
+ * from OpenAI's /moderations endpoint or from a Llama Guard chat model.
+ *
+ * Llama Guard replies with 'safe', or 'unsafe' followed by hazard codes (S1-S14).
+ * The codes are mapped to OpenAI category names where one exists, so callers can
+ * check e.g. `categories.hate` regardless of the backend. Llama Guard gives no
+ * probabilities, so its scores are 1 for flagged categories and 0 otherwise.
+ */
+
+const {
+  execute_request,
+  create_provider_headers,
+  send_request,
+  sanitize_request_error,
+  validateUrl
+} = require('./create_request');
+const { llm_input_schema } = require('./llm_schema');
+const { getModerationEndpoint } = require('./config/url_config');
+
+/**
+ * Llama Guard hazard codes and the normalized category each one maps to
+ * Reference: https://huggingface.co/meta-llama/Llama-Guard-3-8B#hazard-taxonomy-and-policy
+ */
+const LLAMA_GUARD_CATEGORIES = {
+  S1: 'violence',
+  S2: 'illicit',
+  S3: 'sex_crimes',
+  S4: 'sexual/minors',
+  S5: 'defamation',
+  S6: 'specialized_advice',
+  S7: 'privacy',
+  S8: 'intellectual_property',
+  S9: 'illicit/violent',
+  S10: 'hate',
+  S11: 'self-harm',
+  S12: 'sexual',
+  S13: 'elections',
+  S14: 'code_interpreter_abuse'
+};
+
+/**
+ * Parses a Llama Guard reply into a normalized moderation result
+ * @param {string} text - Model reply ('safe', or 'unsafe' and a line of comma separated codes)
+ * @param {string} model - Model name, used in the error message
+ * @returns {Object} { flagged, categories, scores }
+ * @throws {Error} When the reply is not a Llama Guard verdict
+ *
+ * @example
+ * parse_llama_guard_output('unsafe\nS1,S10', 'llama-guard3');
+ * // Returns: { flagged: true, categories: { violence: true, hate: true, ... }, scores: { violence: 1, hate: 1, ... } }
+ */
+const parse_llama_guard_output = (text, model) => {
+  const [verdict, codes = ''] = (text || '').trim().split(/\s*\n\s*/);
+  if (!['safe', 'unsafe'].includes(verdict)) {
+    throw new Error(`Unexpected moderation output from ${model}: ${text}`);
+  }
+
+  const flaggedCodes = verdict === 'unsafe' ? codes.split(',').map(code => code.trim()) : [];
+  const categories = {};
+  const scores = {};
+  for (const [code, category] of Object.entries(LLAMA_GUARD_CATEGORIES)) {
+    categories[category] = categories[category] || flaggedCodes.includes(code);
+    scores[category] = categories[category] ? 1 : 0;
+  }
+
+  return { flagged: verdict === 'unsafe', categories, scores };
+};
+
+/**
+ * Normalizes an OpenAI moderation response
+ * @param {Object} payload - Response body
+ * @returns {Array<Object>} Results as { flagged, categories, scores }, in input order
+ */
+const normalize_moderation_response = (payload) => {
+  return payload.results.map(result => ({
+    flagged: result.flagged,
+    categories: result.categories,
+    scores: result.category_scores
+  }));
+};
+
+/**
+ * Creates the axios request configuration for an OpenAI moderation request
+ *
+ * @param {Object} validatedData - The validated moderation input (provider 'openai')
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration
+ * @throws {Error} When the API key is missing
+ */
+const create_moderation_request = (validatedData, options = {}) => {
+  if (!validatedData.apiKey) {
+    throw new Error(`API key is required for provider: ${validatedData.provider}`);
+  }
+
+  return {
+    method: 'POST',
+    url: validateUrl(options.url || getModerationEndpoint(validatedData.provider)),
+    data: { model: validatedData.model, input: validatedData.input },
+    headers: {
+      ...create_provider_headers(validatedData),
+      ...options.headers
+    }
+  };
+};
+
+/**
+ * Classifies each input with a Llama Guard chat model
+ * Inputs are sent one at a time, since Llama Guard rates a whole conversation
+ * @param {Object} classifier - { provider, apiKey, model }
+ * @param {Array<string>} inputs - Texts to classify
+ * @param {Object} options - Request options passed to execute_request
+ * @returns {Promise<Object>} { results, raw }
+ */
+const moderate_with_chat_model = async (classifier, inputs, options) => {
+  const results = [];
+  const raw = [];
+
+  for (const input of inputs) {
+    const response = await execute_request(llm_input_schema, {
+      provider: classifier.provider,
+      apiKey: classifier.apiKey,
+      model: classifier.model,
+      messages: [{ role: 'user', content: input }],
+      temperature: 0
+    }, options);
+
+    results.push(parse_llama_guard_output(response.text, classifier.model));
+    raw.push(response.raw);
+  }
+
+  return { results, raw };
+};
+
+/**
+ * Runs one moderation backend
+ * @param {Object} backend - { provider, apiKey, model }
+ * @param {Array<string>} inputs - Texts to classify
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Promise<Object>} { results, raw }
+ */
+const run_moderation = async (backend, inputs, options) => {
+  if (backend.provider !== 'openai') {
+    return moderate_with_chat_model(backend, inputs, options);
+  }
+
+  try {
+    const response = await send_request(create_moderation_request({ ...backend, input: inputs }, options), backend.provider);
+    return { results: normalize_moderation_response(response.data), raw: response.data };
+  } catch (error) {
+    throw sanitize_request_error(error);
+  }
+};
+
+/**
+ * Classifies text with a moderation model
+ *
+ * When the primary request fails and a fallback classifier is configured, the
+ * fallback is used instead and `usedFallback` is true. Request options only apply
+ * to the primary request.
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (moderation_input_schema)
+ * @param {Object} data - The input data to validate
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Promise<Object>} { results, flagged, model, provider, usedFallback, raw } where
+ *   results holds one { flagged, categories, scores } per input and flagged is true
+ *   when any input is flagged
+ * @throws {Error} Sanitized error messages that don't leak sensitive information
+ *
+ * @example
+ * const { flagged, results } = await moderate(moderation_input_schema, {
+ *   provider: 'openai',
+ *   apiKey: process.env.OPENAI_API_KEY,
+ *   model: 'omni-moderation-latest',
+ *   input: userMessage,
+ *   fallback: { provider: 'groq', apiKey: process.env.GROQ_API_KEY, model: 'meta-llama/llama-guard-4-12b' }
+ * });
+ */
+const moderate = async (schema, data, options = {}) => {
+  const validatedData = schema.parse(data);
+  const inputs = Array.isArray(validatedData.input) ? validatedData.input : [validatedData.input];
+
+  let backend = validatedData;
+  let moderation;
+  try {
+    moderation = await run_moderation(backend, inputs, options);
+  } catch (error) {
+    if (!validatedData.fallback) {
+      throw error;
+    }
+    backend = validatedData.fallback;
+    moderation = await run_moderation(backend, inputs, {});
+  }
+
+  return {
+    results: moderation.results,
+    flagged: moderation.results.some(result => result.flagged),
+    model: backend.model,
+    provider: backend.provider,
+    usedFallback: backend === validatedData.fallback,
+    raw: moderation.raw
+  };
+};
+
+module.exports = {
+  LLAMA_GUARD_CATEGORIES,
+  parse_llama_guard_output,
+  normalize_moderation_response,
+  create_moderation_request,
+  moderate
+};
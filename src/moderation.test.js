@@ -0,0 +1,132 @@
+const axios = require('axios');
+const { moderation_input_schema } = require('./llm_schema');
+const {
+  parse_llama_guard_output,
+  normalize_moderation_response,
+  moderate
+} = require('./moderation');
+
+jest.mock('axios');
+
+const chat_response = (content) => ({
+  data: {
+    id: 'chatcmpl-1',
+    model: 'meta-llama/llama-guard-4-12b',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+  }
+});
+
+describe('moderation', () => {
+  const openaiInput = {
+    provider: 'openai',
+    apiKey: 'test-key',
+    model: 'omni-moderation-latest',
+    input: 'I want to hurt them'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parse_llama_guard_output', () => {
+    it('should parse safe verdicts', () => {
+      const result = parse_llama_guard_output('safe', 'llama-guard3');
+      expect(result.flagged).toBe(false);
+      expect(Object.values(result.categories).every(value => value === false)).toBe(true);
+      expect(result.scores.hate).toBe(0);
+    });
+
+    it('should keep sex-related crimes apart from sexual content', () => {
+      const result = parse_llama_guard_output('unsafe\nS3', 'llama-guard3');
+
+      expect(result.categories).toMatchObject({ sex_crimes: true, sexual: false });
+      expect(result.scores).toMatchObject({ sex_crimes: 1, sexual: 0 });
+    });
+
+    it('should map hazard codes to categories', () => {
+      const result = parse_llama_guard_output('\n\nunsafe\nS1,S12', 'llama-guard3');
+      expect(result.flagged).toBe(true);
+      expect(result.categories).toMatchObject({ violence: true, sexual: true, hate: false });
+      expect(result.scores).toMatchObject({ violence: 1, sexual: 1, hate: 0 });
+    });
+
+    it('should reject replies that are not a verdict', () => {
+      expect(() => parse_llama_guard_output('I cannot help with that', 'llama-guard3'))
+        .toThrow('Unexpected moderation output from llama-guard3: I cannot help with that');
+    });
+  });
+
+  describe('normalize_moderation_response', () => {
+    it('should rename category_scores to scores', () => {
+      expect(normalize_moderation_response({
+        results: [{ flagged: true, categories: { violence: true }, category_scores: { violence: 0.91 } }]
+      })).toEqual([{ flagged: true, categories: { violence: true }, scores: { violence: 0.91 } }]);
+    });
+  });
+
+  describe('moderate', () => {
+    it('should call the OpenAI moderation endpoint', async () => {
+      axios.mockResolvedValue({
+        data: {
+          model: 'omni-moderation-latest',
+          results: [{ flagged: true, categories: { violence: true }, category_scores: { violence: 0.9 } }]
+        }
+      });
+
+      const result = await moderate(moderation_input_schema, openaiInput);
+
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://api.openai.com/v1/moderations',
+        data: { model: 'omni-moderation-latest', input: ['I want to hurt them'] }
+      }));
+      expect(result).toMatchObject({
+        flagged: true,
+        provider: 'openai',
+        model: 'omni-moderation-latest',
+        usedFallback: false,
+        results: [{ flagged: true, categories: { violence: true }, scores: { violence: 0.9 } }]
+      });
+    });
+
+    it('should classify each input with a Llama Guard chat model', async () => {
+      axios
+        .mockResolvedValueOnce(chat_response('safe'))
+        .mockResolvedValueOnce(chat_response('unsafe\nS10'));
+
+      const result = await moderate(moderation_input_schema, {
+        provider: 'groq',
+        apiKey: 'test-key',
+        model: 'meta-llama/llama-guard-4-12b',
+        input: ['Hello', 'Hateful text']
+      });
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(axios.mock.calls[1][0].data.messages).toEqual([{ role: 'user', content: 'Hateful text' }]);
+      expect(result.flagged).toBe(true);
+      expect(result.results.map(item => item.flagged)).toEqual([false, true]);
+      expect(result.results[1].categories.hate).toBe(true);
+    });
+
+    it('should use the fallback classifier when the primary request fails', async () => {
+      axios
+        .mockRejectedValueOnce({ response: { status: 503, data: {} } })
+        .mockResolvedValueOnce({
+          data: { model: 'llama-guard3', message: { role: 'assistant', content: 'safe' }, done: true, done_reason: 'stop' }
+        });
+
+      const result = await moderate(moderation_input_schema, {
+        ...openaiInput,
+        fallback: { provider: 'ollama', model: 'llama-guard3' }
+      });
+
+      expect(axios.mock.calls[1][0].url).toBe('http://localhost:11434/api/chat');
+      expect(result).toMatchObject({ flagged: false, provider: 'ollama', model: 'llama-guard3', usedFallback: true });
+    });
+
+    it('should throw sanitized errors without a fallback', async () => {
+      axios.mockRejectedValue({ response: { status: 401, data: {} } });
+
+      await expect(moderate(moderation_input_schema, openaiInput)).rejects.toThrow('HTTP 401: Request failed');
+    });
+  });
+});
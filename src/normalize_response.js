@@ -0,0 +1,375 @@
+/**
+ * Response Normalization Module
+ *
+ * Converts provider-specific chat completion payloads into a single result shape
+ * so callers do not need to know where each provider puts the generated text:
+ * - OpenAI-compatible: choices[0].message.content
+ * - Anthropic: content[].text blocks
+ * - Google Gemini: candidates[0].content.parts[].text
+ * - Ollama: message.content
+ * - Hugging Face Inference: [{ generated_text }]
+ *
+ * Normalized result:
+ * - text: Concatenated assistant text ('' when the model only called tools)
+ * - role: Always 'assistant'
+ * - toolCalls: [{ id, type: 'function', function: { name, arguments } }] with JSON string arguments
+ * - finishReason: 'stop' | 'length' | 'tool_calls' | 'content_filter' | provider value | null
+ * - usage: { inputTokens, outputTokens, totalTokens } or null when not reported
+ * - model: Model reported by the provider (falls back to the requested model)
+ * - provider: Provider name from the request
+ * - raw: Untouched provider payload for debugging
+ * - contentFilter: Azure OpenAI only, { filtered, prompt, completion } content filter results
+ */
+
+/**
+ * Provider finish reasons mapped to the normalized vocabulary
+ * OpenAI-compatible values (stop, length, tool_calls, content_filter) pass through unchanged
+ */
+const FINISH_REASON_MAPPING = {
+  // Anthropic stop_reason values
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter',
+
+  // Google Gemini finishReason values
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+
+  // Legacy OpenAI function calling
+  function_call: 'tool_calls'
+};
+
+/**
+ * Maps a provider finish reason to the normalized vocabulary
+ * @param {string|null|undefined} reason - Provider finish reason
+ * @returns {string|null} Normalized finish reason
+ */
+const normalize_finish_reason = (reason) => {
+  if (reason === undefined || reason === null || reason === '') {
+    return null;
+  }
+  return FINISH_REASON_MAPPING[reason] || reason;
+};
+
+/**
+ * Maps provider usage counters to { inputTokens, outputTokens, totalTokens }
+ * Understands OpenAI (prompt_tokens), Anthropic (input_tokens),
+ * Gemini (promptTokenCount) and Ollama (prompt_eval_count) field names
+ * @param {Object} usage - Provider usage object
+ * @returns {Object|null} Normalized usage or null when no counters are present
+ */
+const normalize_usage = (usage) => {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+
+  const inputTokens = usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount ?? usage.prompt_eval_count;
+  const outputTokens = usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount ?? usage.eval_count;
+
+  if (inputTokens === undefined && outputTokens === undefined) {
+    return null;
+  }
+
+  const totalTokens = usage.total_tokens ?? usage.totalTokenCount ?? ((inputTokens || 0) + (outputTokens || 0));
+
+  return {
+    inputTokens: inputTokens || 0,
+    outputTokens: outputTokens || 0,
+    totalTokens
+  };
+};
+
+/**
+ * Serializes tool arguments to the JSON string form used by OpenAI
+ * @param {string|Object} args - Arguments as returned by the provider
+ * @returns {string} JSON string arguments
+ */
+const stringify_arguments = (args) => {
+  if (typeof args === 'string') {
+    return args;
+  }
+  return JSON.stringify(args || {});
+};
+
+/**
+ * Normalizes an OpenAI-compatible chat completion payload
+ * @param {Object} payload - Provider response body
+ * @returns {Object} Partial normalized result
+ */
+const normalize_openai_compatible = (payload) => {
+  const choice = payload.choices?.[0] || {};
+  const message = choice.message || {};
+  const toolCalls = (message.tool_calls || []).map(call => ({
+    id: call.id,
+    type: 'function',
+    function: {
+      name: call.function?.name,
+      arguments: stringify_arguments(call.function?.arguments)
+    }
+  }));
+
+  return {
+    text: typeof message.content === 'string' ? message.content : '',
+    toolCalls,
+    finishReason: normalize_finish_reason(choice.finish_reason),
+    usage: normalize_usage(payload.usage),
+    model: payload.model
+  };
+};
+
+/**
+ * Converts one Azure content_filter_results object to camelCase category keys
+ * Category values ({ filtered, severity } or { filtered, detected }) are kept as returned
+ * @param {Object|undefined} results - Azure content_filter_results
+ * @returns {Object|null} Results keyed by category (hate, selfHarm, jailbreak, ...) or null when absent
+ */
+const to_content_filter_categories = (results) => {
+  if (!results || typeof results !== 'object') {
+    return null;
+  }
+  return Object.fromEntries(Object.entries(results).map(([category, result]) => [
+    category.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+    result
+  ]));
+};
+
+/**
+ * Normalizes an Azure OpenAI payload: the OpenAI format plus content filter results
+ * for the prompt (prompt_filter_results) and the first choice (content_filter_results)
+ * Reference: https://learn.microsoft.com/en-us/azure/ai-services/openai/concepts/content-filter
+ * @param {Object} payload - Provider response body
+ * @returns {Object} Partial normalized result with contentFilter
+ */
+const normalize_azure_openai = (payload) => {
+  const prompt = to_content_filter_categories(payload.prompt_filter_results?.[0]?.content_filter_results);
+  const completion = to_content_filter_categories(payload.choices?.[0]?.content_filter_results);
+  const filtered = [prompt, completion].some(categories =>
+    Object.values(categories || {}).some(result => result?.filtered === true)
+  );
+
+  return {
+    ...normalize_openai_compatible(payload),
+    contentFilter: { filtered, prompt, completion }
+  };
+};
+
+/**
+ * Extracts content filter results from an Azure OpenAI error body
+ * Prompts blocked by the filter fail with HTTP 400, error.code 'content_filter' and the
+ * prompt categories in error.innererror.content_filter_result
+ * Reference: https://learn.microsoft.com/en-us/azure/ai-services/openai/concepts/content-filter
+ * @param {Object} body - Error response body
+ * @returns {Object|null} { filtered: true, prompt, completion: null } like the contentFilter of
+ *   normalized results, or null for other errors
+ */
+const normalize_content_filter_error = (body) => {
+  const error = body?.error;
+  if (error?.code !== 'content_filter') {
+    return null;
+  }
+  return {
+    filtered: true,
+    prompt: to_content_filter_categories(error.innererror?.content_filter_result),
+    completion: null
+  };
+};
+
+/**
+ * Normalizes an Anthropic Messages API payload
+ * @param {Object} payload - Provider response body
+ * @returns {Object} Partial normalized result
+ */
+const normalize_anthropic = (payload) => {
+  const blocks = Array.isArray(payload.content) ? payload.content : [];
+  const text = blocks
+    .filter(block => block.type === 'text' || (block.type === undefined && typeof block.text === 'string'))
+    .map(block => block.text)
+    .join('');
+  const toolCalls = blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        arguments: stringify_arguments(block.input)
+      }
+    }));
+
+  return {
+    text,
+    toolCalls,
+    finishReason: normalize_finish_reason(payload.stop_reason),
+    usage: normalize_usage(payload.usage),
+    model: payload.model
+  };
+};
+
+/**
+ * Normalizes a Google Gemini generateContent payload
+ * Gemini has no tool call ids, so ids are derived from the part position
+ * @param {Object} payload - Provider response body
+ * @returns {Object} Partial normalized result
+ */
+const normalize_google = (payload) => {
+  const candidate = payload.candidates?.[0] || {};
+  const parts = candidate.content?.parts || [];
+  const text = parts
+    .filter(part => typeof part.text === 'string' && !part.thought)
+    .map(part => part.text)
+    .join('');
+  const toolCalls = parts
+    .filter(part => part.functionCall)
+    .map((part, index) => ({
+      id: part.functionCall.id || `call_${index}`,
+      type: 'function',
+      function: {
+        name: part.functionCall.name,
+        arguments: stringify_arguments(part.functionCall.args)
+      }
+    }));
+
+  // Gemini reports STOP even when it returns function calls
+  const finishReason = toolCalls.length > 0 && candidate.finishReason === 'STOP'
+    ? 'tool_calls'
+    : normalize_finish_reason(candidate.finishReason || (payload.promptFeedback?.blockReason && 'SAFETY'));
+
+  return {
+    text,
+    toolCalls,
+    finishReason,
+    usage: normalize_usage(payload.usageMetadata),
+    model: payload.modelVersion
+  };
+};
+
+/**
+ * Normalizes an Ollama /api/chat payload
+ * @param {Object} payload - Provider response body
+ * @returns {Object} Partial normalized result
+ */
+const normalize_ollama = (payload) => {
+  const message = payload.message || {};
+  const toolCalls = (message.tool_calls || []).map((call, index) => ({
+    id: call.id || `call_${index}`,
+    type: 'function',
+    function: {
+      name: call.function?.name,
+      arguments: stringify_arguments(call.function?.arguments)
+    }
+  }));
+
+  let finishReason = normalize_finish_reason(payload.done_reason || (payload.done ? 'stop' : null));
+  if (toolCalls.length > 0 && finishReason === 'stop') {
+    finishReason = 'tool_calls';
+  }
+
+  return {
+    text: typeof message.content === 'string' ? message.content : '',
+    toolCalls,
+    finishReason,
+    usage: normalize_usage(payload),
+    model: payload.model
+  };
+};
+
+/**
+ * Normalizes a Hugging Face Inference API payload
+ * Text generation returns [{ generated_text }]; OpenAI-compatible routes are delegated
+ * @param {Array|Object} payload - Provider response body
+ * @returns {Object} Partial normalized result
+ */
+const normalize_huggingface = (payload) => {
+  if (payload && !Array.isArray(payload) && payload.choices) {
+    return normalize_openai_compatible(payload);
+  }
+
+  const generation = Array.isArray(payload) ? payload[0] || {} : payload || {};
+  const details = generation.details || {};
+
+  return {
+    text: typeof generation.generated_text === 'string' ? generation.generated_text : '',
+    toolCalls: [],
+    finishReason: normalize_finish_reason(details.finish_reason === 'eos_token' ? 'stop' : details.finish_reason),
+    usage: details.generated_tokens !== undefined
+      ? normalize_usage({ output_tokens: details.generated_tokens })
+      : null,
+    model: undefined
+  };
+};
+
+/**
+ * Normalizes a chat completion payload from any supported provider
+ *
+ * @param {string} provider - Provider name from llm_input_schema
+ * @param {Object|Array} payload - Raw response body returned by the provider
+ * @param {string} [model] - Requested model, used when the provider does not echo it back
+ * @returns {Object} Normalized result { text, role, toolCalls, finishReason, usage, model, provider, raw }
+ *
+ * @example
+ * const result = normalize_response('anthropic', {
+ *   content: [{ type: 'text', text: 'Hi!' }],
+ *   stop_reason: 'end_turn',
+ *   usage: { input_tokens: 5, output_tokens: 2 }
+ * });
+ * // result.text === 'Hi!', result.finishReason === 'stop'
+ */
+const normalize_response = (provider, payload, model) => {
+  if (payload === null || payload === undefined || typeof payload !== 'object') {
+    throw new Error(`normalize_response: unexpected response payload for provider: ${provider}`);
+  }
+
+  let normalized;
+  switch (provider) {
+    case 'anthropic':
+      normalized = normalize_anthropic(payload);
+      break;
+
+    case 'google':
+      normalized = normalize_google(payload);
+      break;
+
+    case 'ollama':
+      normalized = normalize_ollama(payload);
+      break;
+
+    case 'huggingface':
+      normalized = normalize_huggingface(payload);
+      break;
+
+    case 'azure-openai':
+      normalized = normalize_azure_openai(payload);
+      break;
+
+    default:
+      // OpenAI, GitHub Models, Together, Perplexity, DeepSeek, Qwen,
+      // SiliconFlow, Grok, Groq and OpenRouter share the OpenAI format
+      normalized = normalize_openai_compatible(payload);
+  }
+
+  return {
+    text: normalized.text,
+    role: 'assistant',
+    toolCalls: normalized.toolCalls,
+    finishReason: normalized.finishReason,
+    usage: normalized.usage,
+    model: normalized.model || model || null,
+    provider,
+    raw: payload,
+    ...(normalized.contentFilter && { contentFilter: normalized.contentFilter })
+  };
+};
+
+module.exports = {
+  normalize_response,
+  normalize_finish_reason,
+  normalize_usage,
+  normalize_content_filter_error
+};
@@ -0,0 +1,289 @@
+const { normalize_response, normalize_finish_reason, normalize_usage, normalize_content_filter_error } = require('./normalize_response');
+
+describe('normalize_response', () => {
+  describe('OpenAI-compatible providers', () => {
+    const openaiPayload = {
+      id: 'chatcmpl-123',
+      model: 'gpt-4o-2024-08-06',
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: 'call_abc',
+            type: 'function',
+            function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+          }]
+        },
+        finish_reason: 'tool_calls'
+      }],
+      usage: { prompt_tokens: 20, completion_tokens: 8, total_tokens: 28 }
+    };
+
+    it('should normalize text, tool calls, usage and model', () => {
+      const result = normalize_response('openai', openaiPayload, 'gpt-4o');
+
+      expect(result).toEqual({
+        text: '',
+        role: 'assistant',
+        toolCalls: [{
+          id: 'call_abc',
+          type: 'function',
+          function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+        }],
+        finishReason: 'tool_calls',
+        usage: { inputTokens: 20, outputTokens: 8, totalTokens: 28 },
+        model: 'gpt-4o-2024-08-06',
+        provider: 'openai',
+        raw: openaiPayload
+      });
+    });
+
+    it('should use the OpenAI format for every compatible provider', () => {
+      const payload = { choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }] };
+      const providers = [
+        'gh-models', 'together', 'perplexity', 'deepseek', 'qwen',
+        'siliconflow', 'grok', 'groq', 'openrouter'
+      ];
+
+      providers.forEach(provider => {
+        const result = normalize_response(provider, payload, 'some-model');
+        expect(result.text).toBe('Hi');
+        expect(result.finishReason).toBe('stop');
+        expect(result.model).toBe('some-model');
+        expect(result.provider).toBe(provider);
+      });
+    });
+  });
+
+  describe('Anthropic', () => {
+    it('should join text blocks and convert tool_use blocks', () => {
+      const result = normalize_response('anthropic', {
+        model: 'claude-3-5-sonnet-20241022',
+        content: [
+          { type: 'text', text: 'Let me check. ' },
+          { type: 'tool_use', id: 'toolu_01', name: 'get_weather', input: { city: 'Paris' } },
+          { type: 'text', text: 'One moment.' }
+        ],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 12, output_tokens: 30 }
+      });
+
+      expect(result.text).toBe('Let me check. One moment.');
+      expect(result.toolCalls).toEqual([{
+        id: 'toolu_01',
+        type: 'function',
+        function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+      }]);
+      expect(result.finishReason).toBe('tool_calls');
+      expect(result.usage).toEqual({ inputTokens: 12, outputTokens: 30, totalTokens: 42 });
+    });
+
+    it('should map max_tokens to length', () => {
+      const result = normalize_response('anthropic', {
+        content: [{ type: 'text', text: 'Truncated' }],
+        stop_reason: 'max_tokens'
+      });
+
+      expect(result.finishReason).toBe('length');
+      expect(result.usage).toBeNull();
+    });
+  });
+
+  describe('Google Gemini', () => {
+    it('should join candidate parts and read usageMetadata', () => {
+      const result = normalize_response('google', {
+        candidates: [{
+          content: { role: 'model', parts: [{ text: 'Hello ' }, { text: 'there' }] },
+          finishReason: 'STOP'
+        }],
+        usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, totalTokenCount: 6 },
+        modelVersion: 'gemini-1.5-flash-002'
+      }, 'gemini-1.5-flash');
+
+      expect(result.text).toBe('Hello there');
+      expect(result.finishReason).toBe('stop');
+      expect(result.usage).toEqual({ inputTokens: 4, outputTokens: 2, totalTokens: 6 });
+      expect(result.model).toBe('gemini-1.5-flash-002');
+    });
+
+    it('should report function calls as tool_calls', () => {
+      const result = normalize_response('google', {
+        candidates: [{
+          content: { parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+          finishReason: 'STOP'
+        }]
+      });
+
+      expect(result.toolCalls).toEqual([{
+        id: 'call_0',
+        type: 'function',
+        function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+      }]);
+      expect(result.finishReason).toBe('tool_calls');
+    });
+
+    it('should map blocked prompts to content_filter', () => {
+      const result = normalize_response('google', {
+        promptFeedback: { blockReason: 'SAFETY' }
+      });
+
+      expect(result.text).toBe('');
+      expect(result.finishReason).toBe('content_filter');
+    });
+  });
+
+  describe('Ollama', () => {
+    it('should read message content and eval counters', () => {
+      const result = normalize_response('ollama', {
+        model: 'llama3.2',
+        message: { role: 'assistant', content: 'Hi from Ollama' },
+        done: true,
+        done_reason: 'stop',
+        prompt_eval_count: 26,
+        eval_count: 5
+      });
+
+      expect(result.text).toBe('Hi from Ollama');
+      expect(result.finishReason).toBe('stop');
+      expect(result.usage).toEqual({ inputTokens: 26, outputTokens: 5, totalTokens: 31 });
+      expect(result.model).toBe('llama3.2');
+    });
+
+    it('should serialize object tool arguments', () => {
+      const result = normalize_response('ollama', {
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }]
+        },
+        done: true
+      });
+
+      expect(result.toolCalls[0].function.arguments).toBe('{"city":"Paris"}');
+      expect(result.finishReason).toBe('tool_calls');
+    });
+  });
+
+  describe('Hugging Face', () => {
+    it('should read generated_text from the inference array', () => {
+      const result = normalize_response('huggingface', [{ generated_text: 'Generated reply' }], 'gpt2');
+
+      expect(result.text).toBe('Generated reply');
+      expect(result.model).toBe('gpt2');
+      expect(result.usage).toBeNull();
+    });
+  });
+
+  describe('Azure OpenAI', () => {
+    const azurePayload = {
+      id: 'chatcmpl-789',
+      model: 'gpt-4o-2024-08-06',
+      prompt_filter_results: [{
+        prompt_index: 0,
+        content_filter_results: {
+          hate: { filtered: false, severity: 'safe' },
+          self_harm: { filtered: false, severity: 'safe' },
+          jailbreak: { filtered: false, detected: false }
+        }
+      }],
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: 'Hello!' },
+        finish_reason: 'stop',
+        content_filter_results: {
+          violence: { filtered: false, severity: 'low' },
+          protected_material_text: { filtered: false, detected: false }
+        }
+      }],
+      usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 }
+    };
+
+    it('should map content filter results', () => {
+      const result = normalize_response('azure-openai', azurePayload);
+
+      expect(result.text).toBe('Hello!');
+      expect(result.usage).toEqual({ inputTokens: 10, outputTokens: 3, totalTokens: 13 });
+      expect(result.contentFilter).toEqual({
+        filtered: false,
+        prompt: {
+          hate: { filtered: false, severity: 'safe' },
+          selfHarm: { filtered: false, severity: 'safe' },
+          jailbreak: { filtered: false, detected: false }
+        },
+        completion: {
+          violence: { filtered: false, severity: 'low' },
+          protectedMaterialText: { filtered: false, detected: false }
+        }
+      });
+    });
+
+    it('should report filtered completions', () => {
+      const result = normalize_response('azure-openai', {
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: null },
+          finish_reason: 'content_filter',
+          content_filter_results: { sexual: { filtered: true, severity: 'high' } }
+        }]
+      });
+
+      expect(result.finishReason).toBe('content_filter');
+      expect(result.contentFilter).toEqual({
+        filtered: true,
+        prompt: null,
+        completion: { sexual: { filtered: true, severity: 'high' } }
+      });
+    });
+
+    it('should not add contentFilter for other providers', () => {
+      expect(normalize_response('openai', azurePayload)).not.toHaveProperty('contentFilter');
+    });
+
+    it('should map content filter errors of blocked prompts', () => {
+      expect(normalize_content_filter_error({
+        error: {
+          code: 'content_filter',
+          innererror: { code: 'ResponsibleAIPolicyViolation', content_filter_result: { self_harm: { filtered: true, severity: 'high' } } }
+        }
+      })).toEqual({ filtered: true, prompt: { selfHarm: { filtered: true, severity: 'high' } }, completion: null });
+      expect(normalize_content_filter_error({ error: { code: 'invalid_api_key' } })).toBeNull();
+      expect(normalize_content_filter_error('Bad Request')).toBeNull();
+    });
+  });
+
+  describe('Error handling', () => {
+    it('should throw for non-object payloads', () => {
+      expect(() => normalize_response('openai', 'data: [DONE]')).toThrow(
+        'normalize_response: unexpected response payload for provider: openai'
+      );
+      expect(() => normalize_response('openai', null)).toThrow();
+    });
+
+    it('should tolerate missing fields', () => {
+      const result = normalize_response('openai', {});
+      expect(result.text).toBe('');
+      expect(result.toolCalls).toEqual([]);
+      expect(result.finishReason).toBeNull();
+      expect(result.model).toBeNull();
+    });
+  });
+});
+
+describe('normalize_finish_reason', () => {
+  it('should pass through OpenAI values and map provider values', () => {
+    expect(normalize_finish_reason('stop')).toBe('stop');
+    expect(normalize_finish_reason('end_turn')).toBe('stop');
+    expect(normalize_finish_reason('MAX_TOKENS')).toBe('length');
+    expect(normalize_finish_reason('SAFETY')).toBe('content_filter');
+    expect(normalize_finish_reason(undefined)).toBeNull();
+  });
+});
+
+describe('normalize_usage', () => {
+  it('should return null when no counters are present', () => {
+    expect(normalize_usage(undefined)).toBeNull();
+    expect(normalize_usage({ model: 'x' })).toBeNull();
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Parameter Limits
+ *
+ * Provider- and model-aware ranges for generation parameters. llm_input_schema
+ * accepts the widest range any provider allows (temperature 0-2, maxTokens up to
+ * 100000); with_parameter_limits narrows it to what the requested provider and
+ * model accept, either rejecting or clamping out-of-range values. Limits are
+ * applied by wrapping the schema (with_parameter_limits) or per request with the
+ * create_request / execute_request parameterLimits option.
+ *
+ * The maxTokens bound is the registry outputLimit, or the documented output limit
+ * in MODEL_OUTPUT_LIMITS when the registry has none. The context window is not an
+ * output limit (it covers input and output), so maxTokens is left unchecked for
+ * models without a known output limit.
+ */
+
+const { z } = require('zod');
+const { get_model_info } = require('./model_registry');
+
+/**
+ * Parameter ranges that differ from the base schema, per provider
+ * Reference: https://docs.anthropic.com/en/api/messages (temperature 0.0 to 1.0)
+ */
+const PROVIDER_PARAMETER_LIMITS = {
+  anthropic: {
+    temperature: { min: 0, max: 1 }
+  }
+};
+
+/**
+ * Documented maximum output tokens of models the collected registry has no limits for
+ * References: https://docs.anthropic.com/en/docs/about-claude/models/overview,
+ * https://platform.openai.com/docs/models
+ */
+const MODEL_OUTPUT_LIMITS = {
+  anthropic: {
+    'claude-3-haiku-20240307': 4096,
+    'claude-3-opus-20240229': 4096,
+    'claude-3-5-haiku-20241022': 8192,
+    'claude-3-5-sonnet-20240620': 8192,
+    'claude-3-5-sonnet-20241022': 8192,
+    'claude-3-7-sonnet-20250219': 64000,
+    'claude-sonnet-4-20250514': 64000,
+    'claude-opus-4-20250514': 32000
+  },
+  openai: {
+    'gpt-4o': 16384,
+    'gpt-4o-mini': 16384,
+    'gpt-4.1': 32768,
+    'gpt-4.1-mini': 32768,
+    'gpt-4.1-nano': 32768
+  }
+};
+
+/**
+ * Returns the parameter ranges of a provider and model
+ *
+ * @param {string} provider - The provider name
+ * @param {string} model - Model id
+ * @returns {Object} Ranges keyed by universal field name, e.g. { temperature: { min, max }, maxTokens: { min, max } }
+ *
+ * @example
+ * get_parameter_limits('anthropic', 'claude-sonnet-4-20250514');
+ * // Returns: { temperature: { min: 0, max: 1 }, maxTokens: { min: 1, max: 64000 } }
+ */
+const get_parameter_limits = (provider, model) => {
+  const limits = { ...PROVIDER_PARAMETER_LIMITS[provider] };
+  const outputLimit = get_model_info(provider, model)?.outputLimit || MODEL_OUTPUT_LIMITS[provider]?.[model];
+
+  if (outputLimit) {
+    limits.maxTokens = { min: 1, max: outputLimit };
+  }
+  return limits;
+};
+
+/**
+ * Lists the parameters of a request that fall outside the provider and model ranges
+ * @param {Object} data - Input validated by the base schema
+ * @returns {Array<Object>} { field, value, min, max } for each out-of-range parameter
+ */
+const find_parameter_violations = (data) => {
+  const limits = get_parameter_limits(data.provider, data.model);
+
+  return Object.entries(limits)
+    .filter(([field, { min, max }]) => typeof data[field] === 'number' && (data[field] < min || data[field] > max))
+    .map(([field, { min, max }]) => ({ field, value: data[field], min, max }));
+};
+
+/**
+ * Describes an out-of-range parameter, naming the provider and model
+ * @param {Object} data - Input validated by the base schema
+ * @param {Object} violation - { field, value, min, max }
+ * @returns {string} Message
+ */
+const describe_violation = (data, { field, value, min, max }) =>
+  `${field} ${value} is out of range for ${data.provider} model ${data.model} (allowed ${min} to ${max})`;
+
+/**
+ * Applies the parameter ranges of the requested provider and model to validated input
+ *
+ * @param {Object} data - Input validated by the base schema
+ * @param {'reject'|'clamp'} mode - How to handle out-of-range values
+ * @param {Array<string>} warnings - Receives a message for every clamped value
+ * @returns {Object} The input, with out-of-range values clamped in 'clamp' mode
+ * @throws {z.ZodError} In 'reject' mode, with an issue on every out-of-range parameter
+ */
+const apply_parameter_limits = (data, mode, warnings) => {
+  const violations = find_parameter_violations(data);
+  if (violations.length === 0) {
+    return data;
+  }
+
+  if (mode !== 'clamp') {
+    throw new z.ZodError(violations.map(violation => ({
+      code: z.ZodIssueCode.custom,
+      path: [violation.field],
+      message: describe_violation(data, violation)
+    })));
+  }
+
+  const clamped = { ...data };
+  for (const violation of violations) {
+    const { field, value, min, max } = violation;
+    clamped[field] = Math.min(Math.max(value, min), max);
+    warnings.push(`${describe_violation(data, violation)}, using ${clamped[field]}`);
+  }
+  return clamped;
+};
+
+/**
+ * Refines a request schema with the parameter ranges of the requested provider and model
+ *
+ * In 'reject' mode out-of-range values fail validation with a ZodError issue on the
+ * parameter. In 'clamp' mode they are moved to the nearest allowed value and the parsed
+ * input gets a warnings array naming the provider and model, which create_request adds
+ * to the warnings of the request configuration and execute_request to its result.
+ *
+ * @param {z.ZodSchema} schema - Base request schema (llm_input_schema)
+ * @param {Object} options - Refinement options
+ * @param {'reject'|'clamp'} [options.mode='reject'] - How to handle out-of-range values
+ * @returns {z.ZodSchema} Schema usable wherever the base schema is (create_request, execute_request, ...)
+ *
+ * @example
+ * const schema = with_parameter_limits(llm_input_schema);
+ * schema.parse({ provider: 'anthropic', model: 'claude-3-5-haiku-20241022', messages, temperature: 1.5 });
+ * // Throws: ZodError 'temperature 1.5 is out of range for anthropic model claude-3-5-haiku-20241022 (allowed 0 to 1)'
+ */
+const with_parameter_limits = (schema, options = {}) => {
+  const { mode = 'reject' } = options;
+
+  if (mode === 'clamp') {
+    return schema.transform((data) => {
+      const warnings = [];
+      const clamped = apply_parameter_limits(data, mode, warnings);
+      return warnings.length > 0 ? { ...clamped, warnings } : clamped;
+    });
+  }
+
+  return schema.superRefine((data, ctx) => {
+    for (const violation of find_parameter_violations(data)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [violation.field],
+        message: describe_violation(data, violation)
+      });
+    }
+  });
+};
+
+module.exports = {
+  PROVIDER_PARAMETER_LIMITS,
+  MODEL_OUTPUT_LIMITS,
+  get_parameter_limits,
+  apply_parameter_limits,
+  with_parameter_limits
+};
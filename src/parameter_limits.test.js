@@ -0,0 +1,115 @@
+const { llm_input_schema } = require('./llm_schema');
+const { register_model_info, load_model_registry, get_model_info } = require('./model_registry');
+const { get_parameter_limits, with_parameter_limits } = require('./parameter_limits');
+const { create_request } = require('./create_request');
+
+describe('parameter_limits', () => {
+  const messages = [{ role: 'user', content: 'Hello' }];
+  const anthropic = { provider: 'anthropic', model: 'claude-limits-test', messages };
+
+  let collected;
+
+  beforeAll(() => {
+    collected = load_model_registry();
+    register_model_info('anthropic', 'claude-limits-test', { outputLimit: 8192 });
+  });
+
+  describe('get_parameter_limits', () => {
+    it('should combine provider ranges with the registry output limit', () => {
+      expect(get_parameter_limits('anthropic', 'claude-limits-test')).toEqual({
+        temperature: { min: 0, max: 1 },
+        maxTokens: { min: 1, max: 8192 }
+      });
+    });
+
+    it('should use documented output limits for models the registry has none for', () => {
+      expect(get_parameter_limits('anthropic', 'claude-3-5-haiku-20241022').maxTokens).toEqual({ min: 1, max: 8192 });
+      expect(get_parameter_limits('openai', 'gpt-4o').maxTokens).toEqual({ min: 1, max: 16384 });
+    });
+
+    it('should not use the context window of the collected registry as an output limit', () => {
+      const [model] = Object.keys(collected.openrouter)
+        .filter(id => get_model_info('openrouter', id).contextWindow < 100000 && !get_model_info('openrouter', id).outputLimit);
+      const { contextWindow } = get_model_info('openrouter', model);
+
+      expect(get_parameter_limits('openrouter', model)).not.toHaveProperty('maxTokens');
+      expect(with_parameter_limits(llm_input_schema)
+        .safeParse({ provider: 'openrouter', model, messages, maxTokens: contextWindow + 1 }).success).toBe(true);
+    });
+
+    it('should return no narrower ranges for unknown models', () => {
+      expect(get_parameter_limits('openai', 'unknown-model')).toEqual({});
+    });
+  });
+
+  describe('with_parameter_limits', () => {
+    it('should reject out-of-range values naming the provider and model', () => {
+      const result = with_parameter_limits(llm_input_schema).safeParse({ ...anthropic, temperature: 1.5, maxTokens: 10000 });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues.map(issue => issue.message)).toEqual([
+        'temperature 1.5 is out of range for anthropic model claude-limits-test (allowed 0 to 1)',
+        'maxTokens 10000 is out of range for anthropic model claude-limits-test (allowed 1 to 8192)'
+      ]);
+      expect(result.error.issues[0].path).toEqual(['temperature']);
+    });
+
+    it('should accept values the base schema allows for other providers', () => {
+      const schema = with_parameter_limits(llm_input_schema);
+
+      expect(schema.parse({ provider: 'openai', model: 'gpt-4o', messages, temperature: 1.5 }).temperature).toBe(1.5);
+      expect(schema.parse({ ...anthropic, temperature: 0.7, maxTokens: 8192 }).maxTokens).toBe(8192);
+    });
+
+    it('should clamp out-of-range values and return warnings in clamp mode', () => {
+      const parsed = with_parameter_limits(llm_input_schema, { mode: 'clamp' })
+        .parse({ ...anthropic, temperature: 1.5, maxTokens: 10000 });
+
+      expect(parsed).toMatchObject({ temperature: 1, maxTokens: 8192 });
+      expect(parsed.warnings).toEqual([
+        'temperature 1.5 is out of range for anthropic model claude-limits-test (allowed 0 to 1), using 1',
+        'maxTokens 10000 is out of range for anthropic model claude-limits-test (allowed 1 to 8192), using 8192'
+      ]);
+    });
+
+    it('should pass clamp warnings to the request configuration', () => {
+      const config = create_request(with_parameter_limits(llm_input_schema, { mode: 'clamp' }),
+        { ...anthropic, apiKey: 'test-key', temperature: 1.5 });
+
+      expect(config.data.temperature).toBe(1);
+      expect(config.data.warnings).toBeUndefined();
+      expect(config.warnings).toEqual([
+        'temperature 1.5 is out of range for anthropic model claude-limits-test (allowed 0 to 1), using 1'
+      ]);
+    });
+
+    it('should still apply the base schema ranges', () => {
+      expect(with_parameter_limits(llm_input_schema).safeParse({ ...anthropic, temperature: 3 }).success).toBe(false);
+    });
+  });
+
+  describe('parameterLimits request option', () => {
+    const request = { ...anthropic, apiKey: 'test-key', temperature: 1.5 };
+
+    it('should reject out-of-range values', () => {
+      expect(() => create_request(llm_input_schema, request, { parameterLimits: 'reject' }))
+        .toThrow('temperature 1.5 is out of range for anthropic model claude-limits-test (allowed 0 to 1)');
+    });
+
+    it('should clamp out-of-range values with a warning', () => {
+      const config = create_request(llm_input_schema, request, { parameterLimits: 'clamp' });
+
+      expect(config.data.temperature).toBe(1);
+      expect(config.warnings).toEqual([
+        'temperature 1.5 is out of range for anthropic model claude-limits-test (allowed 0 to 1), using 1'
+      ]);
+    });
+
+    it('should leave requests unchanged without the option', () => {
+      const config = create_request(llm_input_schema, request);
+
+      expect(config.data.temperature).toBe(1.5);
+      expect(config.warnings).toBeUndefined();
+    });
+  });
+});
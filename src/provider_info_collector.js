@@ -13,6 +13,7 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
+const { to_collected_model } = require('./model_registry');
 
 /**
  * Public endpoints for each provider
@@ -339,16 +340,16 @@ function extractModels(provider, response) {
     case 'together':
     case 'deepseek':
     case 'siliconflow':
-      // OpenAI-compatible format
+      // OpenAI-compatible format, normalized like list_models (src/model_registry.js)
       if (response.json.data && Array.isArray(response.json.data)) {
-        return response.json.data.map(model => ({
-          id: model.id,
-          name: model.id,
-          description: model.description || null,
-          context_length: model.context_length || model.max_tokens || null,
-          pricing: model.pricing || null,
-          created: model.created || null
-        }));
+        return response.json.data.map(model => to_collected_model(provider, model));
+      }
+      break;
+
+    case 'gh-models':
+      // GitHub Models catalog, a bare array
+      if (Array.isArray(response.json)) {
+        return response.json.map(model => to_collected_model(provider, model));
       }
       break;
 
@@ -368,15 +369,11 @@ function extractModels(provider, response) {
       break;
 
     case 'google':
-      // Google Gemini format
+      // Google Gemini format, normalized like list_models (src/model_registry.js)
       if (response.json.models && Array.isArray(response.json.models)) {
         return response.json.models.map(model => ({
-          id: model.name,
-          name: model.displayName || model.name,
-          description: model.description || null,
+          ...to_collected_model(provider, model),
           version: model.version || null,
-          inputTokenLimit: model.inputTokenLimit || null,
-          outputTokenLimit: model.outputTokenLimit || null,
           supportedGenerationMethods: model.supportedGenerationMethods || []
         }));
       }
@@ -1070,7 +1067,14 @@ async function main() {
   }
 }
 
-main().catch(error => {
-  console.error(`❌ Error: ${error.message}`);
-  process.exit(1);
-});
+// Only collect when run as a script, so extractModels can be required
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  extractModels
+};
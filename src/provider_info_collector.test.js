@@ -0,0 +1,24 @@
+const { extractModels } = require('./provider_info_collector');
+const { normalize_model } = require('./model_registry');
+
+describe('provider_info_collector', () => {
+  describe('extractModels', () => {
+    const without_raw = ({ raw, ...normalized }) => normalized;
+
+    it('should normalize OpenAI-compatible lists like list_models', () => {
+      const model = { id: 'llama-3.3-70b-versatile', created: 1733447754, context_window: 131072, max_completion_tokens: 32768 };
+
+      const [collected] = extractModels('groq', { json: { data: [model] } });
+
+      expect(collected).toMatchObject(without_raw(normalize_model('groq', model)));
+    });
+
+    it('should keep Gemini model ids without the models/ prefix', () => {
+      const model = { name: 'models/gemini-2.0-flash', displayName: 'Gemini 2.0 Flash', inputTokenLimit: 1048576, outputTokenLimit: 8192 };
+
+      const [collected] = extractModels('google', { json: { models: [model] } });
+
+      expect(collected).toMatchObject({ id: 'gemini-2.0-flash', displayName: 'Gemini 2.0 Flash', outputLimit: 8192 });
+    });
+  });
+});
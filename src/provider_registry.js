@@ -0,0 +1,187 @@
+/**
+ * Provider Registry
+ *
+ * Adds OpenAI-compatible providers (internal gateways, new vendors) at runtime.
+ * Registered providers are kept in this module, not in the url_config tables:
+ * the url_config endpoint getters look them up here, and llm_input_schema accepts
+ * their names, so create_request, execute_request, streaming, batching and
+ * list_models handle them like built-in OpenAI-compatible providers.
+ */
+
+const { z } = require('zod');
+
+/**
+ * Chat providers built into the library
+ */
+const BUILT_IN_PROVIDERS = ['openai', 'azure-openai', 'anthropic', 'google', 'gh-models', 'huggingface', 'together', 'perplexity', 'deepseek', 'qwen', 'siliconflow', 'grok', 'groq', 'openrouter', 'ollama'];
+
+/**
+ * Providers added with register_provider, keyed by name
+ */
+const custom_providers = {};
+
+/**
+ * Registration input of a custom provider
+ */
+const provider_registration_schema = z.object({
+  /**
+   * Provider name used in requests, e.g. 'acme-gateway'
+   */
+  name: z.string().regex(/^[a-z0-9][a-z0-9._-]*$/, 'Provider name must use lowercase letters, digits, ".", "_" or "-"'),
+
+  /**
+   * Base URL without a trailing slash, e.g. 'https://llm.acme.com'
+   */
+  baseUrl: z.string().url().transform(url => url.replace(/\/+$/, '')),
+
+  /**
+   * Chat completions path appended to baseUrl
+   */
+  chatPath: z.string().default('/v1/chat/completions'),
+
+  /**
+   * Model list path appended to baseUrl, list_models is unsupported without it
+   */
+  modelsPath: z.string().optional(),
+
+  /**
+   * Batch path appended to baseUrl, required when capabilities.batch is set
+   */
+  batchPath: z.string().optional(),
+
+  /**
+   * Allow a baseUrl on localhost or a private network (e.g. an internal gateway)
+   * Requests to other private URLs, such as options.url overrides, are still rejected
+   */
+  allowPrivateNetwork: z.boolean().default(false),
+
+  /**
+   * How the API key is sent
+   * - bearer: Authorization: Bearer <key>
+   * - header: <header>: <key>
+   * - none: no key is sent
+   * required defaults to true unless type is 'none'
+   */
+  auth: z.object({
+    type: z.enum(['bearer', 'header', 'none']).default('bearer'),
+    header: z.string().min(1).optional(),
+    required: z.boolean().optional()
+  }).default({}),
+
+  /**
+   * Features the provider supports, requests using a disabled feature are rejected
+   */
+  capabilities: z.object({
+    tools: z.boolean().default(true),
+    jsonMode: z.boolean().default(true),
+    streaming: z.boolean().default(true),
+    batch: z.boolean().default(false)
+  }).default({})
+}).superRefine((data, ctx) => {
+  if (data.auth.type === 'header' && !data.auth.header) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['auth', 'header'],
+      message: 'auth.header is required for header authentication'
+    });
+  }
+  if (data.capabilities.batch && !data.batchPath) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['batchPath'],
+      message: 'batchPath is required when capabilities.batch is enabled'
+    });
+  }
+});
+
+/**
+ * Registers an OpenAI-compatible provider
+ * Registering an existing custom name replaces it, built-in providers cannot be replaced
+ *
+ * @param {Object} definition - Provider definition (see provider_registration_schema)
+ * @param {string} definition.name - Provider name used in requests
+ * @param {string} definition.baseUrl - Base URL of the API
+ * @param {string} [definition.chatPath='/v1/chat/completions'] - Chat completions path
+ * @param {string} [definition.modelsPath] - Model list path
+ * @param {string} [definition.batchPath] - Batch path
+ * @param {boolean} [definition.allowPrivateNetwork=false] - Allow a localhost or private network baseUrl
+ * @param {Object} [definition.auth] - { type: 'bearer'|'header'|'none', header, required }
+ * @param {Object} [definition.capabilities] - { tools, jsonMode, streaming, batch }
+ * @returns {Object} The normalized provider definition
+ * @throws {Error} When the definition is invalid or the name belongs to a built-in provider
+ *
+ * @example
+ * register_provider({
+ *   name: 'acme-gateway',
+ *   baseUrl: 'https://llm.acme.com',
+ *   chatPath: '/openai/v1/chat/completions',
+ *   modelsPath: '/openai/v1/models',
+ *   auth: { type: 'header', header: 'x-acme-key' },
+ *   capabilities: { tools: false }
+ * });
+ * execute_request(llm_input_schema, { provider: 'acme-gateway', apiKey, model: 'acme-70b', messages });
+ */
+const register_provider = (definition) => {
+  const provider = provider_registration_schema.parse(definition);
+  const { name } = provider;
+
+  if (BUILT_IN_PROVIDERS.includes(name)) {
+    throw new Error(`Cannot register provider ${name}: a built-in provider uses this name`);
+  }
+
+  provider.auth.required = provider.auth.type !== 'none' && provider.auth.required !== false;
+  custom_providers[name] = provider;
+  return provider;
+};
+
+/**
+ * Removes a provider added with register_provider
+ * @param {string} name - The provider name
+ * @returns {boolean} True when the provider was registered
+ */
+const unregister_provider = (name) => {
+  if (!custom_providers[name]) {
+    return false;
+  }
+  delete custom_providers[name];
+  return true;
+};
+
+/**
+ * Looks up a provider added with register_provider
+ * @param {string} name - The provider name
+ * @returns {Object|null} The normalized provider definition, or null for built-in and unknown providers
+ */
+const get_custom_provider = (name) => custom_providers[name] || null;
+
+/**
+ * Builds an endpoint URL of a provider added with register_provider
+ * @param {string} name - The provider name
+ * @param {'chat'|'models'|'batch'} endpoint - Endpoint kind
+ * @returns {string|undefined} The full URL, or undefined when the provider is not registered or has no such path
+ *
+ * @example
+ * get_custom_provider_url('acme-gateway', 'chat');
+ * // Returns: 'https://llm.acme.com/openai/v1/chat/completions'
+ */
+const get_custom_provider_url = (name, endpoint) => {
+  const provider = custom_providers[name];
+  const path = provider?.[`${endpoint}Path`];
+  return path === undefined ? undefined : `${provider.baseUrl}${path}`;
+};
+
+/**
+ * Checks whether a provider is built in or was added with register_provider
+ * @param {string} name - The provider name
+ * @returns {boolean} True for known providers
+ */
+const is_known_provider = (name) => BUILT_IN_PROVIDERS.includes(name) || Boolean(custom_providers[name]);
+
+module.exports = {
+  BUILT_IN_PROVIDERS,
+  is_known_provider,
+  register_provider,
+  unregister_provider,
+  get_custom_provider,
+  get_custom_provider_url
+};
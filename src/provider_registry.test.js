@@ -0,0 +1,192 @@
+const axios = require('axios');
+const { BUILT_IN_PROVIDERS, register_provider, unregister_provider, get_custom_provider, is_known_provider } = require('./provider_registry');
+const { BASE_URLS, CHAT_ENDPOINTS, getChatEndpoint, getModelEndpoint, getBatchEndpoint } = require('./config/url_config');
+const llm_schema = require('./llm_schema');
+const { llm_input_schema } = llm_schema;
+const { create_request, execute_request } = require('./create_request');
+const { list_models } = require('./list_models');
+
+jest.mock('axios');
+
+describe('provider_registry', () => {
+  const messages = [{ role: 'user', content: 'Hello' }];
+
+  beforeAll(() => {
+    register_provider({
+      name: 'acme-gateway',
+      baseUrl: 'https://llm.acme.com/',
+      chatPath: '/openai/v1/chat/completions',
+      modelsPath: '/openai/v1/models',
+      auth: { type: 'header', header: 'x-acme-key' },
+      capabilities: { tools: false }
+    });
+    register_provider({
+      name: 'open-vendor',
+      baseUrl: 'https://api.open-vendor.ai',
+      batchPath: '/v1/batches',
+      auth: { type: 'none' },
+      capabilities: { streaming: false, batch: true }
+    });
+    register_provider({
+      name: 'office-gateway',
+      baseUrl: 'http://10.0.0.5:8080',
+      modelsPath: '/v1/models',
+      auth: { type: 'none' },
+      allowPrivateNetwork: true
+    });
+  });
+
+  afterAll(() => {
+    ['acme-gateway', 'open-vendor', 'office-gateway'].forEach(unregister_provider);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('register_provider', () => {
+    it('should normalize the definition', () => {
+      expect(get_custom_provider('acme-gateway')).toEqual({
+        name: 'acme-gateway',
+        baseUrl: 'https://llm.acme.com',
+        chatPath: '/openai/v1/chat/completions',
+        modelsPath: '/openai/v1/models',
+        allowPrivateNetwork: false,
+        auth: { type: 'header', header: 'x-acme-key', required: true },
+        capabilities: { tools: false, jsonMode: true, streaming: true, batch: false }
+      });
+      expect(get_custom_provider('open-vendor').auth.required).toBe(false);
+      expect(get_custom_provider('openai')).toBeNull();
+    });
+
+    it('should resolve endpoints from the registry without changing the URL tables', () => {
+      expect(getChatEndpoint('acme-gateway')).toBe('https://llm.acme.com/openai/v1/chat/completions');
+      expect(getModelEndpoint('acme-gateway')).toBe('https://llm.acme.com/openai/v1/models');
+      expect(getChatEndpoint('open-vendor')).toBe('https://api.open-vendor.ai/v1/chat/completions');
+      expect(getModelEndpoint('open-vendor')).toBeUndefined();
+      expect(getBatchEndpoint('open-vendor')).toBe('https://api.open-vendor.ai/v1/batches');
+      expect(BASE_URLS).not.toHaveProperty('acme-gateway');
+      expect(CHAT_ENDPOINTS).not.toHaveProperty('acme-gateway');
+    });
+
+    it('should remove providers with unregister_provider', () => {
+      register_provider({ name: 'short-lived', baseUrl: 'https://short.example.com' });
+      expect(getChatEndpoint('short-lived')).toBe('https://short.example.com/v1/chat/completions');
+
+      expect(unregister_provider('short-lived')).toBe(true);
+      expect(unregister_provider('short-lived')).toBe(false);
+      expect(is_known_provider('short-lived')).toBe(false);
+      expect(getChatEndpoint('short-lived')).toBeUndefined();
+      expect(() => llm_input_schema.parse({ provider: 'short-lived', model: 'x', messages }))
+        .toThrow('Unknown provider: short-lived');
+    });
+
+    it('should keep BUILT_IN_PROVIDERS exported from llm_schema', () => {
+      expect(llm_schema.BUILT_IN_PROVIDERS).toBe(BUILT_IN_PROVIDERS);
+      expect(BUILT_IN_PROVIDERS).toContain('azure-openai');
+    });
+
+    it('should reject invalid definitions and built-in names', () => {
+      expect(() => register_provider({ name: 'openai', baseUrl: 'https://example.com' }))
+        .toThrow('Cannot register provider openai: a built-in provider uses this name');
+      expect(() => register_provider({ name: 'azure-openai', baseUrl: 'https://example.com' }))
+        .toThrow('Cannot register provider azure-openai: a built-in provider uses this name');
+      expect(() => register_provider({ name: 'keyed', baseUrl: 'https://example.com', auth: { type: 'header' } }))
+        .toThrow('auth.header is required for header authentication');
+      expect(() => register_provider({ name: 'batched', baseUrl: 'https://example.com', capabilities: { batch: true } }))
+        .toThrow('batchPath is required when capabilities.batch is enabled');
+      expect(() => register_provider({ name: 'Bad Name', baseUrl: 'https://example.com' })).toThrow();
+    });
+  });
+
+  describe('requests to custom providers', () => {
+    it('should be accepted by the schema and send the configured auth header', () => {
+      const request = create_request(llm_input_schema, { provider: 'acme-gateway', apiKey: 'acme-key', model: 'acme-70b', messages });
+
+      expect(request.url).toBe('https://llm.acme.com/openai/v1/chat/completions');
+      expect(request.headers).toEqual({ 'Content-Type': 'application/json', 'x-acme-key': 'acme-key' });
+      expect(request.data).toEqual({ model: 'acme-70b', messages });
+    });
+
+    it('should require an API key unless auth is disabled', () => {
+      expect(() => create_request(llm_input_schema, { provider: 'acme-gateway', model: 'acme-70b', messages }))
+        .toThrow('API key is required for provider: acme-gateway');
+
+      const request = create_request(llm_input_schema, { provider: 'open-vendor', apiKey: 'ignored', model: 'ov-1', messages });
+      expect(request.headers).toEqual({ 'Content-Type': 'application/json' });
+    });
+
+    it('should reject features disabled in the capabilities', () => {
+      const tool = { type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: {} } } };
+
+      expect(() => create_request(llm_input_schema, { provider: 'acme-gateway', apiKey: 'acme-key', model: 'acme-70b', messages, tools: [tool] }))
+        .toThrow('acme-gateway does not support tool calls');
+      expect(() => create_request(llm_input_schema, { provider: 'open-vendor', model: 'ov-1', messages, stream: true }))
+        .toThrow('open-vendor does not support streaming');
+    });
+
+    it('should create OpenAI-compatible batch requests when batching is enabled', () => {
+      const request = create_request(llm_input_schema, {
+        provider: 'open-vendor',
+        model: 'ov-1',
+        messages,
+        batch: { enabled: true, inputFileId: 'file-123' }
+      });
+
+      expect(request).toMatchObject({
+        url: 'https://api.open-vendor.ai/v1/batches',
+        data: { input_file_id: 'file-123', completion_window: '24h' },
+        headers: { 'Content-Type': 'application/json' }
+      });
+    });
+
+    it('should still reject unknown providers', () => {
+      expect(() => llm_input_schema.parse({ provider: 'not-registered', model: 'x', messages }))
+        .toThrow('Unknown provider: not-registered. Use register_provider to add custom providers');
+    });
+
+    it('should execute chat requests and list models', async () => {
+      axios
+        .mockResolvedValueOnce({
+          data: { id: 'chatcmpl-1', model: 'acme-70b', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }] }
+        })
+        .mockResolvedValueOnce({ data: { data: [{ id: 'acme-70b' }] } });
+
+      const result = await execute_request(llm_input_schema, { provider: 'acme-gateway', apiKey: 'acme-key', model: 'acme-70b', messages });
+      const models = await list_models('acme-gateway', { apiKey: 'acme-key' });
+
+      expect(result).toMatchObject({ text: 'Hi', provider: 'acme-gateway' });
+      expect(axios.mock.calls[1][0]).toMatchObject({
+        url: 'https://llm.acme.com/openai/v1/models',
+        headers: { 'x-acme-key': 'acme-key' }
+      });
+      expect(models.map(model => model.id)).toEqual(['acme-70b']);
+    });
+  });
+
+  describe('private network gateways', () => {
+    it('should send requests to a registered private URL when allowPrivateNetwork is set', async () => {
+      axios.mockResolvedValueOnce({ data: { data: [{ id: 'office-8b' }] } });
+
+      const request = create_request(llm_input_schema, { provider: 'office-gateway', model: 'office-8b', messages });
+      const models = await list_models('office-gateway');
+
+      expect(request.url).toBe('http://10.0.0.5:8080/v1/chat/completions');
+      expect(axios.mock.calls[0][0].url).toBe('http://10.0.0.5:8080/v1/models');
+      expect(models.map(model => model.id)).toEqual(['office-8b']);
+    });
+
+    it('should still reject private URL overrides', () => {
+      expect(() => create_request(llm_input_schema, { provider: 'office-gateway', model: 'office-8b', messages }, { url: 'http://192.168.1.10/v1/chat/completions' }))
+        .toThrow('Invalid URL: Private IP addresses are not allowed');
+    });
+
+    it('should reject private URLs of providers registered without allowPrivateNetwork', () => {
+      register_provider({ name: 'closed-gateway', baseUrl: 'http://localhost:9000', auth: { type: 'none' } });
+
+      expect(() => create_request(llm_input_schema, { provider: 'closed-gateway', model: 'm', messages }))
+        .toThrow('Invalid URL: Private IP addresses are not allowed');
+      unregister_provider('closed-gateway');
+    });
+  });
+});
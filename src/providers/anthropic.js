@@ -0,0 +1,279 @@
+/**
+ * Anthropic Messages API Translator
+ *
+ * Converts validated llm_input_schema data into the payload accepted by
+ * Anthropic's /v1/messages endpoint. The Messages API differs from the
+ * OpenAI chat format in several ways:
+ * - System prompts are a top-level `system` field, not a message role
+ * - `max_tokens` is mandatory
+ * - Turns must alternate, so consecutive same-role messages are merged
+ * - Stop sequences are sent as `stop_sequences` (always an array)
+ * - Tools are declared as { name, description, input_schema }
+ * - Tool choice is an object ({ type: 'auto' | 'none' | 'any' | 'tool' })
+ * - Images and PDFs are image/document blocks with a url or base64 source
+ * - JSON schema outputs are requested with a forced tool call
+ *
+ * Reference: https://docs.anthropic.com/en/api/messages
+ */
+
+const { parse_tool_arguments } = require('./openai');
+const { get_base64_size, get_text_content, unsupported_part_error } = require('../content_parts');
+const { zod_to_json_schema, get_structured_output_name } = require('../structured_output');
+
+/**
+ * Default output token budget used when the request does not set maxTokens
+ * Anthropic rejects requests without max_tokens
+ */
+const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * Largest base64 image Anthropic accepts, in bytes
+ */
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Builds the source of an image or document block
+ * @param {Object} part - Universal image or document part
+ * @returns {Object} Anthropic source ({ type: 'url' | 'base64' | 'text', ... })
+ */
+const to_anthropic_source = (part) => {
+  if (part.url) {
+    return { type: 'url', url: part.url };
+  }
+  // Plain-text documents are sent as text sources, not base64
+  if (part.mimeType === 'text/plain') {
+    return { type: 'text', media_type: 'text/plain', data: Buffer.from(part.data, 'base64').toString('utf8') };
+  }
+  return { type: 'base64', media_type: part.mimeType, data: part.data };
+};
+
+/**
+ * Converts a universal content part into an Anthropic content block
+ * @param {Object} part - Universal content part
+ * @returns {Object} Anthropic content block
+ */
+const to_anthropic_content_part = (part) => {
+  switch (part.type) {
+    case 'text':
+      return { type: 'text', text: part.text };
+
+    case 'image':
+      if (part.data && get_base64_size(part.data) > MAX_IMAGE_BYTES) {
+        throw new Error('anthropic images must be 5 MB or smaller');
+      }
+      return { type: 'image', source: to_anthropic_source(part) };
+
+    case 'document':
+      return { type: 'document', source: to_anthropic_source(part) };
+
+    case 'audio':
+      throw unsupported_part_error('anthropic', part);
+
+    default:
+      throw new Error(`Unknown content part type: ${part.type}`);
+  }
+};
+
+/**
+ * Converts message content into an array of Anthropic content blocks
+ * Arrays are expected to hold already converted Anthropic blocks
+ * @param {string|Array} content - Message content
+ * @returns {Array} Anthropic content blocks
+ */
+const to_content_blocks = (content) => {
+  if (Array.isArray(content)) {
+    return content;
+  }
+  return [{ type: 'text', text: content }];
+};
+
+/**
+ * Converts a universal message into Anthropic content
+ * Assistant tool calls become tool_use blocks and tool results become tool_result blocks
+ * @param {Object} message - Universal chat message (not a system message)
+ * @returns {string|Array} Anthropic message content
+ */
+const to_anthropic_content = (message) => {
+  const content = Array.isArray(message.content) ? message.content.map(to_anthropic_content_part) : message.content;
+
+  if (message.role === 'tool' && message.toolCallId) {
+    return [{
+      type: 'tool_result',
+      tool_use_id: message.toolCallId,
+      content: content ?? ''
+    }];
+  }
+
+  if (message.role === 'assistant' && message.toolCalls?.length > 0) {
+    // Anthropic rejects empty text blocks
+    const textBlocks = content ? to_content_blocks(content) : [];
+    const toolUseBlocks = message.toolCalls.map(call => ({
+      type: 'tool_use',
+      id: call.id,
+      name: call.function.name,
+      input: parse_tool_arguments(call)
+    }));
+    return [...textBlocks, ...toolUseBlocks];
+  }
+
+  return content;
+};
+
+/**
+ * Converts universal messages into Anthropic system prompt and message turns
+ * @param {Array} messages - Universal chat messages
+ * @returns {Object} { system, messages } where system is undefined when no system messages exist
+ */
+const to_anthropic_messages = (messages) => {
+  const systemParts = [];
+  const turns = [];
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      systemParts.push(get_text_content(message.content));
+      continue;
+    }
+
+    // Anthropic only knows user and assistant turns, tool results are sent by the user
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const content = to_anthropic_content(message);
+    const previous = turns[turns.length - 1];
+
+    if (previous && previous.role === role) {
+      previous.content = [...to_content_blocks(previous.content), ...to_content_blocks(content)];
+    } else {
+      turns.push({ role, content });
+    }
+  }
+
+  return {
+    system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    messages: turns
+  };
+};
+
+/**
+ * Converts universal tool definitions into Anthropic tool declarations
+ * @param {Array} tools - Universal tools ({ type: 'function', function: { name, description, parameters } })
+ * @returns {Array} Anthropic tools ({ name, description, input_schema })
+ */
+const to_anthropic_tools = (tools) => {
+  return tools.map(tool => ({
+    name: tool.function.name,
+    ...(tool.function.description && { description: tool.function.description }),
+    input_schema: tool.function.parameters || { type: 'object', properties: {} }
+  }));
+};
+
+/**
+ * Converts universal toolChoice and parallelToolCalls into Anthropic tool_choice
+ * @param {Object} validatedData - The validated input data
+ * @returns {Object|undefined} Anthropic tool_choice, or undefined when neither option is set
+ */
+const to_anthropic_tool_choice = (validatedData) => {
+  const { toolChoice, parallelToolCalls } = validatedData;
+  if (toolChoice === undefined && parallelToolCalls === undefined) {
+    return undefined;
+  }
+
+  const TOOL_CHOICE_TYPES = { auto: 'auto', none: 'none', required: 'any' };
+  const choice = typeof toolChoice === 'object'
+    ? { type: 'tool', name: toolChoice.name }
+    : { type: TOOL_CHOICE_TYPES[toolChoice || 'auto'] };
+
+  // Anthropic rejects disable_parallel_tool_use when tools are turned off
+  if (parallelToolCalls !== undefined && choice.type !== 'none') {
+    choice.disable_parallel_tool_use = !parallelToolCalls;
+  }
+
+  return choice;
+};
+
+/**
+ * Builds the forced tool that stands in for a json_schema response format
+ * Anthropic has no JSON schema mode, so the model is made to call a tool whose
+ * input is the structured output
+ * @param {Object} responseFormat - json_schema response format
+ * @returns {Object} Anthropic tool declaration
+ */
+const to_structured_output_tool = (responseFormat) => {
+  const schema = zod_to_json_schema(responseFormat.schema);
+  if (schema.type !== 'object') {
+    throw new Error('anthropic structured outputs need an object schema (z.object)');
+  }
+
+  return {
+    name: get_structured_output_name(responseFormat),
+    description: responseFormat.description || 'Respond with the structured output',
+    input_schema: schema
+  };
+};
+
+/**
+ * Builds an Anthropic Messages API payload from validated universal data
+ * Fields Anthropic does not support (presencePenalty, frequencyPenalty, seed) are dropped
+ *
+ * @param {Object} validatedData - The validated input data
+ * @returns {Object} Anthropic /v1/messages request body
+ *
+ * @example
+ * to_anthropic_payload({
+ *   model: 'claude-3-5-sonnet-20241022',
+ *   messages: [
+ *     { role: 'system', content: 'Be brief.' },
+ *     { role: 'user', content: 'Hello' }
+ *   ],
+ *   stop: 'END'
+ * });
+ * // Returns: { model, max_tokens: 1024, system: 'Be brief.',
+ * //            messages: [{ role: 'user', content: 'Hello' }], stop_sequences: ['END'] }
+ */
+const to_anthropic_payload = (validatedData) => {
+  const { system, messages } = to_anthropic_messages(validatedData.messages);
+  const payload = {
+    model: validatedData.model,
+    max_tokens: validatedData.maxTokens || DEFAULT_MAX_TOKENS,
+    messages
+  };
+
+  if (system !== undefined) {
+    payload.system = system;
+  }
+  if (validatedData.temperature !== undefined) {
+    payload.temperature = validatedData.temperature;
+  }
+  if (validatedData.topP !== undefined) {
+    payload.top_p = validatedData.topP;
+  }
+  if (validatedData.stream !== undefined) {
+    payload.stream = validatedData.stream;
+  }
+  if (validatedData.stop !== undefined) {
+    payload.stop_sequences = Array.isArray(validatedData.stop) ? validatedData.stop : [validatedData.stop];
+  }
+  if (validatedData.tools && validatedData.tools.length > 0) {
+    payload.tools = to_anthropic_tools(validatedData.tools);
+  }
+
+  const toolChoice = to_anthropic_tool_choice(validatedData);
+  if (toolChoice) {
+    payload.tool_choice = toolChoice;
+  }
+
+  if (validatedData.responseFormat?.type === 'json_schema') {
+    const structuredTool = to_structured_output_tool(validatedData.responseFormat);
+    payload.tools = [...(payload.tools || []), structuredTool];
+    payload.tool_choice = { type: 'tool', name: structuredTool.name };
+  }
+
+  return payload;
+};
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  to_anthropic_content_part,
+  to_anthropic_messages,
+  to_anthropic_tools,
+  to_anthropic_tool_choice,
+  to_anthropic_payload
+};
@@ -0,0 +1,270 @@
+const { z } = require('zod');
+const {
+  DEFAULT_MAX_TOKENS,
+  to_anthropic_content_part,
+  to_anthropic_messages,
+  to_anthropic_tools,
+  to_anthropic_tool_choice,
+  to_anthropic_payload
+} = require('./anthropic');
+
+describe('Anthropic translator', () => {
+  describe('to_anthropic_content_part', () => {
+    it('should convert images to url and base64 sources', () => {
+      expect(to_anthropic_content_part({ type: 'image', url: 'https://example.com/cat.png' })).toEqual({
+        type: 'image',
+        source: { type: 'url', url: 'https://example.com/cat.png' }
+      });
+      expect(to_anthropic_content_part({ type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' })).toEqual({
+        type: 'image',
+        source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' }
+      });
+    });
+
+    it('should convert PDFs and plain-text documents to document blocks', () => {
+      expect(to_anthropic_content_part({ type: 'document', data: 'JVBERi0=', mimeType: 'application/pdf' })).toEqual({
+        type: 'document',
+        source: { type: 'base64', media_type: 'application/pdf', data: 'JVBERi0=' }
+      });
+      expect(to_anthropic_content_part({ type: 'document', data: Buffer.from('Notes').toString('base64'), mimeType: 'text/plain' })).toEqual({
+        type: 'document',
+        source: { type: 'text', media_type: 'text/plain', data: 'Notes' }
+      });
+    });
+
+    it('should reject audio and images over 5 MB', () => {
+      expect(() => to_anthropic_content_part({ type: 'audio', data: 'UklGRg==', mimeType: 'audio/wav' }))
+        .toThrow('anthropic does not support inline audio content parts');
+
+      const largeImage = 'A'.repeat(Math.ceil((6 * 1024 * 1024 * 4) / 3));
+      expect(() => to_anthropic_content_part({ type: 'image', data: largeImage, mimeType: 'image/png' }))
+        .toThrow('anthropic images must be 5 MB or smaller');
+    });
+  });
+
+  describe('to_anthropic_messages', () => {
+    it('should move system messages to the top-level system prompt', () => {
+      const result = to_anthropic_messages([
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'system', content: 'Answer in English.' },
+        { role: 'user', content: 'Hello' }
+      ]);
+
+      expect(result.system).toBe('You are helpful.\n\nAnswer in English.');
+      expect(result.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+    });
+
+    it('should leave system undefined when there are no system messages', () => {
+      const result = to_anthropic_messages([{ role: 'user', content: 'Hello' }]);
+      expect(result.system).toBeUndefined();
+    });
+
+    it('should merge consecutive same-role turns into content blocks', () => {
+      const result = to_anthropic_messages([
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' },
+        { role: 'assistant', content: 'Reply' }
+      ]);
+
+      expect(result.messages).toEqual([
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'First' },
+            { type: 'text', text: 'Second' }
+          ]
+        },
+        { role: 'assistant', content: 'Reply' }
+      ]);
+    });
+
+    it('should not mutate the input messages', () => {
+      const messages = [
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' }
+      ];
+      to_anthropic_messages(messages);
+      expect(messages[0]).toEqual({ role: 'user', content: 'First' });
+    });
+
+    it('should convert tool calls and results to tool_use and tool_result blocks', () => {
+      const result = to_anthropic_messages([
+        { role: 'user', content: 'Weather in Paris and Rome?' },
+        {
+          role: 'assistant',
+          content: 'Checking both.',
+          toolCalls: [
+            { id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+            { id: 'toolu_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } }
+          ]
+        },
+        { role: 'tool', content: '18°C', toolCallId: 'toolu_1' },
+        { role: 'tool', content: '24°C', toolCallId: 'toolu_2' }
+      ]);
+
+      expect(result.messages).toEqual([
+        { role: 'user', content: 'Weather in Paris and Rome?' },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Checking both.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { city: 'Rome' } }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: '18°C' },
+            { type: 'tool_result', tool_use_id: 'toolu_2', content: '24°C' }
+          ]
+        }
+      ]);
+    });
+
+    it('should omit the text block when an assistant turn only has tool calls', () => {
+      const result = to_anthropic_messages([
+        { role: 'assistant', content: null, toolCalls: [{ id: 'toolu_1', type: 'function', function: { name: 'now', arguments: '' } }] }
+      ]);
+
+      expect(result.messages[0].content).toEqual([{ type: 'tool_use', id: 'toolu_1', name: 'now', input: {} }]);
+    });
+
+    it('should convert multimodal content and keep only text in the system prompt', () => {
+      const result = to_anthropic_messages([
+        { role: 'system', content: [{ type: 'text', text: 'Be brief.' }] },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' }
+          ]
+        }
+      ]);
+
+      expect(result.system).toBe('Be brief.');
+      expect(result.messages[0].content).toEqual([
+        { type: 'text', text: 'What is this?' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } }
+      ]);
+    });
+
+    it('should send tool messages without toolCallId as user text', () => {
+      const result = to_anthropic_messages([{ role: 'tool', content: 'Result' }]);
+      expect(result.messages).toEqual([{ role: 'user', content: 'Result' }]);
+    });
+  });
+
+  describe('to_anthropic_tools', () => {
+    it('should convert function tools to input_schema declarations', () => {
+      const tools = to_anthropic_tools([{
+        type: 'function',
+        function: {
+          name: 'get_weather',
+          description: 'Get current weather',
+          parameters: { type: 'object', properties: { city: { type: 'string' } } }
+        }
+      }]);
+
+      expect(tools).toEqual([{
+        name: 'get_weather',
+        description: 'Get current weather',
+        input_schema: { type: 'object', properties: { city: { type: 'string' } } }
+      }]);
+    });
+
+    it('should default input_schema to an empty object schema', () => {
+      const tools = to_anthropic_tools([{ type: 'function', function: { name: 'ping' } }]);
+      expect(tools).toEqual([{ name: 'ping', input_schema: { type: 'object', properties: {} } }]);
+    });
+  });
+
+  describe('to_anthropic_tool_choice', () => {
+    it('should map universal choices to Anthropic types', () => {
+      expect(to_anthropic_tool_choice({ toolChoice: 'auto' })).toEqual({ type: 'auto' });
+      expect(to_anthropic_tool_choice({ toolChoice: 'none' })).toEqual({ type: 'none' });
+      expect(to_anthropic_tool_choice({ toolChoice: 'required' })).toEqual({ type: 'any' });
+      expect(to_anthropic_tool_choice({ toolChoice: { name: 'get_weather' } })).toEqual({ type: 'tool', name: 'get_weather' });
+    });
+
+    it('should invert parallelToolCalls into disable_parallel_tool_use', () => {
+      expect(to_anthropic_tool_choice({ parallelToolCalls: false })).toEqual({ type: 'auto', disable_parallel_tool_use: true });
+      expect(to_anthropic_tool_choice({ toolChoice: 'required', parallelToolCalls: true })).toEqual({ type: 'any', disable_parallel_tool_use: false });
+    });
+
+    it('should not send disable_parallel_tool_use when tools are turned off', () => {
+      expect(to_anthropic_tool_choice({ toolChoice: 'none', parallelToolCalls: false })).toEqual({ type: 'none' });
+    });
+
+    it('should return undefined when neither option is set', () => {
+      expect(to_anthropic_tool_choice({})).toBeUndefined();
+    });
+  });
+
+  describe('to_anthropic_payload', () => {
+    it('should build a complete Messages API payload', () => {
+      const payload = to_anthropic_payload({
+        provider: 'anthropic',
+        apiKey: 'sk-ant-test',
+        model: 'claude-3-5-sonnet-20241022',
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Hello' }
+        ],
+        maxTokens: 500,
+        temperature: 0.5,
+        topP: 0.9,
+        stop: 'END',
+        presencePenalty: 0.3,
+        seed: 7
+      });
+
+      expect(payload).toEqual({
+        model: 'claude-3-5-sonnet-20241022',
+        max_tokens: 500,
+        system: 'Be brief.',
+        messages: [{ role: 'user', content: 'Hello' }],
+        temperature: 0.5,
+        top_p: 0.9,
+        stop_sequences: ['END']
+      });
+    });
+
+    it('should request json_schema outputs with a forced tool', () => {
+      const payload = to_anthropic_payload({
+        model: 'claude-3-5-sonnet-20241022',
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        responseFormat: { type: 'json_schema', name: 'weather', schema: z.object({ city: z.string() }) }
+      });
+
+      expect(payload.tools).toEqual([{
+        name: 'weather',
+        description: 'Respond with the structured output',
+        input_schema: {
+          type: 'object',
+          properties: { city: { type: 'string' } },
+          required: ['city'],
+          additionalProperties: false
+        }
+      }]);
+      expect(payload.tool_choice).toEqual({ type: 'tool', name: 'weather' });
+    });
+
+    it('should reject json_schema outputs that are not objects', () => {
+      expect(() => to_anthropic_payload({
+        model: 'claude-3-5-sonnet-20241022',
+        messages: [{ role: 'user', content: 'Pick a number' }],
+        responseFormat: { type: 'json_schema', schema: z.number() }
+      })).toThrow('anthropic structured outputs need an object schema (z.object)');
+    });
+
+    it('should always include max_tokens', () => {
+      const payload = to_anthropic_payload({
+        model: 'claude-3-haiku-20240307',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+
+      expect(payload.max_tokens).toBe(DEFAULT_MAX_TOKENS);
+    });
+  });
+});
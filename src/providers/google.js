@@ -0,0 +1,288 @@
+/**
+ * Google Gemini generateContent Translator
+ *
+ * Converts validated llm_input_schema data into the payload accepted by
+ * Gemini's models/{model}:generateContent and :streamGenerateContent methods.
+ * Differences from the OpenAI chat format:
+ * - Messages become `contents` with `parts`, and the assistant role is called 'model'
+ * - System prompts are sent as `systemInstruction`
+ * - Sampling options live in `generationConfig` with camelCase names
+ * - The model and stream flag are part of the URL, not the body
+ * - Tools are grouped under a single `functionDeclarations` entry
+ * - Tool choice is sent as `toolConfig.functionCallingConfig`
+ * - Images, audio and documents are inlineData (base64) or fileData (URL) parts
+ * - JSON schema outputs are sent as `generationConfig.responseSchema`
+ *
+ * Reference: https://ai.google.dev/api/generate-content
+ */
+
+const { parse_tool_arguments } = require('./openai');
+const { get_text_content } = require('../content_parts');
+const { zod_to_json_schema } = require('../structured_output');
+
+/**
+ * Converts a universal content part into a Gemini part
+ * Inline data becomes inlineData, URLs become fileData
+ * @param {Object} part - Universal content part
+ * @returns {Object} Gemini part
+ */
+const to_google_content_part = (part) => {
+  if (part.type === 'text') {
+    return { text: part.text };
+  }
+  if (part.data) {
+    return { inlineData: { mimeType: part.mimeType, data: part.data } };
+  }
+  return { fileData: { fileUri: part.url, ...(part.mimeType && { mimeType: part.mimeType }) } };
+};
+
+/**
+ * Converts message content into Gemini parts
+ * @param {string|Array} content - Message content
+ * @returns {Array} Gemini parts
+ */
+const to_google_parts = (content) => {
+  if (Array.isArray(content)) {
+    return content.map(to_google_content_part);
+  }
+  return [{ text: content }];
+};
+
+/**
+ * Converts a tool result into the object Gemini expects as functionResponse.response
+ * JSON objects are sent as-is, any other result is wrapped in { result }
+ * @param {string} content - Tool message content
+ * @returns {Object} functionResponse.response value
+ */
+const to_function_response = (content) => {
+  let value = content ?? '';
+  try {
+    value = JSON.parse(value);
+  } catch (error) {
+    // Plain-text tool results are wrapped below
+  }
+
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    return value;
+  }
+  return { result: value };
+};
+
+/**
+ * Converts a universal message into Gemini parts
+ * Assistant tool calls become functionCall parts and tool results become functionResponse parts
+ * @param {Object} message - Universal chat message (not a system message)
+ * @param {Map} toolNames - Tool names by tool call id, collected from earlier assistant turns
+ * @returns {Array} Gemini parts
+ * @throws {Error} When the function name of a tool result is neither set nor found in earlier tool calls
+ */
+const to_message_parts = (message, toolNames) => {
+  if (message.role === 'assistant' && message.toolCalls?.length > 0) {
+    const textParts = message.content ? to_google_parts(message.content) : [];
+    const callParts = message.toolCalls.map(call => {
+      toolNames.set(call.id, call.function.name);
+      return { functionCall: { name: call.function.name, args: parse_tool_arguments(call) } };
+    });
+    return [...textParts, ...callParts];
+  }
+
+  if (message.role === 'tool') {
+    const toolName = message.name || toolNames.get(message.toolCallId);
+    if (!toolName) {
+      throw new Error(`Gemini needs the function name of tool result ${message.toolCallId}: set name on the tool message or include the assistant message with the matching tool call`);
+    }
+    return [{ functionResponse: { name: toolName, response: to_function_response(get_text_content(message.content)) } }];
+  }
+
+  return to_google_parts(message.content);
+};
+
+/**
+ * Converts universal messages into Gemini systemInstruction and contents
+ * Consecutive same-role messages are merged into a single content entry
+ * @param {Array} messages - Universal chat messages
+ * @returns {Object} { systemInstruction, contents } where systemInstruction is undefined when no system messages exist
+ */
+const to_google_contents = (messages) => {
+  const systemParts = [];
+  const contents = [];
+  const toolNames = new Map();
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      systemParts.push(...to_google_parts(message.content));
+      continue;
+    }
+
+    // Gemini only knows user and model turns, function responses are sent by the user
+    const role = message.role === 'assistant' ? 'model' : 'user';
+    const parts = to_message_parts(message, toolNames);
+    const previous = contents[contents.length - 1];
+
+    if (previous && previous.role === role) {
+      previous.parts = [...previous.parts, ...parts];
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  return {
+    systemInstruction: systemParts.length > 0 ? { parts: systemParts } : undefined,
+    contents
+  };
+};
+
+/**
+ * Converts JSON Schema into the OpenAPI subset accepted by Gemini responseSchema
+ * Null unions become nullable, const becomes a single-value enum and
+ * additionalProperties is dropped
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Gemini Schema
+ */
+const to_google_schema = (schema) => {
+  const { additionalProperties, anyOf, const: constValue, properties, items, ...rest } = schema;
+  const converted = { ...rest };
+
+  if (anyOf) {
+    const variants = anyOf.filter(variant => variant.type !== 'null');
+    if (variants.length === 1) {
+      Object.assign(converted, to_google_schema(variants[0]));
+    } else {
+      converted.anyOf = variants.map(to_google_schema);
+    }
+    if (variants.length < anyOf.length) {
+      converted.nullable = true;
+    }
+  }
+  if (constValue !== undefined) {
+    converted.enum = [constValue];
+  }
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, to_google_schema(value)])
+    );
+  }
+  if (items) {
+    converted.items = to_google_schema(items);
+  }
+
+  return converted;
+};
+
+/**
+ * Converts universal tool definitions into Gemini function declarations
+ * Parameters are reduced to the OpenAPI subset Gemini accepts
+ * @param {Array} tools - Universal tools ({ type: 'function', function: { name, description, parameters } })
+ * @returns {Array} Gemini tools ([{ functionDeclarations }])
+ */
+const to_google_tools = (tools) => {
+  return [{
+    functionDeclarations: tools.map(tool => ({
+      name: tool.function.name,
+      ...(tool.function.description && { description: tool.function.description }),
+      ...(tool.function.parameters && { parameters: to_google_schema(tool.function.parameters) })
+    }))
+  }];
+};
+
+/**
+ * Converts a universal toolChoice into Gemini toolConfig
+ * @param {string|Object} toolChoice - 'auto', 'none', 'required' or { name }
+ * @returns {Object} Gemini toolConfig ({ functionCallingConfig })
+ */
+const to_google_tool_config = (toolChoice) => {
+  if (typeof toolChoice === 'object') {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.name] } };
+  }
+
+  const FUNCTION_CALLING_MODES = { auto: 'AUTO', none: 'NONE', required: 'ANY' };
+  return { functionCallingConfig: { mode: FUNCTION_CALLING_MODES[toolChoice] } };
+};
+
+/**
+ * Builds the Gemini generationConfig from universal sampling options
+ * @param {Object} validatedData - The validated input data
+ * @returns {Object|undefined} generationConfig, or undefined when no options are set
+ */
+const to_generation_config = (validatedData) => {
+  const GENERATION_CONFIG_MAPPING = {
+    maxTokens: 'maxOutputTokens',
+    temperature: 'temperature',
+    topP: 'topP',
+    presencePenalty: 'presencePenalty',
+    frequencyPenalty: 'frequencyPenalty',
+    seed: 'seed'
+  };
+
+  const generationConfig = {};
+  for (const [universalField, googleField] of Object.entries(GENERATION_CONFIG_MAPPING)) {
+    const value = validatedData[universalField];
+    if (value !== undefined && value !== null) {
+      generationConfig[googleField] = value;
+    }
+  }
+
+  if (validatedData.stop !== undefined) {
+    generationConfig.stopSequences = Array.isArray(validatedData.stop) ? validatedData.stop : [validatedData.stop];
+  }
+  if (validatedData.responseFormat?.type === 'json_object') {
+    generationConfig.responseMimeType = 'application/json';
+  }
+  if (validatedData.responseFormat?.type === 'json_schema') {
+    generationConfig.responseMimeType = 'application/json';
+    generationConfig.responseSchema = to_google_schema(zod_to_json_schema(validatedData.responseFormat.schema));
+  }
+
+  return Object.keys(generationConfig).length > 0 ? generationConfig : undefined;
+};
+
+/**
+ * Builds a Gemini generateContent payload from validated universal data
+ *
+ * @param {Object} validatedData - The validated input data
+ * @returns {Object} Gemini generateContent request body
+ *
+ * @example
+ * to_google_payload({
+ *   model: 'gemini-1.5-flash',
+ *   messages: [
+ *     { role: 'system', content: 'Be brief.' },
+ *     { role: 'user', content: 'Hello' }
+ *   ],
+ *   maxTokens: 100
+ * });
+ * // Returns: { contents: [{ role: 'user', parts: [{ text: 'Hello' }] }],
+ * //            systemInstruction: { parts: [{ text: 'Be brief.' }] },
+ * //            generationConfig: { maxOutputTokens: 100 } }
+ */
+const to_google_payload = (validatedData) => {
+  const { systemInstruction, contents } = to_google_contents(validatedData.messages);
+  const payload = { contents };
+
+  if (systemInstruction) {
+    payload.systemInstruction = systemInstruction;
+  }
+
+  const generationConfig = to_generation_config(validatedData);
+  if (generationConfig) {
+    payload.generationConfig = generationConfig;
+  }
+
+  if (validatedData.tools && validatedData.tools.length > 0) {
+    payload.tools = to_google_tools(validatedData.tools);
+  }
+  if (validatedData.toolChoice !== undefined) {
+    payload.toolConfig = to_google_tool_config(validatedData.toolChoice);
+  }
+
+  return payload;
+};
+
+module.exports = {
+  to_google_content_part,
+  to_google_contents,
+  to_google_tools,
+  to_google_tool_config,
+  to_google_schema,
+  to_google_payload
+};
@@ -0,0 +1,204 @@
+const { z } = require('zod');
+const {
+  to_google_contents,
+  to_google_tools,
+  to_google_tool_config,
+  to_google_schema,
+  to_google_payload
+} = require('./google');
+
+describe('Google Gemini translator', () => {
+  describe('to_google_contents', () => {
+    it('should map roles and move system messages to systemInstruction', () => {
+      const result = to_google_contents([
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi there' },
+        { role: 'user', content: 'How are you?' }
+      ]);
+
+      expect(result.systemInstruction).toEqual({ parts: [{ text: 'You are helpful.' }] });
+      expect(result.contents).toEqual([
+        { role: 'user', parts: [{ text: 'Hello' }] },
+        { role: 'model', parts: [{ text: 'Hi there' }] },
+        { role: 'user', parts: [{ text: 'How are you?' }] }
+      ]);
+    });
+
+    it('should merge consecutive same-role messages into one content entry', () => {
+      const result = to_google_contents([
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' }
+      ]);
+
+      expect(result.systemInstruction).toBeUndefined();
+      expect(result.contents).toEqual([
+        { role: 'user', parts: [{ text: 'First' }, { text: 'Second' }] }
+      ]);
+    });
+
+    it('should convert tool calls and results to functionCall and functionResponse parts', () => {
+      const result = to_google_contents([
+        { role: 'user', content: 'Weather in Paris?' },
+        {
+          role: 'assistant',
+          content: null,
+          toolCalls: [{ id: 'call_0', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+        },
+        { role: 'tool', content: '{"temp":18}', toolCallId: 'call_0' }
+      ]);
+
+      expect(result.contents).toEqual([
+        { role: 'user', parts: [{ text: 'Weather in Paris?' }] },
+        { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+        { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { temp: 18 } } }] }
+      ]);
+    });
+
+    it('should wrap non-object tool results and prefer the message name', () => {
+      const result = to_google_contents([
+        { role: 'tool', content: '18°C', name: 'get_weather' }
+      ]);
+
+      expect(result.contents[0].parts).toEqual([
+        { functionResponse: { name: 'get_weather', response: { result: '18°C' } } }
+      ]);
+    });
+
+    it('should convert media parts to inlineData and fileData', () => {
+      const result = to_google_contents([{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Compare these' },
+          { type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' },
+          { type: 'document', url: 'https://example.com/report.pdf', mimeType: 'application/pdf' }
+        ]
+      }]);
+
+      expect(result.contents[0].parts).toEqual([
+        { text: 'Compare these' },
+        { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } },
+        { fileData: { fileUri: 'https://example.com/report.pdf', mimeType: 'application/pdf' } }
+      ]);
+    });
+
+    it('should reject tool messages with an unknown function name', () => {
+      expect(() => to_google_contents([{ role: 'tool', content: 'Result', toolCallId: 'missing' }]))
+        .toThrow('Gemini needs the function name of tool result missing: set name on the tool message or include the assistant message with the matching tool call');
+    });
+  });
+
+  describe('to_google_tools', () => {
+    it('should group tools under functionDeclarations', () => {
+      const tools = to_google_tools([
+        {
+          type: 'function',
+          function: {
+            name: 'get_weather',
+            description: 'Get current weather',
+            parameters: { type: 'object', properties: { city: { type: 'string' } } }
+          }
+        },
+        { type: 'function', function: { name: 'ping' } }
+      ]);
+
+      expect(tools).toEqual([{
+        functionDeclarations: [
+          {
+            name: 'get_weather',
+            description: 'Get current weather',
+            parameters: { type: 'object', properties: { city: { type: 'string' } } }
+          },
+          { name: 'ping' }
+        ]
+      }]);
+    });
+  });
+
+  describe('to_google_tool_config', () => {
+    it('should map universal choices to function calling modes', () => {
+      expect(to_google_tool_config('auto')).toEqual({ functionCallingConfig: { mode: 'AUTO' } });
+      expect(to_google_tool_config('none')).toEqual({ functionCallingConfig: { mode: 'NONE' } });
+      expect(to_google_tool_config('required')).toEqual({ functionCallingConfig: { mode: 'ANY' } });
+    });
+
+    it('should restrict ANY mode to a named function', () => {
+      expect(to_google_tool_config({ name: 'get_weather' })).toEqual({
+        functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['get_weather'] }
+      });
+    });
+  });
+
+  describe('to_google_schema', () => {
+    it('should convert nullables, consts and drop additionalProperties', () => {
+      expect(to_google_schema({
+        type: 'object',
+        properties: {
+          note: { anyOf: [{ type: 'string' }, { type: 'null' }] },
+          kind: { type: 'string', const: 'forecast' },
+          tags: { type: 'array', items: { type: 'object', properties: {}, required: [], additionalProperties: false } }
+        },
+        required: ['note', 'kind', 'tags'],
+        additionalProperties: false
+      })).toEqual({
+        type: 'object',
+        properties: {
+          note: { type: 'string', nullable: true },
+          kind: { type: 'string', enum: ['forecast'] },
+          tags: { type: 'array', items: { type: 'object', properties: {}, required: [] } }
+        },
+        required: ['note', 'kind', 'tags']
+      });
+    });
+  });
+
+  describe('to_google_payload', () => {
+    it('should map sampling options into generationConfig', () => {
+      const payload = to_google_payload({
+        provider: 'google',
+        apiKey: 'test-key',
+        model: 'gemini-1.5-flash',
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 256,
+        temperature: 0.4,
+        topP: 0.8,
+        stop: 'END',
+        stream: true,
+        responseFormat: { type: 'json_object' }
+      });
+
+      expect(payload).toEqual({
+        contents: [{ role: 'user', parts: [{ text: 'Hello' }] }],
+        generationConfig: {
+          maxOutputTokens: 256,
+          temperature: 0.4,
+          topP: 0.8,
+          stopSequences: ['END'],
+          responseMimeType: 'application/json'
+        }
+      });
+    });
+
+    it('should send json_schema outputs as responseSchema', () => {
+      const payload = to_google_payload({
+        model: 'gemini-1.5-flash',
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        responseFormat: { type: 'json_schema', schema: z.object({ city: z.string() }) }
+      });
+
+      expect(payload.generationConfig).toEqual({
+        responseMimeType: 'application/json',
+        responseSchema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+      });
+    });
+
+    it('should omit generationConfig when no options are set', () => {
+      const payload = to_google_payload({
+        model: 'gemini-1.5-flash',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+
+      expect(payload).toEqual({ contents: [{ role: 'user', parts: [{ text: 'Hello' }] }] });
+    });
+  });
+});
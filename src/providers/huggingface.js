@@ -0,0 +1,210 @@
+/**
+ * Hugging Face Inference API Translator
+ *
+ * The serverless Inference API (api-inference.huggingface.co/models/{model})
+ * does not accept chat messages. Text generation models expect a single prompt
+ * string in `inputs` plus generation `parameters`, so chat messages are rendered
+ * into the prompt template the model was trained with.
+ *
+ * Requests sent through the Hugging Face router (huggingfaceRouter: true) use the
+ * OpenAI-compatible /v1/chat/completions route instead and skip this translator.
+ *
+ * Reference: https://huggingface.co/docs/api-inference/tasks/text-generation
+ */
+
+const { get_text_content, unsupported_part_error } = require('../content_parts');
+
+/**
+ * Renders messages with ChatML markers (Qwen, Hermes, Yi and most fine-tunes)
+ * @param {Array} messages - Universal chat messages
+ * @returns {string} Prompt string ending with an open assistant turn
+ */
+const render_chatml = (messages) => {
+  const turns = messages.map(message => `<|im_start|>${message.role}\n${message.content}<|im_end|>\n`);
+  return `${turns.join('')}<|im_start|>assistant\n`;
+};
+
+/**
+ * Renders messages with Llama 3 header markers
+ * Tool results use the ipython role of the Llama 3.1+ template
+ * Reference: https://www.llama.com/docs/model-cards-and-prompt-formats/llama3_1/
+ * @param {Array} messages - Universal chat messages
+ * @returns {string} Prompt string ending with an open assistant turn
+ */
+const render_llama3 = (messages) => {
+  const turns = messages.map(message =>
+    `<|start_header_id|>${message.role === 'tool' ? 'ipython' : message.role}<|end_header_id|>\n\n${message.content}<|eot_id|>`
+  );
+  return `<|begin_of_text|>${turns.join('')}<|start_header_id|>assistant<|end_header_id|>\n\n`;
+};
+
+/**
+ * Renders messages with [INST] markers (Llama 2 and Mistral)
+ * Llama 2 wraps the system prompt in <<SYS>> tags, Mistral has no system
+ * slot so it is prepended to the first user message
+ * @param {Array} messages - Universal chat messages
+ * @param {boolean} systemTags - Whether to wrap the system prompt in <<SYS>> tags
+ * @returns {string} Prompt string ending with an open assistant turn
+ */
+const render_inst = (messages, systemTags) => {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+  let pendingSystem = system
+    ? (systemTags ? `<<SYS>>\n${system}\n<</SYS>>\n\n` : `${system}\n\n`)
+    : '';
+
+  let prompt = '';
+  for (const message of messages) {
+    if (message.role === 'system') {
+      continue;
+    }
+    if (message.role === 'assistant') {
+      prompt += ` ${message.content} </s>`;
+    } else {
+      prompt += `<s>[INST] ${pendingSystem}${message.content} [/INST]`;
+      pendingSystem = '';
+    }
+  }
+  return prompt;
+};
+
+/**
+ * Renders messages with Zephyr role markers
+ * @param {Array} messages - Universal chat messages
+ * @returns {string} Prompt string ending with an open assistant turn
+ */
+const render_zephyr = (messages) => {
+  const turns = messages.map(message => `<|${message.role}|>\n${message.content}</s>\n`);
+  return `${turns.join('')}<|assistant|>\n`;
+};
+
+/**
+ * Renders messages as plain role-prefixed text for base models without a chat template
+ * @param {Array} messages - Universal chat messages
+ * @returns {string} Prompt string ending with an open assistant turn
+ */
+const render_plain = (messages) => {
+  const ROLE_LABELS = { system: 'System', user: 'User', assistant: 'Assistant', tool: 'Tool' };
+  const turns = messages.map(message => `${ROLE_LABELS[message.role]}: ${message.content}\n\n`);
+  return `${turns.join('')}Assistant:`;
+};
+
+/**
+ * Prompt renderers by template name
+ */
+const PROMPT_FORMATS = {
+  chatml: render_chatml,
+  llama3: render_llama3,
+  llama2: messages => render_inst(messages, true),
+  mistral: messages => render_inst(messages, false),
+  zephyr: render_zephyr,
+  plain: render_plain
+};
+
+/**
+ * Picks the prompt template for a model from its repository id
+ * @param {string} model - Hugging Face model id (e.g. 'meta-llama/Meta-Llama-3-8B-Instruct')
+ * @returns {string} Prompt format name
+ */
+const detect_prompt_format = (model) => {
+  const name = model.toLowerCase();
+
+  if (/llama-?3/.test(name)) {
+    return 'llama3';
+  }
+  if (/llama-?2/.test(name)) {
+    return 'llama2';
+  }
+  if (name.includes('mistral') || name.includes('mixtral')) {
+    return 'mistral';
+  }
+  if (name.includes('zephyr')) {
+    return 'zephyr';
+  }
+  if (['qwen', 'hermes', 'chatml', 'openchat', '/yi-'].some(marker => name.includes(marker))) {
+    return 'chatml';
+  }
+  return 'plain';
+};
+
+/**
+ * Renders universal chat messages into a single prompt string
+ * @param {Array} messages - Universal chat messages
+ * @param {string} format - Prompt format name from PROMPT_FORMATS
+ * @returns {string} Rendered prompt
+ */
+const render_prompt = (messages, format) => {
+  const renderer = PROMPT_FORMATS[format];
+  if (!renderer) {
+    throw new Error(`Unsupported Hugging Face prompt format: ${format}`);
+  }
+  const media = messages.flatMap(message => Array.isArray(message.content) ? message.content : [])
+    .find(part => part.type !== 'text');
+  if (media) {
+    throw unsupported_part_error('huggingface', media, 'text-generation prompts are text only, use huggingfaceRouter for vision models');
+  }
+  // Assistant turns that only carry tool calls have no content to render
+  return renderer(messages.map(message => ({ ...message, content: get_text_content(message.content) })));
+};
+
+/**
+ * Builds a Hugging Face text-generation payload from validated universal data
+ * Only the completion is returned (return_full_text: false) so the normalized
+ * text does not repeat the prompt
+ *
+ * @param {Object} validatedData - The validated input data
+ * @returns {Object} Inference API request body { inputs, parameters }
+ *
+ * @example
+ * to_huggingface_payload({
+ *   model: 'HuggingFaceH4/zephyr-7b-beta',
+ *   messages: [{ role: 'user', content: 'Hello' }],
+ *   maxTokens: 50
+ * });
+ * // Returns: { inputs: '<|user|>\nHello</s>\n<|assistant|>\n',
+ * //            parameters: { max_new_tokens: 50, return_full_text: false } }
+ */
+const to_huggingface_payload = (validatedData) => {
+  const format = validatedData.promptFormat || detect_prompt_format(validatedData.model);
+  const parameters = {};
+
+  if (validatedData.maxTokens !== undefined) {
+    parameters.max_new_tokens = validatedData.maxTokens;
+  }
+  // Text generation rejects temperature 0, greedy decoding is requested with do_sample instead
+  if (validatedData.temperature === 0) {
+    parameters.do_sample = false;
+  } else if (validatedData.temperature !== undefined) {
+    parameters.temperature = validatedData.temperature;
+  }
+  if (validatedData.topP !== undefined) {
+    parameters.top_p = validatedData.topP;
+  }
+  if (validatedData.stop !== undefined) {
+    parameters.stop = Array.isArray(validatedData.stop) ? validatedData.stop : [validatedData.stop];
+  }
+  if (validatedData.seed !== undefined) {
+    parameters.seed = validatedData.seed;
+  }
+  parameters.return_full_text = false;
+
+  const payload = {
+    inputs: render_prompt(validatedData.messages, format),
+    parameters
+  };
+
+  if (validatedData.stream) {
+    payload.stream = true;
+  }
+
+  return payload;
+};
+
+module.exports = {
+  PROMPT_FORMATS,
+  detect_prompt_format,
+  render_prompt,
+  to_huggingface_payload
+};
@@ -0,0 +1,120 @@
+const { detect_prompt_format, render_prompt, to_huggingface_payload } = require('./huggingface');
+
+describe('Hugging Face translator', () => {
+  const conversation = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hello' },
+    { role: 'assistant', content: 'Hi!' },
+    { role: 'user', content: 'How are you?' }
+  ];
+
+  describe('detect_prompt_format', () => {
+    it('should detect templates from model ids', () => {
+      expect(detect_prompt_format('meta-llama/Meta-Llama-3-8B-Instruct')).toBe('llama3');
+      expect(detect_prompt_format('meta-llama/Llama-2-7b-chat-hf')).toBe('llama2');
+      expect(detect_prompt_format('mistralai/Mistral-7B-Instruct-v0.3')).toBe('mistral');
+      expect(detect_prompt_format('HuggingFaceH4/zephyr-7b-beta')).toBe('zephyr');
+      expect(detect_prompt_format('Qwen/Qwen2.5-7B-Instruct')).toBe('chatml');
+      expect(detect_prompt_format('gpt2')).toBe('plain');
+    });
+  });
+
+  describe('render_prompt', () => {
+    it('should render ChatML prompts', () => {
+      expect(render_prompt(conversation.slice(0, 2), 'chatml')).toBe(
+        '<|im_start|>system\nBe brief.<|im_end|>\n' +
+        '<|im_start|>user\nHello<|im_end|>\n' +
+        '<|im_start|>assistant\n'
+      );
+    });
+
+    it('should render Llama 3 prompts', () => {
+      expect(render_prompt([{ role: 'user', content: 'Hello' }], 'llama3')).toBe(
+        '<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n\nHello<|eot_id|>' +
+        '<|start_header_id|>assistant<|end_header_id|>\n\n'
+      );
+    });
+
+    it('should render Llama 3 tool results with the ipython role', () => {
+      expect(render_prompt([
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: '{"temp":18}' }
+      ], 'llama3')).toBe(
+        '<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n\nWeather in Paris?<|eot_id|>' +
+        '<|start_header_id|>ipython<|end_header_id|>\n\n{"temp":18}<|eot_id|>' +
+        '<|start_header_id|>assistant<|end_header_id|>\n\n'
+      );
+    });
+
+    it('should render Llama 2 prompts with a <<SYS>> block in the first turn', () => {
+      expect(render_prompt(conversation, 'llama2')).toBe(
+        '<s>[INST] <<SYS>>\nBe brief.\n<</SYS>>\n\nHello [/INST] Hi! </s>' +
+        '<s>[INST] How are you? [/INST]'
+      );
+    });
+
+    it('should prepend the system prompt for Mistral', () => {
+      expect(render_prompt(conversation.slice(0, 2), 'mistral')).toBe('<s>[INST] Be brief.\n\nHello [/INST]');
+    });
+
+    it('should render plain prompts', () => {
+      expect(render_prompt(conversation.slice(1, 2), 'plain')).toBe('User: Hello\n\nAssistant:');
+    });
+
+    it('should reject media content parts', () => {
+      expect(() => render_prompt([{
+        role: 'user',
+        content: [{ type: 'text', text: 'Hi' }, { type: 'image', url: 'https://example.com/cat.png' }]
+      }], 'chatml')).toThrow('huggingface does not support URL image content parts');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => render_prompt(conversation, 'unknown')).toThrow('Unsupported Hugging Face prompt format: unknown');
+    });
+  });
+
+  describe('to_huggingface_payload', () => {
+    it('should build inputs and parameters', () => {
+      const payload = to_huggingface_payload({
+        provider: 'huggingface',
+        model: 'HuggingFaceH4/zephyr-7b-beta',
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 50,
+        temperature: 0.7,
+        topP: 0.9,
+        stop: '</s>'
+      });
+
+      expect(payload).toEqual({
+        inputs: '<|user|>\nHello</s>\n<|assistant|>\n',
+        parameters: {
+          max_new_tokens: 50,
+          temperature: 0.7,
+          top_p: 0.9,
+          stop: ['</s>'],
+          return_full_text: false
+        }
+      });
+    });
+
+    it('should use greedy decoding instead of temperature 0', () => {
+      const payload = to_huggingface_payload({
+        model: 'gpt2',
+        messages: [{ role: 'user', content: 'Hello' }],
+        temperature: 0
+      });
+
+      expect(payload.parameters).toEqual({ do_sample: false, return_full_text: false });
+    });
+
+    it('should honor an explicit promptFormat', () => {
+      const payload = to_huggingface_payload({
+        model: 'my-org/custom-model',
+        messages: [{ role: 'user', content: 'Hello' }],
+        promptFormat: 'chatml'
+      });
+
+      expect(payload.inputs).toBe('<|im_start|>user\nHello<|im_end|>\n<|im_start|>assistant\n');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Ollama /api/chat Translator
+ *
+ * Converts validated llm_input_schema data into the payload accepted by
+ * Ollama's native /api/chat endpoint. Differences from the OpenAI chat format:
+ * - Sampling parameters live in an `options` block with Ollama names
+ *   (num_predict, top_p, stop, seed, num_ctx)
+ * - `stream` defaults to true on Ollama, so it is always sent explicitly;
+ *   non-streaming calls then return one JSON object instead of NDJSON
+ * - JSON mode is requested with `format: 'json'`, JSON schema outputs with `format: <schema>`
+ * - Model residency is controlled with `keep_alive`
+ * - Images are base64 strings in a per-message `images` array
+ *
+ * Reference: https://github.com/ollama/ollama/blob/main/docs/api.md#generate-a-chat-completion
+ */
+
+const { parse_tool_arguments } = require('./openai');
+const { get_text_content, unsupported_part_error } = require('../content_parts');
+const { zod_to_json_schema } = require('../structured_output');
+
+/**
+ * Collects the base64 images of a message for the Ollama images array
+ * @param {Array} parts - Universal content parts
+ * @returns {Array} Base64 image strings
+ */
+const to_ollama_images = (parts) => {
+  return parts
+    .filter(part => part.type !== 'text')
+    .map(part => {
+      if (part.type !== 'image' || part.url) {
+        throw unsupported_part_error('ollama', part, 'only base64 images are supported');
+      }
+      return part.data;
+    });
+};
+
+/**
+ * Converts universal messages into Ollama chat messages
+ * Ollama expects tool call arguments as objects and names tool results with tool_name
+ * Content must be a string, so images move to a separate images array
+ * @param {Array} messages - Universal chat messages
+ * @returns {Array} Ollama chat messages
+ */
+const to_ollama_messages = (messages) => {
+  return messages.map(message => {
+    const converted = { role: message.role, content: get_text_content(message.content) };
+
+    if (Array.isArray(message.content)) {
+      const images = to_ollama_images(message.content);
+      if (images.length > 0) {
+        converted.images = images;
+      }
+    }
+
+    if (message.toolCalls && message.toolCalls.length > 0) {
+      converted.tool_calls = message.toolCalls.map(call => ({
+        function: { name: call.function.name, arguments: parse_tool_arguments(call) }
+      }));
+    }
+    if (message.role === 'tool' && message.name) {
+      converted.tool_name = message.name;
+    }
+
+    return converted;
+  });
+};
+
+/**
+ * Builds the Ollama options block from universal sampling parameters
+ * @param {Object} validatedData - The validated input data
+ * @returns {Object|undefined} Ollama options, or undefined when no options are set
+ */
+const to_ollama_options = (validatedData) => {
+  const OPTIONS_FIELD_MAPPING = {
+    maxTokens: 'num_predict',
+    temperature: 'temperature',
+    topP: 'top_p',
+    seed: 'seed',
+    numCtx: 'num_ctx',
+    presencePenalty: 'presence_penalty',
+    frequencyPenalty: 'frequency_penalty'
+  };
+
+  const options = {};
+  for (const [universalField, ollamaField] of Object.entries(OPTIONS_FIELD_MAPPING)) {
+    const value = validatedData[universalField];
+    if (value !== undefined && value !== null) {
+      options[ollamaField] = value;
+    }
+  }
+
+  if (validatedData.stop !== undefined) {
+    options.stop = Array.isArray(validatedData.stop) ? validatedData.stop : [validatedData.stop];
+  }
+
+  return Object.keys(options).length > 0 ? options : undefined;
+};
+
+/**
+ * Builds an Ollama /api/chat payload from validated universal data
+ *
+ * @param {Object} validatedData - The validated input data
+ * @returns {Object} Ollama /api/chat request body
+ *
+ * @example
+ * to_ollama_payload({
+ *   model: 'llama3.2',
+ *   messages: [{ role: 'user', content: 'Hello' }],
+ *   maxTokens: 100,
+ *   keepAlive: '10m'
+ * });
+ * // Returns: { model: 'llama3.2', messages: [...], stream: false,
+ * //            options: { num_predict: 100 }, keep_alive: '10m' }
+ */
+const to_ollama_payload = (validatedData) => {
+  const payload = {
+    model: validatedData.model,
+    messages: to_ollama_messages(validatedData.messages),
+    stream: validatedData.stream === true
+  };
+
+  const options = to_ollama_options(validatedData);
+  if (options) {
+    payload.options = options;
+  }
+  if (validatedData.responseFormat?.type === 'json_object') {
+    payload.format = 'json';
+  }
+  if (validatedData.responseFormat?.type === 'json_schema') {
+    payload.format = zod_to_json_schema(validatedData.responseFormat.schema);
+  }
+  if (validatedData.keepAlive !== undefined) {
+    payload.keep_alive = validatedData.keepAlive;
+  }
+  if (validatedData.tools && validatedData.tools.length > 0) {
+    payload.tools = validatedData.tools;
+  }
+
+  return payload;
+};
+
+module.exports = {
+  to_ollama_messages,
+  to_ollama_options,
+  to_ollama_payload
+};
@@ -0,0 +1,125 @@
+const { z } = require('zod');
+const { to_ollama_messages, to_ollama_options, to_ollama_payload } = require('./ollama');
+
+describe('Ollama translator', () => {
+  describe('to_ollama_messages', () => {
+    it('should send tool call arguments as objects', () => {
+      const messages = to_ollama_messages([
+        {
+          role: 'assistant',
+          content: null,
+          toolCalls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+        },
+        { role: 'tool', content: '18°C', toolCallId: 'call_1', name: 'get_weather' }
+      ]);
+
+      expect(messages).toEqual([
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }]
+        },
+        { role: 'tool', content: '18°C', tool_name: 'get_weather' }
+      ]);
+    });
+
+    it('should move base64 images to the images array', () => {
+      const messages = to_ollama_messages([{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' }
+        ]
+      }]);
+
+      expect(messages).toEqual([{ role: 'user', content: 'What is this?', images: ['iVBORw0KGgo='] }]);
+    });
+
+    it('should reject image URLs and non-image media', () => {
+      expect(() => to_ollama_messages([{ role: 'user', content: [{ type: 'image', url: 'https://example.com/cat.png' }] }]))
+        .toThrow('ollama does not support URL image content parts');
+      expect(() => to_ollama_messages([{ role: 'user', content: [{ type: 'audio', data: 'UklGRg==', mimeType: 'audio/wav' }] }]))
+        .toThrow('ollama does not support inline audio content parts');
+    });
+  });
+
+  describe('to_ollama_options', () => {
+    it('should map universal sampling fields to Ollama option names', () => {
+      const options = to_ollama_options({
+        maxTokens: 200,
+        temperature: 0.3,
+        topP: 0.9,
+        seed: 42,
+        numCtx: 8192,
+        stop: '###'
+      });
+
+      expect(options).toEqual({
+        num_predict: 200,
+        temperature: 0.3,
+        top_p: 0.9,
+        seed: 42,
+        num_ctx: 8192,
+        stop: ['###']
+      });
+    });
+
+    it('should return undefined when no options are set', () => {
+      expect(to_ollama_options({ model: 'llama3.2' })).toBeUndefined();
+    });
+  });
+
+  describe('to_ollama_payload', () => {
+    const baseInput = {
+      provider: 'ollama',
+      model: 'llama3.2',
+      messages: [{ role: 'user', content: 'Hello' }]
+    };
+
+    it('should default stream to false', () => {
+      expect(to_ollama_payload(baseInput)).toEqual({
+        model: 'llama3.2',
+        messages: [{ role: 'user', content: 'Hello' }],
+        stream: false
+      });
+    });
+
+    it('should keep stream true when requested', () => {
+      expect(to_ollama_payload({ ...baseInput, stream: true }).stream).toBe(true);
+    });
+
+    it('should map JSON mode to format and pass keep_alive', () => {
+      const payload = to_ollama_payload({
+        ...baseInput,
+        responseFormat: { type: 'json_object' },
+        keepAlive: '10m'
+      });
+
+      expect(payload.format).toBe('json');
+      expect(payload.keep_alive).toBe('10m');
+    });
+
+    it('should send json_schema outputs as format', () => {
+      const payload = to_ollama_payload({
+        ...baseInput,
+        responseFormat: { type: 'json_schema', schema: z.object({ city: z.string() }) }
+      });
+
+      expect(payload.format).toEqual({
+        type: 'object',
+        properties: { city: { type: 'string' } },
+        required: ['city'],
+        additionalProperties: false
+      });
+    });
+
+    it('should not send OpenAI-style top-level sampling fields', () => {
+      const payload = to_ollama_payload({ ...baseInput, maxTokens: 50, topP: 0.5, stop: ['END'] });
+
+      expect(payload.max_tokens).toBeUndefined();
+      expect(payload.top_p).toBeUndefined();
+      expect(payload.stop).toBeUndefined();
+      expect(payload.options).toEqual({ num_predict: 50, top_p: 0.5, stop: ['END'] });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * OpenAI Chat Completions Translator
+ *
+ * Converts universal messages into the OpenAI chat format used by OpenAI and
+ * every OpenAI-compatible provider (GitHub Models, Together, Groq, DeepSeek, ...).
+ * Universal message fields are camelCase, the wire format is snake_case:
+ * - toolCalls -> tool_calls
+ * - toolCallId -> tool_call_id
+ * - toolChoice -> tool_choice
+ * - content parts -> text, image_url, input_audio and file parts
+ * - responseFormat json_schema (Zod) -> response_format json_schema (JSON Schema)
+ *
+ * Reference: https://platform.openai.com/docs/api-reference/chat/create#chat-create-messages
+ */
+
+const { to_data_url, unsupported_part_error } = require('../content_parts');
+const { zod_to_json_schema, get_structured_output_name } = require('../structured_output');
+
+/**
+ * Audio formats accepted by OpenAI input_audio parts, by MIME type
+ */
+const INPUT_AUDIO_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3'
+};
+
+/**
+ * Converts a universal content part into an OpenAI content part
+ * @param {Object} part - Universal content part
+ * @returns {Object} OpenAI content part
+ */
+const to_openai_content_part = (part) => {
+  switch (part.type) {
+    case 'text':
+      return { type: 'text', text: part.text };
+
+    case 'image':
+      return { type: 'image_url', image_url: { url: part.url || to_data_url(part) } };
+
+    case 'audio':
+      if (part.url || !INPUT_AUDIO_FORMATS[part.mimeType]) {
+        throw unsupported_part_error('openai', part, 'input_audio accepts base64 WAV or MP3 only');
+      }
+      return { type: 'input_audio', input_audio: { data: part.data, format: INPUT_AUDIO_FORMATS[part.mimeType] } };
+
+    case 'document':
+      if (part.url) {
+        throw unsupported_part_error('openai', part, 'send the document as base64 data');
+      }
+      return { type: 'file', file: { filename: part.filename || 'document.pdf', file_data: to_data_url(part) } };
+
+    default:
+      throw new Error(`Unknown content part type: ${part.type}`);
+  }
+};
+
+/**
+ * Converts a single universal message into an OpenAI chat message
+ * @param {Object} message - Universal chat message
+ * @returns {Object} OpenAI chat message
+ */
+const to_openai_message = (message) => {
+  const converted = {
+    role: message.role,
+    content: Array.isArray(message.content) ? message.content.map(to_openai_content_part) : (message.content ?? null)
+  };
+
+  if (message.name !== undefined) {
+    converted.name = message.name;
+  }
+  if (message.toolCalls && message.toolCalls.length > 0) {
+    converted.tool_calls = message.toolCalls.map(call => ({
+      id: call.id,
+      type: 'function',
+      function: {
+        name: call.function.name,
+        arguments: call.function.arguments
+      }
+    }));
+  }
+  if (message.toolCallId !== undefined) {
+    converted.tool_call_id = message.toolCallId;
+  }
+
+  return converted;
+};
+
+/**
+ * Parses the JSON string arguments of a universal tool call
+ * Providers with structured tool calls (Anthropic, Gemini, Ollama) need an object
+ * @param {Object} toolCall - Universal tool call ({ id, function: { name, arguments } })
+ * @returns {Object} Parsed arguments
+ */
+const parse_tool_arguments = (toolCall) => {
+  const args = toolCall.function.arguments;
+  if (!args) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    throw new Error(`Invalid JSON arguments for tool call ${toolCall.id} (${toolCall.function.name})`);
+  }
+};
+
+/**
+ * Converts a universal toolChoice into OpenAI tool_choice
+ * @param {string|Object} toolChoice - 'auto', 'none', 'required' or { name }
+ * @returns {string|Object} OpenAI tool_choice
+ */
+const to_openai_tool_choice = (toolChoice) => {
+  if (typeof toolChoice === 'string') {
+    return toolChoice;
+  }
+  return { type: 'function', function: { name: toolChoice.name } };
+};
+
+/**
+ * Checks whether a JSON Schema meets OpenAI strict mode rules
+ * Strict mode needs every object property listed in required and no additional properties
+ * @param {Object} schema - JSON Schema
+ * @returns {boolean} True when strict mode can be enabled
+ */
+const is_strict_compatible = (schema) => {
+  if (schema.type === 'object' && schema.properties) {
+    const keys = Object.keys(schema.properties);
+    if (schema.additionalProperties !== false || keys.some(key => !schema.required.includes(key))) {
+      return false;
+    }
+    return Object.values(schema.properties).every(is_strict_compatible);
+  }
+  if (schema.type === 'object') {
+    return false;
+  }
+  if (schema.items) {
+    return is_strict_compatible(schema.items);
+  }
+  if (schema.anyOf) {
+    return schema.anyOf.every(is_strict_compatible);
+  }
+  return true;
+};
+
+/**
+ * Converts a universal responseFormat into OpenAI response_format
+ * Zod schemas become json_schema formats, strict whenever the schema allows it
+ * @param {Object} responseFormat - Universal response format
+ * @returns {Object} OpenAI response_format
+ */
+const to_openai_response_format = (responseFormat) => {
+  if (responseFormat.type !== 'json_schema') {
+    return responseFormat;
+  }
+
+  const schema = zod_to_json_schema(responseFormat.schema);
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: get_structured_output_name(responseFormat),
+      ...(responseFormat.description && { description: responseFormat.description }),
+      schema,
+      strict: is_strict_compatible(schema)
+    }
+  };
+};
+
+/**
+ * Converts universal messages into OpenAI chat messages
+ * @param {Array} messages - Universal chat messages
+ * @returns {Array} OpenAI chat messages
+ */
+const to_openai_messages = (messages) => messages.map(to_openai_message);
+
+module.exports = {
+  to_openai_content_part,
+  to_openai_message,
+  to_openai_messages,
+  to_openai_tool_choice,
+  to_openai_response_format,
+  parse_tool_arguments
+};
@@ -0,0 +1,152 @@
+const { z } = require('zod');
+const {
+  to_openai_content_part,
+  to_openai_message,
+  to_openai_messages,
+  to_openai_tool_choice,
+  to_openai_response_format,
+  parse_tool_arguments
+} = require('./openai');
+
+describe('OpenAI translator', () => {
+  const toolCall = {
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+  };
+
+  describe('to_openai_content_part', () => {
+    it('should convert image URLs and base64 images to image_url parts', () => {
+      expect(to_openai_content_part({ type: 'image', url: 'https://example.com/cat.png' })).toEqual({
+        type: 'image_url',
+        image_url: { url: 'https://example.com/cat.png' }
+      });
+      expect(to_openai_content_part({ type: 'image', data: 'iVBORw0KGgo=', mimeType: 'image/png' })).toEqual({
+        type: 'image_url',
+        image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' }
+      });
+    });
+
+    it('should convert audio to input_audio with its format', () => {
+      expect(to_openai_content_part({ type: 'audio', data: 'UklGRg==', mimeType: 'audio/mpeg' })).toEqual({
+        type: 'input_audio',
+        input_audio: { data: 'UklGRg==', format: 'mp3' }
+      });
+    });
+
+    it('should reject audio formats input_audio does not accept', () => {
+      expect(() => to_openai_content_part({ type: 'audio', data: 'UklGRg==', mimeType: 'audio/ogg' }))
+        .toThrow('openai does not support inline audio content parts');
+    });
+
+    it('should convert base64 documents to file parts', () => {
+      expect(to_openai_content_part({ type: 'document', data: 'JVBERi0=', mimeType: 'application/pdf', filename: 'report.pdf' })).toEqual({
+        type: 'file',
+        file: { filename: 'report.pdf', file_data: 'data:application/pdf;base64,JVBERi0=' }
+      });
+    });
+  });
+
+  describe('to_openai_message', () => {
+    it('should keep plain messages unchanged', () => {
+      expect(to_openai_message({ role: 'user', content: 'Hello' })).toEqual({ role: 'user', content: 'Hello' });
+    });
+
+    it('should convert assistant tool calls to tool_calls with a null content', () => {
+      expect(to_openai_message({ role: 'assistant', toolCalls: [toolCall] })).toEqual({
+        role: 'assistant',
+        content: null,
+        tool_calls: [toolCall]
+      });
+    });
+
+    it('should convert toolCallId to tool_call_id', () => {
+      expect(to_openai_message({ role: 'tool', content: '18°C', toolCallId: 'call_1' })).toEqual({
+        role: 'tool',
+        content: '18°C',
+        tool_call_id: 'call_1'
+      });
+    });
+  });
+
+  describe('to_openai_messages', () => {
+    it('should convert a full tool-call round-trip', () => {
+      const messages = to_openai_messages([
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', content: null, toolCalls: [toolCall] },
+        { role: 'tool', content: '{"temp":18}', toolCallId: 'call_1', name: 'get_weather' }
+      ]);
+
+      expect(messages[1].tool_calls[0].function.arguments).toBe('{"city":"Paris"}');
+      expect(messages[2]).toEqual({ role: 'tool', content: '{"temp":18}', name: 'get_weather', tool_call_id: 'call_1' });
+    });
+  });
+
+  describe('parse_tool_arguments', () => {
+    it('should parse JSON arguments', () => {
+      expect(parse_tool_arguments(toolCall)).toEqual({ city: 'Paris' });
+    });
+
+    it('should treat empty arguments as an empty object', () => {
+      expect(parse_tool_arguments({ id: 'call_2', function: { name: 'now', arguments: '' } })).toEqual({});
+    });
+
+    it('should name the tool call when arguments are not valid JSON', () => {
+      expect(() => parse_tool_arguments({ id: 'call_3', function: { name: 'broken', arguments: '{city:' } }))
+        .toThrow('Invalid JSON arguments for tool call call_3 (broken)');
+    });
+  });
+
+  describe('to_openai_tool_choice', () => {
+    it('should pass string choices through', () => {
+      expect(to_openai_tool_choice('auto')).toBe('auto');
+      expect(to_openai_tool_choice('none')).toBe('none');
+      expect(to_openai_tool_choice('required')).toBe('required');
+    });
+
+    it('should convert a named tool into a function choice', () => {
+      expect(to_openai_tool_choice({ name: 'get_weather' })).toEqual({
+        type: 'function',
+        function: { name: 'get_weather' }
+      });
+    });
+  });
+
+  describe('to_openai_response_format', () => {
+    it('should pass text and json_object formats through', () => {
+      expect(to_openai_response_format({ type: 'json_object' })).toEqual({ type: 'json_object' });
+    });
+
+    it('should convert Zod schemas to strict json_schema formats', () => {
+      const format = to_openai_response_format({
+        type: 'json_schema',
+        name: 'weather',
+        schema: z.object({ city: z.string(), note: z.string().nullable() })
+      });
+
+      expect(format).toEqual({
+        type: 'json_schema',
+        json_schema: {
+          name: 'weather',
+          schema: {
+            type: 'object',
+            properties: { city: { type: 'string' }, note: { anyOf: [{ type: 'string' }, { type: 'null' }] } },
+            required: ['city', 'note'],
+            additionalProperties: false
+          },
+          strict: true
+        }
+      });
+    });
+
+    it('should turn strict mode off when a field is optional', () => {
+      const format = to_openai_response_format({
+        type: 'json_schema',
+        schema: z.object({ items: z.array(z.object({ id: z.string(), label: z.string().optional() })) })
+      });
+
+      expect(format.json_schema.name).toBe('structured_output');
+      expect(format.json_schema.strict).toBe(false);
+    });
+  });
+});
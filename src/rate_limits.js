@@ -56,32 +56,38 @@ const PROVIDER_RATE_LIMITS = {
   // NOTE: Rate limit values below are from documentation research, NOT from API calls
   // API endpoint accessibility: VERIFIED - Status endpoint accessible (collected_info/all_providers_2025-05-30.json)
   // Pricing/documentation endpoints: BLOCKED (403 errors in collected_info)
+  // IPM values are the DALL-E 3 image limits of each tier
   openai: {
     // Free trial tier (during $100 credit period)
     free_trial: {
       [RATE_LIMIT_TYPES.RPM]: 3,
       [RATE_LIMIT_TYPES.TPM]: 10000,
       [RATE_LIMIT_TYPES.RPD]: 200,
+      [RATE_LIMIT_TYPES.IPM]: 1,
       notes: "$100 trial credit period"
     },
     tier1: {
       [RATE_LIMIT_TYPES.RPM]: 500,
       [RATE_LIMIT_TYPES.TPM]: 30000,
+      [RATE_LIMIT_TYPES.IPM]: 5,
       notes: "$5+ paid"
     },
     tier2: {
       [RATE_LIMIT_TYPES.RPM]: 3500,
       [RATE_LIMIT_TYPES.TPM]: 180000,
+      [RATE_LIMIT_TYPES.IPM]: 7,
       notes: "$50+ paid, 7+ days"
     },
     tier3: {
       [RATE_LIMIT_TYPES.RPM]: 5000,
       [RATE_LIMIT_TYPES.TPM]: 300000,
+      [RATE_LIMIT_TYPES.IPM]: 7,
       notes: "$100+ paid, 7+ days"
     },
     tier4: {
       [RATE_LIMIT_TYPES.RPM]: 7000,
       [RATE_LIMIT_TYPES.TPM]: 600000,
+      [RATE_LIMIT_TYPES.IPM]: 15,
       notes: "$250+ paid, 14+ days"
     },
     tier5: {
@@ -91,6 +97,7 @@ const PROVIDER_RATE_LIMITS = {
         "gpt-4-turbo": 2000000,
         "gpt-4": 300000
       },
+      [RATE_LIMIT_TYPES.IPM]: 50,
       notes: "$1000+ paid, 30+ days"
     },
     documentation: 'https://platform.openai.com/docs/guides/rate-limits',
@@ -246,15 +253,18 @@ const PROVIDER_RATE_LIMITS = {
   together: {
     tier1: {
       [RATE_LIMIT_TYPES.RPM]: 600,
-      [RATE_LIMIT_TYPES.TPM]: 180000
+      [RATE_LIMIT_TYPES.TPM]: 180000,
+      [RATE_LIMIT_TYPES.IPM]: 60
     },
     tier2: {
       [RATE_LIMIT_TYPES.RPM]: 1800,
-      [RATE_LIMIT_TYPES.TPM]: 250000
+      [RATE_LIMIT_TYPES.TPM]: 250000,
+      [RATE_LIMIT_TYPES.IPM]: 120
     },
     tier3: {
       [RATE_LIMIT_TYPES.RPM]: 3000,
-      [RATE_LIMIT_TYPES.TPM]: 500000
+      [RATE_LIMIT_TYPES.TPM]: 500000,
+      [RATE_LIMIT_TYPES.IPM]: 240
     },
     // Real-time detection via API headers
     rateLimitHeaders: {
@@ -436,12 +446,14 @@ const PROVIDER_RATE_LIMITS = {
     free: {
       [RATE_LIMIT_TYPES.RPM]: 60,
       [RATE_LIMIT_TYPES.TPM]: 60000,
-      [RATE_LIMIT_TYPES.RPD]: 1000
+      [RATE_LIMIT_TYPES.RPD]: 1000,
+      [RATE_LIMIT_TYPES.IPM]: 2
     },
     paid: {
       [RATE_LIMIT_TYPES.RPM]: 1000,
       [RATE_LIMIT_TYPES.TPM]: 500000,
-      [RATE_LIMIT_TYPES.RPD]: 10000
+      [RATE_LIMIT_TYPES.RPD]: 10000,
+      [RATE_LIMIT_TYPES.IPM]: 20
     },
     // Real-time detection via API headers
     rateLimitHeaders: {
@@ -531,15 +543,7 @@ class RateLimitTracker {
   recordRequest(provider, tokens = 0) {
     const now = Date.now();
     
-    if (!this.usage.has(provider)) {
-      this.usage.set(provider, {
-        minute: [],
-        day: [],
-        tokens: { minute: 0, day: 0 }
-      });
-    }
-
-    const usage = this.usage.get(provider);
+    const usage = this.getOrCreateUsage(provider);
     
     // Clean old entries
     this.cleanOldEntries(provider);
@@ -551,14 +555,71 @@ class RateLimitTracker {
     usage.tokens.day += tokens;
   }
 
+  /**
+   * Record transcribed or translated audio for rate limit tracking
+   * @param {string} provider - Provider name
+   * @param {number} seconds - Audio duration in seconds
+   */
+  recordAudioSeconds(provider, seconds) {
+    const usage = this.getOrCreateUsage(provider);
+    this.cleanOldEntries(provider);
+    usage.audio.push({ time: Date.now(), amount: seconds });
+  }
+
+  /**
+   * Record generated images for rate limit tracking
+   * Image endpoints are limited in images rather than tokens
+   * @param {string} provider - Provider name
+   * @param {number} count - Number of generated images
+   */
+  recordImages(provider, count) {
+    const usage = this.getOrCreateUsage(provider);
+    this.cleanOldEntries(provider);
+    usage.images.push({ time: Date.now(), amount: count });
+  }
+
+  /**
+   * Get the usage record of a provider, creating an empty one if needed
+   * @param {string} provider - Provider name
+   * @returns {Object} - Usage record
+   */
+  getOrCreateUsage(provider) {
+    if (!this.usage.has(provider)) {
+      this.usage.set(provider, {
+        minute: [],
+        day: [],
+        tokens: { minute: 0, day: 0 },
+        audio: [],
+        images: []
+      });
+    }
+    return this.usage.get(provider);
+  }
+
+  /**
+   * Sum amounts (audio seconds, images) recorded within a time window
+   * @param {Array} entries - Recorded { time, amount } entries
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {number} - Total amount in the window
+   */
+  sumRecent(entries, windowMs) {
+    const since = Date.now() - windowMs;
+    return (entries || [])
+      .filter(entry => entry.time > since)
+      .reduce((total, entry) => total + entry.amount, 0);
+  }
+
   /**
    * Check if a request would exceed rate limits
    * @param {string} provider - Provider name
    * @param {string} tier - Rate limit tier (free, tier1, etc.)
    * @param {number} tokens - Number of tokens for the request
+   * @param {Object} units - Other units used by the request
+   * @param {number} units.audioSeconds - Audio seconds for transcription requests
+   * @param {number} units.images - Images for image generation requests
    * @returns {Object} - { allowed: boolean, waitTime: number, reason: string }
    */
-  checkRateLimit(provider, tier = 'free', tokens = 0) {
+  checkRateLimit(provider, tier = 'free', tokens = 0, units = {}) {
     const limits = PROVIDER_RATE_LIMITS[provider]?.[tier];
     if (!limits) {
       return { allowed: true, waitTime: 0, reason: 'No limits defined' };
@@ -598,6 +659,36 @@ class RateLimitTracker {
       };
     }
 
+    // Check audio seconds per hour and per day
+    const audioSeconds = units.audioSeconds || 0;
+    const audioHour = this.sumRecent(usage.audio, 3600000) + audioSeconds;
+    if (limits[RATE_LIMIT_TYPES.ASH] && audioHour > limits[RATE_LIMIT_TYPES.ASH]) {
+      return {
+        allowed: false,
+        waitTime: 3600000, // Wait a full hour
+        reason: `ASH limit would be exceeded (${audioHour}/${limits[RATE_LIMIT_TYPES.ASH]})`
+      };
+    }
+
+    const audioDay = this.sumRecent(usage.audio, 86400000) + audioSeconds;
+    if (limits[RATE_LIMIT_TYPES.ASD] && audioDay > limits[RATE_LIMIT_TYPES.ASD]) {
+      return {
+        allowed: false,
+        waitTime: 86400000, // Wait a full day
+        reason: `ASD limit would be exceeded (${audioDay}/${limits[RATE_LIMIT_TYPES.ASD]})`
+      };
+    }
+
+    // Check images per minute
+    const imageMinute = this.sumRecent(usage.images, 60000) + (units.images || 0);
+    if (limits[RATE_LIMIT_TYPES.IPM] && imageMinute > limits[RATE_LIMIT_TYPES.IPM]) {
+      return {
+        allowed: false,
+        waitTime: 60000, // Wait a full minute
+        reason: `IPM limit would be exceeded (${imageMinute}/${limits[RATE_LIMIT_TYPES.IPM]})`
+      };
+    }
+
     return { allowed: true, waitTime: 0, reason: 'Within limits' };
   }
 
@@ -616,6 +707,12 @@ class RateLimitTracker {
     // Clean minute entries
     usage.minute = usage.minute.filter(time => time > oneMinuteAgo);
     usage.day = usage.day.filter(time => time > oneDayAgo);
+    if (usage.audio) {
+      usage.audio = usage.audio.filter(entry => entry.time > oneDayAgo);
+    }
+    if (usage.images) {
+      usage.images = usage.images.filter(entry => entry.time > oneMinuteAgo);
+    }
 
     // Recalculate token usage for current windows
     // Note: This is a simplified approach. In production, you'd want more precise token tracking
@@ -661,6 +758,24 @@ class RateLimitTracker {
           used: usage.tokens.day,
           limit: limits[RATE_LIMIT_TYPES.TPD] || null,
         }
+      },
+      audioSeconds: {
+        hour: {
+          used: this.sumRecent(usage.audio, 3600000),
+          limit: limits[RATE_LIMIT_TYPES.ASH] || null,
+          percentage: limits[RATE_LIMIT_TYPES.ASH] ? (this.sumRecent(usage.audio, 3600000) / limits[RATE_LIMIT_TYPES.ASH]) * 100 : 0
+        },
+        day: {
+          used: this.sumRecent(usage.audio, 86400000),
+          limit: limits[RATE_LIMIT_TYPES.ASD] || null
+        }
+      },
+      images: {
+        minute: {
+          used: this.sumRecent(usage.images, 60000),
+          limit: limits[RATE_LIMIT_TYPES.IPM] || null,
+          percentage: limits[RATE_LIMIT_TYPES.IPM] ? (this.sumRecent(usage.images, 60000) / limits[RATE_LIMIT_TYPES.IPM]) * 100 : 0
+        }
       }
     };
   }
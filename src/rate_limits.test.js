@@ -101,6 +101,31 @@ describe('Rate Limits Module', () => {
         expect(result.reason).toContain('TPM limit would be exceeded');
       });
 
+      it('should block requests exceeding audio seconds per hour', () => {
+        const ashLimit = PROVIDER_RATE_LIMITS.groq.free[RATE_LIMIT_TYPES.ASH];
+        tracker.recordAudioSeconds('groq', ashLimit - 60);
+
+        expect(tracker.checkRateLimit('groq', 'free', 0, { audioSeconds: 30 }).allowed).toBe(true);
+
+        const result = tracker.checkRateLimit('groq', 'free', 0, { audioSeconds: 120 });
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toContain('ASH limit would be exceeded');
+        expect(result.waitTime).toBe(3600000);
+      });
+
+      it('should block requests exceeding images per minute', () => {
+        PROVIDER_RATE_LIMITS.together.test = { [RATE_LIMIT_TYPES.IPM]: 10 };
+        tracker.recordImages('together', 8);
+
+        expect(tracker.checkRateLimit('together', 'test', 0, { images: 2 }).allowed).toBe(true);
+
+        const result = tracker.checkRateLimit('together', 'test', 0, { images: 4 });
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toBe('IPM limit would be exceeded (12/10)');
+        expect(tracker.getUsageStats('together', 'test').images.minute.used).toBe(8);
+        delete PROVIDER_RATE_LIMITS.together.test;
+      });
+
       it('should handle unknown providers gracefully', () => {
         const result = tracker.checkRateLimit('unknown-provider', 'free', 100);
         expect(result.allowed).toBe(true);
@@ -143,6 +168,17 @@ describe('Rate Limits Module', () => {
         expect(stats.requests.minute.limit).toBe(PROVIDER_RATE_LIMITS.openai.tier1[RATE_LIMIT_TYPES.RPM]);
         expect(stats.tokens.minute.used).toBe(1500);
       });
+
+      it('should report audio seconds', () => {
+        tracker.recordAudioSeconds('groq', 90);
+        tracker.recordAudioSeconds('groq', 30);
+
+        const stats = tracker.getUsageStats('groq', 'free');
+
+        expect(stats.audioSeconds.hour.used).toBe(120);
+        expect(stats.audioSeconds.hour.limit).toBe(PROVIDER_RATE_LIMITS.groq.free[RATE_LIMIT_TYPES.ASH]);
+        expect(stats.audioSeconds.hour.percentage).toBeCloseTo((120 / 3600) * 100);
+      });
     });
   });
 
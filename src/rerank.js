@@ -0,0 +1,140 @@
+/**
+ * Rerank Module
+ *
+ * Builds and executes rerank requests for the providers with a /rerank endpoint
+ * (Together, SiliconFlow) and normalizes the responses into
+ * { index, score, document } results sorted from most to least relevant.
+ */
+
+const {
+  create_provider_headers,
+  send_request,
+  sanitize_request_error,
+  validateUrl
+} = require('./create_request');
+const { getRerankEndpoint } = require('./config/url_config');
+
+/**
+ * Builds the request body of a rerank request
+ * Documents are not echoed back, results are matched to the input by index
+ * @param {Object} validatedData - The validated rerank input
+ * @returns {Object} Provider request body
+ */
+const create_rerank_payload = (validatedData) => {
+  const { model, query, documents, topN } = validatedData;
+
+  return {
+    model,
+    query,
+    documents,
+    ...(topN && { top_n: topN }),
+    return_documents: false
+  };
+};
+
+/**
+ * Normalizes a rerank response
+ * @param {string} provider - The provider name
+ * @param {Object} payload - Response body
+ * @param {Array<string>} documents - Documents sent in the request
+ * @returns {Object} { results, usage } where results are sorted by descending score
+ *   and usage is null when the provider does not report it
+ */
+const normalize_rerank_response = (provider, payload, documents) => {
+  const results = payload.results
+    .map(result => ({ index: result.index, score: result.relevance_score, document: documents[result.index] }))
+    .sort((a, b) => b.score - a.score);
+
+  let usage = null;
+  if (provider === 'siliconflow' && payload.tokens) {
+    usage = {
+      inputTokens: payload.tokens.input_tokens,
+      totalTokens: payload.tokens.input_tokens + (payload.tokens.output_tokens || 0)
+    };
+  } else if (payload.usage) {
+    usage = { inputTokens: payload.usage.prompt_tokens, totalTokens: payload.usage.total_tokens };
+  }
+
+  return { results, usage };
+};
+
+/**
+ * Builds the axios request configuration from validated input
+ * @param {Object} validatedData - The validated rerank input
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration
+ */
+const build_rerank_request = (validatedData, options) => {
+  if (!validatedData.apiKey) {
+    throw new Error(`API key is required for provider: ${validatedData.provider}`);
+  }
+
+  return {
+    method: 'POST',
+    url: validateUrl(options.url || getRerankEndpoint(validatedData.provider)),
+    data: create_rerank_payload(validatedData),
+    headers: {
+      ...create_provider_headers(validatedData),
+      ...options.headers
+    }
+  };
+};
+
+/**
+ * Creates the axios request configuration for a rerank request
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (rerank_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration
+ * @throws {Error} When validation fails or the API key is missing
+ *
+ * @example
+ * create_rerank_request(rerank_input_schema, {
+ *   provider: 'together',
+ *   apiKey: 'tgp_...',
+ *   model: 'Salesforce/Llama-Rank-V1',
+ *   query: 'capital of France',
+ *   documents: ['Berlin is in Germany', 'Paris is the capital of France'],
+ *   topN: 1
+ * });
+ * // Returns: { method: 'POST', url: 'https://api.together.xyz/v1/rerank',
+ * //            data: { model, query, documents, top_n: 1, return_documents: false }, headers }
+ */
+const create_rerank_request = (schema, data, options = {}) =>
+  build_rerank_request(schema.parse(data), options);
+
+/**
+ * Creates and executes a rerank request
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (rerank_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Promise<Object>} { results, usage, model, provider, raw } where results are
+ *   { index, score, document } sorted by descending score
+ * @throws {Error} Sanitized error messages that don't leak sensitive information
+ */
+const execute_rerank = async (schema, data, options = {}) => {
+  try {
+    const validatedData = schema.parse(data);
+    const requestConfig = build_rerank_request(validatedData, options);
+    const { provider, model, documents } = validatedData;
+    const response = await send_request(requestConfig, provider);
+
+    return {
+      ...normalize_rerank_response(provider, response.data, documents),
+      model,
+      provider,
+      raw: response.data
+    };
+  } catch (error) {
+    throw sanitize_request_error(error);
+  }
+};
+
+module.exports = {
+  create_rerank_payload,
+  normalize_rerank_response,
+  create_rerank_request,
+  execute_rerank
+};
@@ -0,0 +1,108 @@
+const axios = require('axios');
+const { rerank_input_schema } = require('./llm_schema');
+const { create_rerank_request, normalize_rerank_response, execute_rerank } = require('./rerank');
+
+jest.mock('axios');
+
+describe('rerank', () => {
+  const documents = ['Berlin is in Germany', 'Paris is the capital of France', 'France borders Spain'];
+  const base = {
+    provider: 'together',
+    apiKey: 'test-key',
+    model: 'Salesforce/Llama-Rank-V1',
+    query: 'capital of France',
+    documents
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create_rerank_request', () => {
+    it('should build a rerank request', () => {
+      expect(create_rerank_request(rerank_input_schema, { ...base, topN: 2 })).toEqual({
+        method: 'POST',
+        url: 'https://api.together.xyz/v1/rerank',
+        data: {
+          model: 'Salesforce/Llama-Rank-V1',
+          query: 'capital of France',
+          documents,
+          top_n: 2,
+          return_documents: false
+        },
+        headers: expect.objectContaining({ Authorization: 'Bearer test-key' })
+      });
+    });
+
+    it('should use the SiliconFlow endpoint and require an API key', () => {
+      const request = create_rerank_request(rerank_input_schema, { ...base, provider: 'siliconflow', model: 'BAAI/bge-reranker-v2-m3' });
+      expect(request.url).toBe('https://api.siliconflow.cn/v1/rerank');
+
+      expect(() => create_rerank_request(rerank_input_schema, { ...base, apiKey: undefined }))
+        .toThrow('API key is required for provider: together');
+    });
+  });
+
+  describe('normalize_rerank_response', () => {
+    it('should attach documents and sort by score', () => {
+      const normalized = normalize_rerank_response('together', {
+        results: [
+          { index: 2, relevance_score: 0.4 },
+          { index: 1, relevance_score: 0.98 },
+          { index: 0, relevance_score: 0.01 }
+        ],
+        usage: { prompt_tokens: 30, total_tokens: 30 }
+      }, documents);
+
+      expect(normalized).toEqual({
+        results: [
+          { index: 1, score: 0.98, document: 'Paris is the capital of France' },
+          { index: 2, score: 0.4, document: 'France borders Spain' },
+          { index: 0, score: 0.01, document: 'Berlin is in Germany' }
+        ],
+        usage: { inputTokens: 30, totalTokens: 30 }
+      });
+    });
+
+    it('should read SiliconFlow token usage', () => {
+      const normalized = normalize_rerank_response('siliconflow', {
+        results: [{ index: 0, relevance_score: 0.5, document: { text: 'ignored' } }],
+        tokens: { input_tokens: 12, output_tokens: 0 }
+      }, documents);
+
+      expect(normalized.results[0].document).toBe('Berlin is in Germany');
+      expect(normalized.usage).toEqual({ inputTokens: 12, totalTokens: 12 });
+    });
+  });
+
+  describe('execute_rerank', () => {
+    it('should return sorted results', async () => {
+      axios.mockResolvedValue({
+        data: { results: [{ index: 0, relevance_score: 0.1 }, { index: 1, relevance_score: 0.9 }] }
+      });
+
+      const result = await execute_rerank(rerank_input_schema, base);
+
+      expect(result.results.map(item => item.index)).toEqual([1, 0]);
+      expect(result).toMatchObject({ usage: null, model: 'Salesforce/Llama-Rank-V1', provider: 'together' });
+    });
+
+    it('should map indices back to the validated documents', async () => {
+      axios.mockResolvedValue({ data: { results: [{ index: 0, relevance_score: 0.8 }] } });
+      const schema = rerank_input_schema.transform(input => ({ ...input, documents: input.documents.map(text => text.trim()) }));
+      const parse = jest.spyOn(schema, 'parse');
+
+      const result = await execute_rerank(schema, { ...base, documents: ['  Paris is the capital of France  '] });
+
+      expect(parse).toHaveBeenCalledTimes(1);
+      expect(axios.mock.calls[0][0].data.documents).toEqual(['Paris is the capital of France']);
+      expect(result.results[0].document).toBe('Paris is the capital of France');
+    });
+
+    it('should sanitize HTTP errors', async () => {
+      axios.mockRejectedValue({ response: { status: 401, data: {} } });
+
+      await expect(execute_rerank(rerank_input_schema, base)).rejects.toThrow('HTTP 401: Request failed');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tool Execution Loop
+ *
+ * Runs the usual agent loop on top of execute_request: call the model, run the
+ * tool calls it requests, append the results to the conversation and call the
+ * model again until it answers without tool calls.
+ *
+ * Tool failures (unknown tool, invalid arguments, handler errors, timeouts) are
+ * sent back to the model as the tool result so it can recover, and are recorded
+ * in the step log.
+ */
+
+const { execute_request } = require('./create_request');
+const { parse_tool_call } = require('./tools');
+const { parse_tool_arguments } = require('./providers/openai');
+
+/**
+ * Default number of model calls before the loop gives up
+ */
+const DEFAULT_MAX_STEPS = 10;
+
+/**
+ * Default time a single tool handler may run, in milliseconds
+ */
+const DEFAULT_TOOL_TIMEOUT_MS = 30000;
+
+/**
+ * Parses tool call arguments, validating them when the tool was built with define_tool
+ * @param {Array} tools - Tools sent to the model
+ * @param {Object} toolCall - Normalized tool call
+ * @returns {Object} Parsed arguments
+ */
+const parse_arguments = (tools, toolCall) => {
+  const tool = tools.find(candidate => candidate.function.name === toolCall.function.name);
+  return tool?.schema ? parse_tool_call(tools, toolCall) : parse_tool_arguments(toolCall);
+};
+
+/**
+ * Runs a tool handler with a timeout
+ * The handler receives an AbortSignal that fires when the timeout is reached
+ * @param {Function} handler - Tool handler (args, { signal, toolCall }) => result
+ * @param {Object} args - Parsed tool arguments
+ * @param {Object} toolCall - Normalized tool call
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<*>} Handler result
+ */
+const run_handler = (handler, args, toolCall, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Tool ${toolCall.function.name} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  const execution = Promise.resolve().then(() => handler(args, { signal: controller.signal, toolCall }));
+  return Promise.race([execution, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Executes one tool call and converts the outcome into a tool result
+ * @param {Object} toolCall - Normalized tool call
+ * @param {Object} context - { tools, handlers, toolTimeoutMs }
+ * @returns {Promise<Object>} Tool result ({ id, name, arguments, output, error, durationMs })
+ */
+const execute_tool_call = async (toolCall, { tools, handlers, toolTimeoutMs }) => {
+  const name = toolCall.function.name;
+  const startedAt = Date.now();
+  const toolResult = { id: toolCall.id, name, arguments: undefined, output: undefined, error: undefined };
+
+  try {
+    const handler = handlers[name];
+    if (typeof handler !== 'function') {
+      throw new Error(`No handler for tool: ${name}`);
+    }
+    toolResult.arguments = parse_arguments(tools, toolCall);
+    toolResult.output = await run_handler(handler, toolResult.arguments, toolCall, toolTimeoutMs);
+  } catch (error) {
+    toolResult.error = error.message;
+  }
+
+  toolResult.durationMs = Date.now() - startedAt;
+  return toolResult;
+};
+
+/**
+ * Converts a tool result into the tool message sent back to the model
+ * @param {Object} toolResult - Tool result from execute_tool_call
+ * @returns {Object} Universal tool message
+ */
+const to_tool_message = (toolResult) => {
+  let content;
+  if (toolResult.error !== undefined) {
+    content = `Error: ${toolResult.error}`;
+  } else if (typeof toolResult.output === 'string') {
+    content = toolResult.output;
+  } else {
+    content = JSON.stringify(toolResult.output ?? null);
+  }
+
+  return { role: 'tool', toolCallId: toolResult.id, name: toolResult.name, content };
+};
+
+/**
+ * Runs a chat request with tools until the model gives a final answer
+ *
+ * Each step is one model call. Tool calls requested in the same step run
+ * concurrently, and their results are appended in the order the model asked for them.
+ * A forced toolChoice is sent with the first step only, later steps use 'auto'.
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against
+ * @param {Object} data - The input data (must include tools)
+ * @param {Object} config - Loop configuration
+ * @param {Object} config.handlers - Tool handlers by tool name, (args, { signal, toolCall }) => result
+ * @param {number} [config.maxSteps=10] - Maximum number of model calls
+ * @param {number} [config.toolTimeoutMs=30000] - Time limit for each tool call
+ * @param {Object} [config.requestOptions] - Request options passed to execute_request
+ * @returns {Promise<Object>} { answer, transcript, steps } where answer is the final
+ *   normalized result, transcript the full message history and steps the per-step
+ *   responses and tool results
+ * @throws {Error} When maxSteps is reached without a final answer (error.transcript and
+ *   error.steps hold the progress so far), or when a model request fails
+ *
+ * @example
+ * const { answer, transcript } = await run_with_tools(llm_input_schema, {
+ *   ...input,
+ *   tools: [weather]
+ * }, {
+ *   handlers: { get_weather: async ({ city }) => ({ city, temperature: 18 }) }
+ * });
+ */
+const run_with_tools = async (schema, data, config = {}) => {
+  const {
+    handlers = {},
+    maxSteps = DEFAULT_MAX_STEPS,
+    toolTimeoutMs = DEFAULT_TOOL_TIMEOUT_MS,
+    requestOptions = {}
+  } = config;
+  const tools = data.tools || [];
+  const transcript = [...data.messages];
+  const steps = [];
+  const isToolChoiceForced = data.toolChoice === 'required' || typeof data.toolChoice === 'object';
+
+  for (let step = 0; step < maxSteps; step++) {
+    // A forced toolChoice ('required' or a named function) only applies to the first step,
+    // afterwards the model must be free to answer with text
+    const request = step > 0 && isToolChoiceForced ? { ...data, toolChoice: 'auto' } : data;
+    const response = await execute_request(schema, { ...request, messages: [...transcript] }, requestOptions);
+
+    if (response.toolCalls.length === 0) {
+      transcript.push({ role: 'assistant', content: response.text });
+      steps.push({ response, toolResults: [] });
+      return { answer: response, transcript, steps };
+    }
+
+    transcript.push({ role: 'assistant', content: response.text || null, toolCalls: response.toolCalls });
+    const toolResults = await Promise.all(
+      response.toolCalls.map(toolCall => execute_tool_call(toolCall, { tools, handlers, toolTimeoutMs }))
+    );
+    transcript.push(...toolResults.map(to_tool_message));
+    steps.push({ response, toolResults });
+  }
+
+  const error = new Error(`run_with_tools: no final answer after ${maxSteps} steps`);
+  error.transcript = transcript;
+  error.steps = steps;
+  throw error;
+};
+
+module.exports = {
+  DEFAULT_MAX_STEPS,
+  DEFAULT_TOOL_TIMEOUT_MS,
+  run_with_tools
+};
@@ -0,0 +1,132 @@
+const { z } = require('zod');
+const { execute_request } = require('./create_request');
+const { define_tool } = require('./tools');
+const { run_with_tools } = require('./run_with_tools');
+
+jest.mock('./create_request', () => ({ execute_request: jest.fn() }));
+
+describe('run_with_tools', () => {
+  const schema = {};
+  const weather = define_tool({
+    name: 'get_weather',
+    schema: z.object({ city: z.string() })
+  });
+  const input = {
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages: [{ role: 'user', content: 'Weather in Paris and Rome?' }],
+    tools: [weather]
+  };
+
+  const toolCallResponse = (...calls) => ({
+    text: '',
+    role: 'assistant',
+    toolCalls: calls.map(([id, name, args]) => ({
+      id,
+      type: 'function',
+      function: { name, arguments: JSON.stringify(args) }
+    })),
+    finishReason: 'tool_calls'
+  });
+  const answerResponse = (text) => ({ text, role: 'assistant', toolCalls: [], finishReason: 'stop' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should run tools until the model answers and return the transcript', async () => {
+    execute_request
+      .mockResolvedValueOnce(toolCallResponse(['call_1', 'get_weather', { city: 'Paris' }], ['call_2', 'get_weather', { city: 'Rome' }]))
+      .mockResolvedValueOnce(answerResponse('Paris 18°C, Rome 24°C'));
+    const temperatures = { Paris: 18, Rome: 24 };
+
+    const { answer, transcript, steps } = await run_with_tools(schema, input, {
+      handlers: { get_weather: async ({ city }) => ({ city, temperature: temperatures[city] }) }
+    });
+
+    expect(answer.text).toBe('Paris 18°C, Rome 24°C');
+    expect(transcript).toEqual([
+      input.messages[0],
+      { role: 'assistant', content: null, toolCalls: steps[0].response.toolCalls },
+      { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: '{"city":"Paris","temperature":18}' },
+      { role: 'tool', toolCallId: 'call_2', name: 'get_weather', content: '{"city":"Rome","temperature":24}' },
+      { role: 'assistant', content: 'Paris 18°C, Rome 24°C' }
+    ]);
+    expect(steps).toHaveLength(2);
+    expect(execute_request).toHaveBeenCalledTimes(2);
+    expect(execute_request.mock.calls[1][1].messages).toHaveLength(4);
+  });
+
+  it('should run parallel tool calls concurrently', async () => {
+    execute_request
+      .mockResolvedValueOnce(toolCallResponse(['call_1', 'get_weather', { city: 'Paris' }], ['call_2', 'get_weather', { city: 'Rome' }]))
+      .mockResolvedValueOnce(answerResponse('Done'));
+    let running = 0;
+    let maxRunning = 0;
+
+    await run_with_tools(schema, input, {
+      handlers: {
+        get_weather: async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          running--;
+          return 'ok';
+        }
+      }
+    });
+
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should send tool errors, invalid arguments and timeouts back to the model', async () => {
+    execute_request
+      .mockResolvedValueOnce(toolCallResponse(
+        ['call_1', 'get_weather', { city: 42 }],
+        ['call_2', 'get_time', {}],
+        ['call_3', 'get_weather', { city: 'Rome' }]
+      ))
+      .mockResolvedValueOnce(answerResponse('Sorry'));
+
+    const { steps, transcript } = await run_with_tools(schema, input, {
+      handlers: { get_weather: ({ city }, { signal }) => new Promise(resolve => signal.addEventListener('abort', () => resolve(city))) },
+      toolTimeoutMs: 20
+    });
+
+    expect(steps[0].toolResults.map(result => result.error)).toEqual([
+      'Invalid arguments for tool get_weather: city: Expected string, received number',
+      'No handler for tool: get_time',
+      'Tool get_weather timed out after 20ms'
+    ]);
+    expect(transcript[2].content).toBe('Error: Invalid arguments for tool get_weather: city: Expected string, received number');
+  });
+
+  it('should only force the tool choice on the first step', async () => {
+    // Answers with text only when the tool choice is not forced
+    execute_request.mockImplementation(async (requestSchema, request) => (
+      request.toolChoice === 'auto' ? answerResponse('Paris 18°C') : toolCallResponse(['call_1', 'get_weather', { city: 'Paris' }])
+    ));
+
+    const { answer, steps } = await run_with_tools(schema, { ...input, toolChoice: { name: 'get_weather' } }, {
+      handlers: { get_weather: async ({ city }) => ({ city, temperature: 18 }) }
+    });
+
+    expect(answer.text).toBe('Paris 18°C');
+    expect(steps).toHaveLength(2);
+    expect(execute_request.mock.calls[0][1].toolChoice).toEqual({ name: 'get_weather' });
+    expect(execute_request.mock.calls[1][1].toolChoice).toBe('auto');
+  });
+
+  it('should stop after maxSteps without a final answer', async () => {
+    execute_request.mockResolvedValue(toolCallResponse(['call_1', 'get_weather', { city: 'Paris' }]));
+
+    await expect(run_with_tools(schema, input, {
+      handlers: { get_weather: () => 'Sunny' },
+      maxSteps: 2
+    })).rejects.toMatchObject({
+      message: 'run_with_tools: no final answer after 2 steps',
+      steps: expect.any(Array)
+    });
+    expect(execute_request).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Text-to-Speech Module
+ *
+ * Builds and executes speech generation requests for OpenAI's /audio/speech
+ * endpoint and the OpenAI-compatible providers that expose it (Groq, Together,
+ * SiliconFlow). The audio is returned as a Buffer, or as a Node stream when
+ * `stream: true` so playback can start before the whole file is generated.
+ */
+
+const {
+  create_provider_headers,
+  send_request,
+  sanitize_request_error,
+  validateUrl
+} = require('./create_request');
+const { getAudioEndpoint } = require('./config/url_config');
+const { read_stream_error_body } = require('./stream_parser');
+
+/**
+ * MIME type of each speech output format
+ */
+const SPEECH_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/opus',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm'
+};
+
+/**
+ * Builds the request body of a speech request
+ * @param {Object} validatedData - The validated speech input
+ * @returns {Object} OpenAI-compatible /audio/speech body
+ */
+const create_speech_payload = (validatedData) => {
+  const { model, input, voice, format, speed, instructions } = validatedData;
+
+  return {
+    model,
+    input,
+    voice,
+    response_format: format,
+    ...(speed !== undefined && { speed }),
+    ...(instructions && { instructions })
+  };
+};
+
+/**
+ * Decodes a binary HTTP error body so sanitized errors carry the provider message
+ * Speech requests ask for binary responses, so error bodies arrive as Buffers
+ * @param {Error} error - Axios error
+ * @returns {Error} The same error with response.data decoded into an object or string
+ */
+const decode_binary_error_body = (error) => {
+  const body = error.response?.data;
+  if (!(body instanceof ArrayBuffer) && !Buffer.isBuffer(body)) {
+    return error;
+  }
+
+  const text = Buffer.from(body).toString('utf8');
+  try {
+    error.response.data = JSON.parse(text);
+  } catch (parseError) {
+    error.response.data = text;
+  }
+  return error;
+};
+
+/**
+ * Builds the axios request configuration from already validated speech input
+ * @param {Object} validatedData - The validated speech input
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration
+ * @throws {Error} When the API key is missing
+ */
+const build_speech_request = (validatedData, options) => {
+  if (!validatedData.apiKey) {
+    throw new Error(`API key is required for provider: ${validatedData.provider}`);
+  }
+
+  return {
+    method: 'POST',
+    url: validateUrl(options.url || getAudioEndpoint(validatedData.provider, 'speech')),
+    data: create_speech_payload(validatedData),
+    headers: {
+      ...create_provider_headers(validatedData),
+      ...options.headers
+    },
+    responseType: validatedData.stream ? 'stream' : 'arraybuffer'
+  };
+};
+
+/**
+ * Creates the axios request configuration for a speech request
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (speech_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration with a binary or stream response type
+ * @throws {Error} When validation fails or the API key is missing
+ *
+ * @example
+ * create_speech_request(speech_input_schema, {
+ *   provider: 'openai',
+ *   apiKey: 'sk-...',
+ *   model: 'tts-1',
+ *   input: 'Hello there',
+ *   voice: 'alloy'
+ * });
+ * // Returns: { method: 'POST', url: 'https://api.openai.com/v1/audio/speech',
+ * //            data: { model: 'tts-1', input: 'Hello there', voice: 'alloy', response_format: 'mp3' },
+ * //            headers, responseType: 'arraybuffer' }
+ */
+const create_speech_request = (schema, data, options = {}) =>
+  build_speech_request(schema.parse(data), options);
+
+/**
+ * Creates and executes a speech request
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (speech_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Promise<Object>} { audio, format, mimeType, model, provider } where audio is a
+ *   Buffer, or a Node Readable stream when stream is true
+ * @throws {Error} Sanitized error messages that don't leak sensitive information
+ */
+const execute_speech = async (schema, data, options = {}) => {
+  try {
+    const validatedData = schema.parse(data);
+    const requestConfig = build_speech_request(validatedData, options);
+    const response = await send_request(requestConfig, validatedData.provider);
+
+    return {
+      audio: validatedData.stream ? response.data : Buffer.from(response.data),
+      format: validatedData.format,
+      mimeType: SPEECH_MIME_TYPES[validatedData.format],
+      model: validatedData.model,
+      provider: validatedData.provider
+    };
+  } catch (error) {
+    throw sanitize_request_error(decode_binary_error_body(await read_stream_error_body(error)));
+  }
+};
+
+module.exports = {
+  SPEECH_MIME_TYPES,
+  create_speech_payload,
+  create_speech_request,
+  execute_speech
+};
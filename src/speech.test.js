@@ -0,0 +1,108 @@
+const axios = require('axios');
+const { Readable } = require('stream');
+const { speech_input_schema } = require('./llm_schema');
+const { create_speech_request, execute_speech } = require('./speech');
+
+jest.mock('axios');
+
+describe('speech', () => {
+  const base = {
+    provider: 'openai',
+    apiKey: 'test-key',
+    model: 'gpt-4o-mini-tts',
+    input: 'Hello there',
+    voice: 'alloy'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create_speech_request', () => {
+    it('should build an OpenAI speech request', () => {
+      const request = create_speech_request(speech_input_schema, {
+        ...base,
+        format: 'wav',
+        speed: 1.5,
+        instructions: 'Speak calmly'
+      });
+
+      expect(request).toEqual({
+        method: 'POST',
+        url: 'https://api.openai.com/v1/audio/speech',
+        data: {
+          model: 'gpt-4o-mini-tts',
+          input: 'Hello there',
+          voice: 'alloy',
+          response_format: 'wav',
+          speed: 1.5,
+          instructions: 'Speak calmly'
+        },
+        headers: expect.objectContaining({ Authorization: 'Bearer test-key', 'Content-Type': 'application/json' }),
+        responseType: 'arraybuffer'
+      });
+    });
+
+    it('should use the provider speech endpoint and stream response type', () => {
+      const request = create_speech_request(speech_input_schema, {
+        ...base,
+        provider: 'groq',
+        model: 'playai-tts',
+        voice: 'Fritz-PlayAI',
+        stream: true
+      });
+
+      expect(request.url).toBe('https://api.groq.com/openai/v1/audio/speech');
+      expect(request.data.response_format).toBe('mp3');
+      expect(request.responseType).toBe('stream');
+    });
+
+    it('should validate speed and require an API key', () => {
+      expect(() => create_speech_request(speech_input_schema, { ...base, speed: 5 })).toThrow();
+      expect(() => create_speech_request(speech_input_schema, { ...base, apiKey: undefined }))
+        .toThrow('API key is required for provider: openai');
+    });
+  });
+
+  describe('execute_speech', () => {
+    it('should return the audio as a Buffer', async () => {
+      axios.mockResolvedValue({ data: new Uint8Array([1, 2, 3]).buffer });
+
+      const result = await execute_speech(speech_input_schema, base);
+
+      expect(Buffer.isBuffer(result.audio)).toBe(true);
+      expect([...result.audio]).toEqual([1, 2, 3]);
+      expect(result).toMatchObject({ format: 'mp3', mimeType: 'audio/mpeg', model: 'gpt-4o-mini-tts', provider: 'openai' });
+    });
+
+    it('should validate the input once', async () => {
+      axios.mockResolvedValue({ data: new Uint8Array([1]).buffer });
+      const spy = jest.spyOn(speech_input_schema, 'parse');
+
+      await execute_speech(speech_input_schema, base);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      spy.mockRestore();
+    });
+
+    it('should return the response stream when streaming', async () => {
+      const stream = Readable.from([Buffer.from('audio')]);
+      axios.mockResolvedValue({ data: stream });
+
+      const result = await execute_speech(speech_input_schema, { ...base, stream: true });
+
+      expect(result.audio).toBe(stream);
+    });
+
+    it('should decode binary error bodies before sanitizing', async () => {
+      axios.mockRejectedValue({
+        response: { status: 400, data: Buffer.from(JSON.stringify({ error: { message: 'Invalid voice' } })) }
+      });
+
+      const error = await execute_speech(speech_input_schema, base).catch(e => e);
+
+      expect(error.message).toBe('HTTP 400: Request failed');
+      expect(error.response.data).toEqual({ error: { message: 'Invalid voice' } });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Stream Accumulator Module
+ *
+ * Folds the normalized delta events produced by stream_parser.js back into the
+ * normalized result returned by non-streaming execute_request:
+ * - Text deltas are concatenated
+ * - Tool call fragments are grouped by index and their JSON arguments joined
+ * - The last finish reason and usage totals win
+ *
+ * The accumulated result has the same { text, role, toolCalls, finishReason,
+ * usage, model, provider, raw } shape as normalize_response, with `raw` holding
+ * the list of provider chunks that produced events.
+ */
+
+/**
+ * Creates an accumulator that can be fed events while they are being consumed
+ *
+ * @param {Object} [context] - Request context
+ * @param {string} [context.provider] - Provider name reported in the result
+ * @param {string} [context.model] - Requested model, used when the stream does not report one
+ * @returns {Object} Accumulator with add(event) and result() methods
+ *
+ * @example
+ * const accumulator = create_stream_accumulator({ provider: 'openai', model: 'gpt-4o' });
+ * for await (const event of stream_request(llm_input_schema, input)) {
+ *   if (event.type === 'text') process.stdout.write(event.text);
+ *   accumulator.add(event);
+ * }
+ * const result = accumulator.result();
+ */
+const create_stream_accumulator = (context = {}) => {
+  const textParts = [];
+  const toolCalls = new Map();
+  const rawChunks = [];
+  let finishReason = null;
+  let usage = null;
+  let model = null;
+
+  /**
+   * Adds one delta event to the accumulated state
+   * @param {Object} event - Normalized delta event
+   */
+  const add = (event) => {
+    if (event.raw !== undefined && rawChunks[rawChunks.length - 1] !== event.raw) {
+      rawChunks.push(event.raw);
+    }
+
+    switch (event.type) {
+      case 'text':
+        textParts.push(event.text);
+        break;
+
+      case 'tool_call': {
+        const call = toolCalls.get(event.index) || { id: undefined, name: undefined, arguments: '' };
+        call.id = call.id || event.id;
+        call.name = call.name || event.name;
+        call.arguments += event.arguments || '';
+        toolCalls.set(event.index, call);
+        break;
+      }
+
+      case 'usage':
+        usage = event.usage;
+        break;
+
+      case 'finish':
+        finishReason = event.finishReason;
+        model = event.model || model;
+        break;
+
+      default:
+        throw new Error(`Unknown stream event type: ${event.type}`);
+    }
+  };
+
+  /**
+   * Builds the normalized result from the events added so far
+   * @returns {Object} Normalized result
+   */
+  const result = () => ({
+    text: textParts.join(''),
+    role: 'assistant',
+    toolCalls: [...toolCalls.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, call]) => ({
+        id: call.id,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: call.arguments || '{}'
+        }
+      })),
+    finishReason,
+    usage,
+    model: model || context.model || null,
+    provider: context.provider,
+    raw: [...rawChunks]
+  });
+
+  return { add, result };
+};
+
+/**
+ * Consumes a stream of delta events and returns the final normalized result
+ *
+ * @param {AsyncIterable<Object>} events - Normalized delta events (e.g. from stream_request)
+ * @param {Object} [context] - Request context ({ provider, model })
+ * @returns {Promise<Object>} Normalized result
+ */
+const accumulate_stream = async (events, context = {}) => {
+  const accumulator = create_stream_accumulator(context);
+  for await (const event of events) {
+    accumulator.add(event);
+  }
+  return accumulator.result();
+};
+
+module.exports = {
+  create_stream_accumulator,
+  accumulate_stream
+};
@@ -0,0 +1,79 @@
+const { Readable } = require('stream');
+const { create_stream_accumulator, accumulate_stream } = require('./stream_accumulator');
+const { STREAM_FORMATS, parse_stream } = require('./stream_parser');
+
+describe('create_stream_accumulator', () => {
+  it('should concatenate text and keep the last finish reason and usage', () => {
+    const accumulator = create_stream_accumulator({ provider: 'openai', model: 'gpt-4o' });
+    const chunk = { id: 'chunk-1' };
+
+    accumulator.add({ type: 'text', text: 'Hello', raw: chunk });
+    accumulator.add({ type: 'text', text: ' world', raw: chunk });
+    accumulator.add({ type: 'usage', usage: { inputTokens: 3, outputTokens: 1, totalTokens: 4 } });
+    accumulator.add({ type: 'usage', usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 } });
+    accumulator.add({ type: 'finish', finishReason: 'stop' });
+
+    expect(accumulator.result()).toEqual({
+      text: 'Hello world',
+      role: 'assistant',
+      toolCalls: [],
+      finishReason: 'stop',
+      usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 },
+      model: 'gpt-4o',
+      provider: 'openai',
+      raw: [chunk]
+    });
+  });
+
+  it('should rebuild tool calls from argument fragments', () => {
+    const accumulator = create_stream_accumulator({ provider: 'openai' });
+
+    accumulator.add({ type: 'tool_call', index: 1, id: 'call_b', name: 'get_time', arguments: '' });
+    accumulator.add({ type: 'tool_call', index: 0, id: 'call_a', name: 'get_weather', arguments: '{"ci' });
+    accumulator.add({ type: 'tool_call', index: 0, arguments: 'ty":"Paris"}' });
+    accumulator.add({ type: 'finish', finishReason: 'tool_calls', model: 'gpt-4o-2024-08-06' });
+
+    const result = accumulator.result();
+
+    expect(result.toolCalls).toEqual([
+      { id: 'call_a', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+      { id: 'call_b', type: 'function', function: { name: 'get_time', arguments: '{}' } }
+    ]);
+    expect(JSON.parse(result.toolCalls[0].function.arguments)).toEqual({ city: 'Paris' });
+    expect(result.model).toBe('gpt-4o-2024-08-06');
+  });
+
+  it('should reject unknown event types', () => {
+    const accumulator = create_stream_accumulator();
+    expect(() => accumulator.add({ type: 'unknown' })).toThrow('Unknown stream event type: unknown');
+  });
+});
+
+describe('accumulate_stream', () => {
+  it('should fold an Anthropic stream into the normalized result shape', async () => {
+    const body = Readable.from([
+      'event: message_start\ndata: {"type":"message_start","message":{"model":"claude-3-5-haiku-20241022","usage":{"input_tokens":8}}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hi"}}\n\n',
+      'event: content_block_start\ndata: {"type":"content_block_start","index":1,"content_block":{"type":"tool_use","id":"toolu_1","name":"lookup","input":{}}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":1,"delta":{"type":"input_json_delta","partial_json":"{\\"q\\":"}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":1,"delta":{"type":"input_json_delta","partial_json":"\\"llm\\"}"}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"tool_use"},"usage":{"output_tokens":15}}\n\n'
+    ]);
+
+    const result = await accumulate_stream(
+      parse_stream(STREAM_FORMATS.ANTHROPIC, body),
+      { provider: 'anthropic', model: 'claude-3-5-haiku-latest' }
+    );
+
+    expect(result).toMatchObject({
+      text: 'Hi',
+      role: 'assistant',
+      toolCalls: [{ id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"llm"}' } }],
+      finishReason: 'tool_calls',
+      usage: { inputTokens: 8, outputTokens: 15, totalTokens: 23 },
+      model: 'claude-3-5-haiku-20241022',
+      provider: 'anthropic'
+    });
+    expect(result.raw).toHaveLength(5);
+  });
+});
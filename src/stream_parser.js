@@ -0,0 +1,444 @@
+/**
+ * Stream Parser Module
+ *
+ * Parses streaming chat response bodies into normalized delta events, hiding the
+ * wire format each provider uses:
+ * - OpenAI-compatible: `data:` server-sent events terminated by `data: [DONE]`
+ * - Anthropic: typed server-sent events (message_start, content_block_start,
+ *   content_block_delta, message_delta, message_stop)
+ * - Google Gemini: server-sent events (alt=sse) carrying partial GenerateContentResponse chunks
+ * - Ollama: newline-delimited JSON objects
+ * - Hugging Face Inference: server-sent events with { token, generated_text, details }
+ *
+ * Delta events:
+ * - { type: 'text', text, raw }
+ * - { type: 'tool_call', index, id, name, arguments, raw } (id/name only on the first fragment,
+ *   arguments is a JSON string fragment to be concatenated)
+ * - { type: 'usage', usage: { inputTokens, outputTokens, totalTokens }, raw }
+ * - { type: 'finish', finishReason, model, raw }
+ */
+
+const { StringDecoder } = require('string_decoder');
+const { normalize_finish_reason, normalize_usage } = require('./normalize_response');
+
+/**
+ * Stream wire formats
+ */
+const STREAM_FORMATS = {
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
+  GOOGLE: 'google',
+  OLLAMA: 'ollama',
+  HUGGINGFACE: 'huggingface'
+};
+
+/**
+ * Determines the stream wire format for validated request data
+ * @param {Object} validatedData - The validated input data
+ * @returns {string} One of STREAM_FORMATS
+ */
+const get_stream_format = (validatedData) => {
+  switch (validatedData.provider) {
+    case 'anthropic':
+      return STREAM_FORMATS.ANTHROPIC;
+
+    case 'google':
+      return STREAM_FORMATS.GOOGLE;
+
+    case 'ollama':
+      return STREAM_FORMATS.OLLAMA;
+
+    case 'huggingface':
+      return validatedData.huggingfaceRouter ? STREAM_FORMATS.OPENAI : STREAM_FORMATS.HUGGINGFACE;
+
+    default:
+      return STREAM_FORMATS.OPENAI;
+  }
+};
+
+/**
+ * Splits a chunked byte stream into complete lines
+ * @param {AsyncIterable<Buffer|string>} source - Response body stream
+ * @returns {AsyncGenerator<string>} Lines without trailing newline characters
+ */
+async function* read_lines(source) {
+  // One decoder for the whole body keeps characters split across chunks intact
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of source) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.length > 0) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Groups lines into server-sent events
+ * Comment lines (starting with ':') are ignored and multi-line data fields are joined
+ * @param {AsyncIterable<string>} lines - Lines from read_lines
+ * @returns {AsyncGenerator<Object>} Events { event, data }
+ */
+async function* read_sse_events(lines) {
+  let eventName;
+  let dataLines = [];
+
+  for await (const line of lines) {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield { event: eventName, data: dataLines.join('\n') };
+      }
+      eventName = undefined;
+      dataLines = [];
+    } else if (line.startsWith(':')) {
+      continue;
+    } else if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+
+  if (dataLines.length > 0) {
+    yield { event: eventName, data: dataLines.join('\n') };
+  }
+}
+
+/**
+ * Parses a JSON stream payload
+ * @param {string} text - JSON text from an event or NDJSON line
+ * @param {string} format - Stream format, for error messages
+ * @returns {Object} Parsed payload
+ */
+const parse_json_chunk = (text, format) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${format} stream chunk: ${text.slice(0, 100)}`);
+  }
+};
+
+/**
+ * Converts an OpenAI-compatible chat.completion.chunk into delta events
+ * @param {Object} chunk - Parsed chunk
+ * @param {Object} state - Mutable parser state
+ * @returns {Array} Delta events
+ */
+const openai_chunk_to_events = (chunk, state) => {
+  const events = [];
+  const choice = chunk.choices?.[0];
+  state.model = chunk.model || state.model;
+
+  if (choice?.delta?.content) {
+    events.push({ type: 'text', text: choice.delta.content, raw: chunk });
+  }
+  for (const call of choice?.delta?.tool_calls || []) {
+    events.push({
+      type: 'tool_call',
+      index: call.index ?? 0,
+      id: call.id,
+      name: call.function?.name,
+      arguments: call.function?.arguments || '',
+      raw: chunk
+    });
+  }
+  if (chunk.usage) {
+    events.push({ type: 'usage', usage: normalize_usage(chunk.usage), raw: chunk });
+  }
+  if (choice?.finish_reason) {
+    events.push({ type: 'finish', finishReason: normalize_finish_reason(choice.finish_reason), model: state.model, raw: chunk });
+  }
+
+  return events;
+};
+
+/**
+ * Converts a typed Anthropic streaming event into delta events
+ * @param {Object} payload - Parsed event data (its `type` field names the event)
+ * @param {Object} state - Mutable parser state
+ * @returns {Array} Delta events
+ */
+const anthropic_event_to_events = (payload, state) => {
+  switch (payload.type) {
+    case 'message_start':
+      state.model = payload.message?.model;
+      state.inputTokens = payload.message?.usage?.input_tokens || 0;
+      return [];
+
+    case 'content_block_start':
+      if (payload.content_block?.type === 'tool_use') {
+        return [{
+          type: 'tool_call',
+          index: payload.index,
+          id: payload.content_block.id,
+          name: payload.content_block.name,
+          arguments: '',
+          raw: payload
+        }];
+      }
+      if (payload.content_block?.type === 'text' && payload.content_block.text) {
+        return [{ type: 'text', text: payload.content_block.text, raw: payload }];
+      }
+      return [];
+
+    case 'content_block_delta':
+      if (payload.delta?.type === 'text_delta') {
+        return [{ type: 'text', text: payload.delta.text, raw: payload }];
+      }
+      if (payload.delta?.type === 'input_json_delta') {
+        return [{ type: 'tool_call', index: payload.index, arguments: payload.delta.partial_json, raw: payload }];
+      }
+      return [];
+
+    case 'message_delta': {
+      const events = [];
+      if (payload.usage) {
+        events.push({
+          type: 'usage',
+          usage: normalize_usage({
+            input_tokens: payload.usage.input_tokens ?? state.inputTokens,
+            output_tokens: payload.usage.output_tokens
+          }),
+          raw: payload
+        });
+      }
+      if (payload.delta?.stop_reason) {
+        events.push({
+          type: 'finish',
+          finishReason: normalize_finish_reason(payload.delta.stop_reason),
+          model: state.model,
+          raw: payload
+        });
+      }
+      return events;
+    }
+
+    case 'error':
+      throw new Error(`Anthropic stream error: ${payload.error?.message || 'unknown error'}`);
+
+    default:
+      // ping, content_block_stop and message_stop carry no deltas
+      return [];
+  }
+};
+
+/**
+ * Converts a Gemini streamed GenerateContentResponse chunk into delta events
+ * Gemini sends whole function calls (not fragments) and cumulative usage
+ * @param {Object} chunk - Parsed chunk
+ * @param {Object} state - Mutable parser state
+ * @returns {Array} Delta events
+ */
+const google_chunk_to_events = (chunk, state) => {
+  const events = [];
+  const candidate = chunk.candidates?.[0];
+  state.model = chunk.modelVersion || state.model;
+
+  for (const part of candidate?.content?.parts || []) {
+    if (typeof part.text === 'string' && part.text && !part.thought) {
+      events.push({ type: 'text', text: part.text, raw: chunk });
+    }
+    if (part.functionCall) {
+      const index = state.toolCallCount++;
+      events.push({
+        type: 'tool_call',
+        index,
+        id: part.functionCall.id || `call_${index}`,
+        name: part.functionCall.name,
+        arguments: JSON.stringify(part.functionCall.args || {}),
+        raw: chunk
+      });
+    }
+  }
+
+  if (candidate?.finishReason) {
+    if (chunk.usageMetadata) {
+      events.push({ type: 'usage', usage: normalize_usage(chunk.usageMetadata), raw: chunk });
+    }
+    const finishReason = state.toolCallCount > 0 && candidate.finishReason === 'STOP'
+      ? 'tool_calls'
+      : normalize_finish_reason(candidate.finishReason);
+    events.push({ type: 'finish', finishReason, model: state.model, raw: chunk });
+  }
+
+  return events;
+};
+
+/**
+ * Converts an Ollama NDJSON chat chunk into delta events
+ * Ollama sends whole tool calls and reports usage on the final (done) chunk
+ * @param {Object} chunk - Parsed chunk
+ * @param {Object} state - Mutable parser state
+ * @returns {Array} Delta events
+ */
+const ollama_chunk_to_events = (chunk, state) => {
+  if (chunk.error) {
+    throw new Error(`Ollama stream error: ${chunk.error}`);
+  }
+
+  const events = [];
+  state.model = chunk.model || state.model;
+
+  if (chunk.message?.content) {
+    events.push({ type: 'text', text: chunk.message.content, raw: chunk });
+  }
+  for (const call of chunk.message?.tool_calls || []) {
+    const index = state.toolCallCount++;
+    events.push({
+      type: 'tool_call',
+      index,
+      id: call.id || `call_${index}`,
+      name: call.function?.name,
+      arguments: typeof call.function?.arguments === 'string'
+        ? call.function.arguments
+        : JSON.stringify(call.function?.arguments || {}),
+      raw: chunk
+    });
+  }
+
+  if (chunk.done) {
+    const usage = normalize_usage(chunk);
+    if (usage) {
+      events.push({ type: 'usage', usage, raw: chunk });
+    }
+    let finishReason = normalize_finish_reason(chunk.done_reason || 'stop');
+    if (state.toolCallCount > 0 && finishReason === 'stop') {
+      finishReason = 'tool_calls';
+    }
+    events.push({ type: 'finish', finishReason, model: state.model, raw: chunk });
+  }
+
+  return events;
+};
+
+/**
+ * Converts a Hugging Face text-generation stream chunk into delta events
+ * @param {Object} chunk - Parsed chunk ({ token, generated_text, details })
+ * @param {Object} state - Mutable parser state
+ * @returns {Array} Delta events
+ */
+const huggingface_chunk_to_events = (chunk, state) => {
+  if (chunk.error) {
+    throw new Error(`Hugging Face stream error: ${chunk.error}`);
+  }
+
+  const events = [];
+  if (chunk.token && !chunk.token.special && chunk.token.text) {
+    events.push({ type: 'text', text: chunk.token.text, raw: chunk });
+  }
+
+  // generated_text is only set on the last chunk
+  if (chunk.generated_text !== undefined && chunk.generated_text !== null) {
+    if (chunk.details?.generated_tokens !== undefined) {
+      events.push({
+        type: 'usage',
+        usage: normalize_usage({ output_tokens: chunk.details.generated_tokens }),
+        raw: chunk
+      });
+    }
+    const reason = chunk.details?.finish_reason;
+    events.push({
+      type: 'finish',
+      finishReason: normalize_finish_reason(!reason || reason === 'eos_token' ? 'stop' : reason),
+      model: state.model,
+      raw: chunk
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Parses a streaming response body into normalized delta events
+ *
+ * @param {string} format - One of STREAM_FORMATS
+ * @param {AsyncIterable<Buffer|string>} source - Response body stream
+ * @param {Object} [initialState] - Parser state seed, e.g. { model } from the request
+ * @returns {AsyncGenerator<Object>} Normalized delta events
+ */
+async function* parse_stream(format, source, initialState = {}) {
+  const state = { model: undefined, inputTokens: 0, toolCallCount: 0, ...initialState };
+
+  if (format === STREAM_FORMATS.OLLAMA) {
+    for await (const line of read_lines(source)) {
+      if (line.trim() === '') {
+        continue;
+      }
+      yield* ollama_chunk_to_events(parse_json_chunk(line, format), state);
+    }
+    return;
+  }
+
+  for await (const { event, data } of read_sse_events(read_lines(source))) {
+    if (data === '[DONE]') {
+      return;
+    }
+
+    const payload = parse_json_chunk(data, format);
+    switch (format) {
+      case STREAM_FORMATS.ANTHROPIC:
+        yield* anthropic_event_to_events({ type: event, ...payload }, state);
+        break;
+
+      case STREAM_FORMATS.GOOGLE:
+        yield* google_chunk_to_events(payload, state);
+        break;
+
+      case STREAM_FORMATS.HUGGINGFACE:
+        yield* huggingface_chunk_to_events(payload, state);
+        break;
+
+      default:
+        if (payload.error) {
+          throw new Error(`Stream error: ${payload.error.message || payload.error}`);
+        }
+        yield* openai_chunk_to_events(payload, state);
+    }
+  }
+}
+
+/**
+ * Reads a streamed HTTP error body so sanitized errors carry the provider message
+ * @param {Error} error - Axios error
+ * @returns {Promise<Error>} The same error with response.data read into an object or string
+ */
+const read_stream_error_body = async (error) => {
+  const body = error.response?.data;
+  if (!body || typeof body[Symbol.asyncIterator] !== 'function') {
+    return error;
+  }
+
+  const decoder = new StringDecoder('utf8');
+  let text = '';
+  try {
+    for await (const chunk of body) {
+      text += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    }
+  } catch (readError) {
+    // Keep whatever was read before the body stream failed
+  }
+  text += decoder.end();
+
+  try {
+    error.response.data = JSON.parse(text);
+  } catch (parseError) {
+    error.response.data = text;
+  }
+  return error;
+};
+
+module.exports = {
+  STREAM_FORMATS,
+  parse_stream,
+  get_stream_format,
+  read_stream_error_body
+};
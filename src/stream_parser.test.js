@@ -0,0 +1,169 @@
+const { Readable } = require('stream');
+const { STREAM_FORMATS, parse_stream, get_stream_format, read_stream_error_body } = require('./stream_parser');
+
+/**
+ * Collects every event yielded by an async iterator
+ * @param {AsyncIterable} iterator - Event source
+ * @returns {Promise<Array>} Events without their raw payloads
+ */
+const collect = async (iterator) => {
+  const events = [];
+  for await (const { raw, ...event } of iterator) {
+    events.push(event);
+  }
+  return events;
+};
+
+describe('parse_stream', () => {
+  it('should parse OpenAI SSE chunks split across network packets', async () => {
+    const body = [
+      'data: {"model":"gpt-4o","choices":[{"delta":{"role":"assistant","content":"Hel',
+      'lo"}}]}\n\ndata: {"choices":[{"delta":{"content":" world"}}]}\n\n',
+      'data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\n',
+      'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7}}\n\n',
+      'data: [DONE]\n\n'
+    ];
+
+    const events = await collect(parse_stream(STREAM_FORMATS.OPENAI, Readable.from(body)));
+
+    expect(events).toEqual([
+      { type: 'text', text: 'Hello' },
+      { type: 'text', text: ' world' },
+      { type: 'finish', finishReason: 'stop', model: 'gpt-4o' },
+      { type: 'usage', usage: { inputTokens: 5, outputTokens: 2, totalTokens: 7 } }
+    ]);
+  });
+
+  it('should emit OpenAI tool call fragments', async () => {
+    const body = [
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","type":"function","function":{"name":"get_weather","arguments":""}}]}}]}\n\n',
+      'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"city\\":"}}]}}]}\n\n',
+      'data: {"choices":[{"delta":{},"finish_reason":"tool_calls"}]}\n\n'
+    ];
+
+    const events = await collect(parse_stream(STREAM_FORMATS.OPENAI, Readable.from(body)));
+
+    expect(events).toEqual([
+      { type: 'tool_call', index: 0, id: 'call_1', name: 'get_weather', arguments: '' },
+      { type: 'tool_call', index: 0, id: undefined, name: undefined, arguments: '{"city":' },
+      { type: 'finish', finishReason: 'tool_calls', model: undefined }
+    ]);
+  });
+
+  it('should parse Anthropic typed events', async () => {
+    const body = [
+      'event: message_start\n',
+      'data: {"type":"message_start","message":{"model":"claude-3-5-sonnet-20241022","usage":{"input_tokens":12,"output_tokens":1}}}\n\n',
+      'event: ping\ndata: {"type":"ping"}\n\n',
+      'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Checking"}}\n\n',
+      'event: content_block_start\ndata: {"type":"content_block_start","index":1,"content_block":{"type":"tool_use","id":"toolu_1","name":"get_weather","input":{}}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","index":1,"delta":{"type":"input_json_delta","partial_json":"{\\"city\\": \\"Paris\\"}"}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"tool_use"},"usage":{"output_tokens":20}}\n\n',
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ];
+
+    const events = await collect(parse_stream(STREAM_FORMATS.ANTHROPIC, Readable.from(body)));
+
+    expect(events).toEqual([
+      { type: 'text', text: 'Checking' },
+      { type: 'tool_call', index: 1, id: 'toolu_1', name: 'get_weather', arguments: '' },
+      { type: 'tool_call', index: 1, arguments: '{"city": "Paris"}' },
+      { type: 'usage', usage: { inputTokens: 12, outputTokens: 20, totalTokens: 32 } },
+      { type: 'finish', finishReason: 'tool_calls', model: 'claude-3-5-sonnet-20241022' }
+    ]);
+  });
+
+  it('should surface Anthropic error events', async () => {
+    const body = ['event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n'];
+
+    await expect(collect(parse_stream(STREAM_FORMATS.ANTHROPIC, Readable.from(body))))
+      .rejects.toThrow('Anthropic stream error: Overloaded');
+  });
+
+  it('should parse Gemini streamed chunks', async () => {
+    const body = [
+      'data: {"candidates":[{"content":{"role":"model","parts":[{"text":"Hello"}]}}],"modelVersion":"gemini-1.5-flash-002"}\r\n\r\n',
+      'data: {"candidates":[{"content":{"role":"model","parts":[{"text":" there"}]},"finishReason":"STOP"}],"usageMetadata":{"promptTokenCount":3,"candidatesTokenCount":2,"totalTokenCount":5}}\r\n\r\n'
+    ];
+
+    const events = await collect(parse_stream(STREAM_FORMATS.GOOGLE, Readable.from(body)));
+
+    expect(events).toEqual([
+      { type: 'text', text: 'Hello' },
+      { type: 'text', text: ' there' },
+      { type: 'usage', usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 } },
+      { type: 'finish', finishReason: 'stop', model: 'gemini-1.5-flash-002' }
+    ]);
+  });
+
+  it('should parse Ollama NDJSON', async () => {
+    const body = [
+      '{"model":"llama3.2","message":{"role":"assistant","content":"Hi"},"done":false}\n{"model":"llama3.2",',
+      '"message":{"role":"assistant","content":"!"},"done":false}\n',
+      '{"model":"llama3.2","message":{"role":"assistant","content":""},"done":true,"done_reason":"stop","prompt_eval_count":10,"eval_count":2}\n'
+    ];
+
+    const events = await collect(parse_stream(STREAM_FORMATS.OLLAMA, Readable.from(body)));
+
+    expect(events).toEqual([
+      { type: 'text', text: 'Hi' },
+      { type: 'text', text: '!' },
+      { type: 'usage', usage: { inputTokens: 10, outputTokens: 2, totalTokens: 12 } },
+      { type: 'finish', finishReason: 'stop', model: 'llama3.2' }
+    ]);
+  });
+
+  it('should parse Hugging Face text-generation streams', async () => {
+    const body = [
+      'data:{"token":{"id":1,"text":"Hi","special":false},"generated_text":null}\n\n',
+      'data:{"token":{"id":2,"text":"</s>","special":true},"generated_text":"Hi","details":{"finish_reason":"eos_token","generated_tokens":2}}\n\n'
+    ];
+
+    const events = await collect(parse_stream(STREAM_FORMATS.HUGGINGFACE, Readable.from(body), { model: 'gpt2' }));
+
+    expect(events).toEqual([
+      { type: 'text', text: 'Hi' },
+      { type: 'usage', usage: { inputTokens: 0, outputTokens: 2, totalTokens: 2 } },
+      { type: 'finish', finishReason: 'stop', model: 'gpt2' }
+    ]);
+  });
+
+  it('should decode multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('data: {"choices":[{"delta":{"content":"héllo 你好"}}]}\n\n', 'utf8');
+    // Split inside the three bytes of 你
+    const split = bytes.indexOf(Buffer.from('你', 'utf8')) + 1;
+
+    const events = await collect(parse_stream(STREAM_FORMATS.OPENAI, Readable.from([bytes.subarray(0, split), bytes.subarray(split)])));
+
+    expect(events).toEqual([{ type: 'text', text: 'héllo 你好' }]);
+  });
+
+  it('should reject malformed chunks', async () => {
+    await expect(collect(parse_stream(STREAM_FORMATS.OPENAI, Readable.from(['data: {not json}\n\n']))))
+      .rejects.toThrow('Invalid openai stream chunk');
+  });
+});
+
+describe('get_stream_format', () => {
+  it('should pick the wire format for each provider', () => {
+    expect(get_stream_format({ provider: 'groq' })).toBe(STREAM_FORMATS.OPENAI);
+    expect(get_stream_format({ provider: 'anthropic' })).toBe(STREAM_FORMATS.ANTHROPIC);
+    expect(get_stream_format({ provider: 'google' })).toBe(STREAM_FORMATS.GOOGLE);
+    expect(get_stream_format({ provider: 'ollama' })).toBe(STREAM_FORMATS.OLLAMA);
+    expect(get_stream_format({ provider: 'huggingface' })).toBe(STREAM_FORMATS.HUGGINGFACE);
+    expect(get_stream_format({ provider: 'huggingface', huggingfaceRouter: true })).toBe(STREAM_FORMATS.OPENAI);
+  });
+});
+
+describe('read_stream_error_body', () => {
+  it('should decode multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('{"error":{"message":"modèle indisponible 你好"}}', 'utf8');
+    const split = bytes.indexOf(Buffer.from('è', 'utf8')) + 1;
+    const error = { response: { status: 503, data: Readable.from([bytes.subarray(0, split), bytes.subarray(split)]) } };
+
+    await read_stream_error_body(error);
+
+    expect(error.response.data).toEqual({ error: { message: 'modèle indisponible 你好' } });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Streaming Request Module
+ *
+ * Sends chat requests with streaming enabled and exposes the response as an
+ * async iterator of normalized delta events (see stream_parser.js for the
+ * event shapes and supported wire formats).
+ */
+
+const { create_request, send_request, sanitize_request_error } = require('./create_request');
+const { parse_stream, get_stream_format, read_stream_error_body } = require('./stream_parser');
+
+/**
+ * Creates and executes a streaming chat request
+ * The request is always sent with stream enabled and the response body is read
+ * incrementally, so the first deltas are available before generation finishes
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, method, headers, etc.)
+ * @returns {AsyncGenerator<Object>} Normalized delta events
+ * @throws {Error} Sanitized error messages that don't leak sensitive information
+ *
+ * @example
+ * for await (const event of stream_request(llm_input_schema, input)) {
+ *   if (event.type === 'text') process.stdout.write(event.text);
+ * }
+ */
+async function* stream_request(schema, data, options = {}) {
+  let response;
+  try {
+    const requestConfig = create_request(schema, { ...data, stream: true }, options);
+    response = await send_request({ ...requestConfig, responseType: 'stream' }, data.provider);
+  } catch (error) {
+    throw sanitize_request_error(await read_stream_error_body(error));
+  }
+
+  // Failures while reading the body (dropped connections, malformed chunks) are sanitized too
+  try {
+    yield* parse_stream(get_stream_format(data), response.data, { model: data.model });
+  } catch (error) {
+    throw sanitize_request_error(error);
+  }
+}
+
+module.exports = {
+  stream_request
+};
@@ -0,0 +1,80 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const { stream_request } = require('./stream_request');
+const { llm_input_schema } = require('./llm_schema');
+
+jest.mock('axios');
+const mockedAxios = axios;
+
+/**
+ * Collects every event yielded by an async iterator
+ * @param {AsyncIterable} iterator - Event source
+ * @returns {Promise<Array>} Events without their raw payloads
+ */
+const collect = async (iterator) => {
+  const events = [];
+  for await (const { raw, ...event } of iterator) {
+    events.push(event);
+  }
+  return events;
+};
+
+describe('stream_request', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const input = {
+    provider: 'openai',
+    model: 'gpt-4o',
+    messages: [{ role: 'user', content: 'Hello' }],
+    apiKey: 'test-key'
+  };
+
+  it('should request a stream and yield normalized events', async () => {
+    mockedAxios.mockResolvedValueOnce({
+      status: 200,
+      data: Readable.from(['data: {"choices":[{"delta":{"content":"Hi"},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n'])
+    });
+
+    const events = await collect(stream_request(llm_input_schema, input));
+
+    expect(events).toEqual([
+      { type: 'text', text: 'Hi' },
+      { type: 'finish', finishReason: 'stop', model: 'gpt-4o' }
+    ]);
+    expect(mockedAxios).toHaveBeenCalledWith(expect.objectContaining({
+      responseType: 'stream',
+      data: expect.objectContaining({ stream: true })
+    }));
+  });
+
+  it('should read streamed error bodies into sanitized errors', async () => {
+    mockedAxios.mockRejectedValueOnce({
+      response: {
+        status: 401,
+        data: Readable.from(['{"error":{"code":"invalid_api_key"}}'])
+      }
+    });
+
+    await expect(collect(stream_request(llm_input_schema, input))).rejects.toMatchObject({
+      message: 'HTTP 401: Request failed',
+      response: { status: 401, data: { error: { code: 'invalid_api_key' } } }
+    });
+  });
+
+  it('should sanitize errors raised while reading the stream', async () => {
+    const body = new Readable({ read() {} });
+    mockedAxios.mockResolvedValueOnce({ status: 200, data: body });
+    body.push('data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n');
+    setImmediate(() => body.destroy(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', request: {} })));
+
+    const events = [];
+    await expect((async () => {
+      for await (const event of stream_request(llm_input_schema, input)) {
+        events.push(event.type);
+      }
+    })()).rejects.toThrow('Network error: Unable to reach the API endpoint');
+    expect(events).toEqual(['text']);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Structured Outputs
+ *
+ * Requests with responseFormat { type: 'json_schema', schema } carry a Zod schema.
+ * This module converts that schema to JSON Schema for the provider translators and
+ * parses the reply back through the same Zod schema, so callers receive a
+ * validated object in `result.parsed`.
+ *
+ * Only the Zod types that have a JSON Schema equivalent are supported; refinements
+ * and transforms are not representable and are only applied when the reply is parsed.
+ */
+
+/**
+ * Name of the forced tool used for providers without a native JSON schema mode (Anthropic)
+ */
+const DEFAULT_STRUCTURED_OUTPUT_NAME = 'structured_output';
+
+/**
+ * Converts a Zod object schema into a JSON Schema object
+ * @param {Object} def - ZodObject definition
+ * @returns {Object} JSON Schema
+ */
+const convert_object = (def) => {
+  const shape = def.shape();
+  const properties = {};
+  const required = [];
+
+  for (const [key, value] of Object.entries(shape)) {
+    properties[key] = zod_to_json_schema(value);
+    if (!value.isOptional()) {
+      required.push(key);
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: def.unknownKeys === 'passthrough'
+  };
+};
+
+/**
+ * Converts Zod string checks into JSON Schema keywords
+ * @param {Array} checks - ZodString checks
+ * @returns {Object} JSON Schema
+ */
+const convert_string = (checks) => {
+  const STRING_FORMATS = { email: 'email', url: 'uri', uuid: 'uuid', datetime: 'date-time', date: 'date', time: 'time' };
+  const converted = { type: 'string' };
+
+  for (const check of checks) {
+    if (check.kind === 'min') {
+      converted.minLength = check.value;
+    } else if (check.kind === 'max') {
+      converted.maxLength = check.value;
+    } else if (check.kind === 'length') {
+      converted.minLength = check.value;
+      converted.maxLength = check.value;
+    } else if (check.kind === 'regex') {
+      converted.pattern = check.regex.source;
+    } else if (STRING_FORMATS[check.kind]) {
+      converted.format = STRING_FORMATS[check.kind];
+    }
+  }
+
+  return converted;
+};
+
+/**
+ * Converts Zod number checks into JSON Schema keywords
+ * @param {Array} checks - ZodNumber checks
+ * @returns {Object} JSON Schema
+ */
+const convert_number = (checks) => {
+  const converted = { type: checks.some(check => check.kind === 'int') ? 'integer' : 'number' };
+
+  for (const check of checks) {
+    if (check.kind === 'min') {
+      converted[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+    } else if (check.kind === 'max') {
+      converted[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+    }
+  }
+
+  return converted;
+};
+
+/**
+ * Converts a Zod schema into JSON Schema
+ * Descriptions set with .describe() are kept so models see them
+ *
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @returns {Object} JSON Schema (without $schema)
+ * @throws {Error} When the schema uses a Zod type with no JSON Schema equivalent
+ *
+ * @example
+ * zod_to_json_schema(z.object({ city: z.string(), days: z.number().int().optional() }));
+ * // Returns: { type: 'object', properties: { city: { type: 'string' }, days: { type: 'integer' } },
+ * //            required: ['city'], additionalProperties: false }
+ */
+const zod_to_json_schema = (schema) => {
+  const def = schema._def;
+  let converted;
+
+  switch (def.typeName) {
+    case 'ZodObject':
+      converted = convert_object(def);
+      break;
+    case 'ZodString':
+      converted = convert_string(def.checks);
+      break;
+    case 'ZodNumber':
+      converted = convert_number(def.checks);
+      break;
+    case 'ZodBoolean':
+      converted = { type: 'boolean' };
+      break;
+    case 'ZodNull':
+      converted = { type: 'null' };
+      break;
+    case 'ZodArray':
+      converted = { type: 'array', items: zod_to_json_schema(def.type) };
+      if (def.minLength) {
+        converted.minItems = def.minLength.value;
+      }
+      if (def.maxLength) {
+        converted.maxItems = def.maxLength.value;
+      }
+      break;
+    case 'ZodEnum':
+      converted = { type: 'string', enum: [...def.values] };
+      break;
+    case 'ZodNativeEnum':
+      converted = { enum: Object.values(def.values).filter(value => typeof def.values[value] !== 'number') };
+      break;
+    case 'ZodLiteral':
+      converted = { type: typeof def.value, const: def.value };
+      break;
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion':
+      converted = { anyOf: [...def.options].map(zod_to_json_schema) };
+      break;
+    case 'ZodNullable':
+      converted = { anyOf: [zod_to_json_schema(def.innerType), { type: 'null' }] };
+      break;
+    case 'ZodRecord':
+      converted = { type: 'object', additionalProperties: zod_to_json_schema(def.valueType) };
+      break;
+    case 'ZodOptional':
+    case 'ZodDefault':
+    case 'ZodReadonly':
+    case 'ZodCatch':
+      converted = zod_to_json_schema(def.innerType);
+      break;
+    case 'ZodEffects':
+      converted = zod_to_json_schema(def.schema);
+      break;
+    case 'ZodBranded':
+      converted = zod_to_json_schema(def.type);
+      break;
+    case 'ZodPipeline':
+      converted = zod_to_json_schema(def.in);
+      break;
+    default:
+      throw new Error(`Unsupported Zod type for structured outputs: ${def.typeName}`);
+  }
+
+  if (def.description) {
+    converted.description = def.description;
+  }
+  return converted;
+};
+
+/**
+ * Returns the name of the structured output (OpenAI json_schema.name, Anthropic tool name)
+ * @param {Object} responseFormat - json_schema response format
+ * @returns {string} Structured output name
+ */
+const get_structured_output_name = (responseFormat) => responseFormat.name || DEFAULT_STRUCTURED_OUTPUT_NAME;
+
+/**
+ * Parses a normalized result against the Zod schema of a json_schema response format
+ *
+ * The JSON is read from the reply text, or from the forced tool call for Anthropic.
+ * The forced tool call is removed so the result looks like a plain JSON reply.
+ *
+ * @param {Object} result - Normalized chat result
+ * @param {Object} responseFormat - json_schema response format ({ schema, name })
+ * @returns {Object} Result with the reply text and the validated object in `parsed`
+ * @throws {Error} When the reply is not valid JSON
+ * @throws {ZodError} When the reply does not match the schema (issues name the failing fields)
+ */
+const parse_structured_output = (result, responseFormat) => {
+  const name = get_structured_output_name(responseFormat);
+  const forcedCall = result.provider === 'anthropic'
+    ? result.toolCalls.find(call => call.function.name === name)
+    : undefined;
+
+  const structured = forcedCall
+    ? {
+      ...result,
+      text: forcedCall.function.arguments,
+      toolCalls: result.toolCalls.filter(call => call !== forcedCall),
+      finishReason: result.finishReason === 'tool_calls' ? 'stop' : result.finishReason
+    }
+    : result;
+
+  let json;
+  try {
+    json = JSON.parse(structured.text);
+  } catch (error) {
+    throw new Error(`Structured output is not valid JSON: ${error.message}`);
+  }
+
+  return { ...structured, parsed: responseFormat.schema.parse(json) };
+};
+
+module.exports = {
+  DEFAULT_STRUCTURED_OUTPUT_NAME,
+  zod_to_json_schema,
+  get_structured_output_name,
+  parse_structured_output
+};
@@ -0,0 +1,119 @@
+const { z } = require('zod');
+const {
+  DEFAULT_STRUCTURED_OUTPUT_NAME,
+  zod_to_json_schema,
+  get_structured_output_name,
+  parse_structured_output
+} = require('./structured_output');
+
+describe('structured_output', () => {
+  describe('zod_to_json_schema', () => {
+    it('should convert objects with required and optional fields', () => {
+      const schema = z.object({
+        city: z.string().describe('City name'),
+        days: z.number().int().min(1).max(14).optional(),
+        units: z.enum(['metric', 'imperial']).default('metric')
+      });
+
+      expect(zod_to_json_schema(schema)).toEqual({
+        type: 'object',
+        properties: {
+          city: { type: 'string', description: 'City name' },
+          days: { type: 'integer', minimum: 1, maximum: 14 },
+          units: { type: 'string', enum: ['metric', 'imperial'] }
+        },
+        required: ['city'],
+        additionalProperties: false
+      });
+    });
+
+    it('should convert arrays, nullables, literals, unions and records', () => {
+      const schema = z.object({
+        tags: z.array(z.string().email()).min(1),
+        note: z.string().nullable(),
+        kind: z.literal('forecast'),
+        value: z.union([z.number(), z.boolean()]),
+        extra: z.record(z.string())
+      });
+
+      expect(zod_to_json_schema(schema).properties).toEqual({
+        tags: { type: 'array', items: { type: 'string', format: 'email' }, minItems: 1 },
+        note: { anyOf: [{ type: 'string' }, { type: 'null' }] },
+        kind: { type: 'string', const: 'forecast' },
+        value: { anyOf: [{ type: 'number' }, { type: 'boolean' }] },
+        extra: { type: 'object', additionalProperties: { type: 'string' } }
+      });
+    });
+
+    it('should convert the input side of refinements and transforms', () => {
+      const schema = z.string().refine(value => value.length > 2).transform(value => value.trim());
+      expect(zod_to_json_schema(schema)).toEqual({ type: 'string' });
+    });
+
+    it('should reject Zod types without a JSON Schema equivalent', () => {
+      expect(() => zod_to_json_schema(z.object({ when: z.date() })))
+        .toThrow('Unsupported Zod type for structured outputs: ZodDate');
+    });
+  });
+
+  describe('get_structured_output_name', () => {
+    it('should default the name', () => {
+      expect(get_structured_output_name({ type: 'json_schema' })).toBe(DEFAULT_STRUCTURED_OUTPUT_NAME);
+      expect(get_structured_output_name({ type: 'json_schema', name: 'weather' })).toBe('weather');
+    });
+  });
+
+  describe('parse_structured_output', () => {
+    const schema = z.object({ city: z.string(), temperature: z.number() });
+    const baseResult = {
+      text: '{"city":"Paris","temperature":18}',
+      role: 'assistant',
+      toolCalls: [],
+      finishReason: 'stop',
+      usage: null,
+      model: 'gpt-4o',
+      provider: 'openai',
+      raw: {}
+    };
+
+    it('should parse and validate the reply text', () => {
+      const result = parse_structured_output(baseResult, { type: 'json_schema', schema });
+      expect(result.parsed).toEqual({ city: 'Paris', temperature: 18 });
+      expect(result.text).toBe(baseResult.text);
+    });
+
+    it('should read the forced tool call for Anthropic', () => {
+      const result = parse_structured_output({
+        ...baseResult,
+        text: '',
+        provider: 'anthropic',
+        finishReason: 'tool_calls',
+        toolCalls: [{
+          id: 'toolu_1',
+          type: 'function',
+          function: { name: 'structured_output', arguments: '{"city":"Rome","temperature":24}' }
+        }]
+      }, { type: 'json_schema', schema });
+
+      expect(result.parsed).toEqual({ city: 'Rome', temperature: 24 });
+      expect(result.text).toBe('{"city":"Rome","temperature":24}');
+      expect(result.toolCalls).toEqual([]);
+      expect(result.finishReason).toBe('stop');
+    });
+
+    it('should reject replies that are not JSON', () => {
+      expect(() => parse_structured_output({ ...baseResult, text: 'Sunny' }, { type: 'json_schema', schema }))
+        .toThrow('Structured output is not valid JSON');
+    });
+
+    it('should report the field that failed validation', () => {
+      try {
+        parse_structured_output({ ...baseResult, text: '{"city":"Paris","temperature":"warm"}' }, { type: 'json_schema', schema });
+        throw new Error('expected a validation error');
+      } catch (error) {
+        expect(error.name).toBe('ZodError');
+        expect(error.issues[0].path).toEqual(['temperature']);
+      }
+    });
+  });
+});
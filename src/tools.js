@@ -0,0 +1,95 @@
+/**
+ * Zod Tool Definitions
+ *
+ * define_tool builds a universal tool declaration from a Zod schema, so tool
+ * parameters never have to be written as JSON Schema by hand. The returned tool
+ * can be passed in `tools` to create_request (each provider translator emits its
+ * own declaration format) and keeps the Zod schema to validate the arguments the
+ * model sends back.
+ */
+
+const { zod_to_json_schema } = require('./structured_output');
+const { parse_tool_arguments } = require('./providers/openai');
+
+/**
+ * Defines a tool from a name, description and Zod object schema
+ *
+ * @param {Object} definition - Tool definition
+ * @param {string} definition.name - Function name the model calls
+ * @param {string} [definition.description] - What the tool does, shown to the model
+ * @param {z.ZodObject} definition.schema - Zod schema of the arguments
+ * @returns {Object} Universal tool ({ type: 'function', function: { name, description, parameters }, schema })
+ * @throws {Error} When the schema is not an object schema
+ *
+ * @example
+ * const weather = define_tool({
+ *   name: 'get_weather',
+ *   description: 'Get the current weather for a city',
+ *   schema: z.object({ city: z.string(), unit: z.enum(['celsius', 'fahrenheit']).optional() })
+ * });
+ * create_request(llm_input_schema, { ...input, tools: [weather] });
+ */
+const define_tool = ({ name, description, schema }) => {
+  const parameters = zod_to_json_schema(schema);
+  if (parameters.type !== 'object') {
+    throw new Error(`Tool ${name} needs an object schema (z.object) for its arguments`);
+  }
+
+  return {
+    type: 'function',
+    function: {
+      name,
+      ...(description && { description }),
+      parameters
+    },
+    schema
+  };
+};
+
+/**
+ * Formats Zod issues as "path: message" pairs
+ * @param {Array} issues - ZodError issues
+ * @returns {string} Issues joined with '; '
+ */
+const format_issues = (issues) => {
+  return issues
+    .map(issue => `${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    .join('; ');
+};
+
+/**
+ * Parses and validates the arguments of a tool call with the tool's Zod schema
+ *
+ * @param {Array} tools - Tools created with define_tool
+ * @param {Object} toolCall - Normalized tool call ({ id, function: { name, arguments } })
+ * @returns {Object} Validated arguments
+ * @throws {Error} When the tool is unknown, the arguments are not JSON, or a field
+ *   fails validation (the message names the field, `issues` holds the Zod issues)
+ *
+ * @example
+ * parse_tool_call([weather], result.toolCalls[0]);
+ * // Returns: { city: 'Paris' }
+ * // Throws: 'Invalid arguments for tool get_weather: city: Expected string, received number'
+ */
+const parse_tool_call = (tools, toolCall) => {
+  const tool = tools.find(candidate => candidate.function.name === toolCall.function.name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${toolCall.function.name}`);
+  }
+  if (!tool.schema) {
+    throw new Error(`Tool ${toolCall.function.name} has no Zod schema, define it with define_tool`);
+  }
+
+  const result = tool.schema.safeParse(parse_tool_arguments(toolCall));
+  if (!result.success) {
+    const error = new Error(`Invalid arguments for tool ${toolCall.function.name}: ${format_issues(result.error.issues)}`);
+    error.issues = result.error.issues;
+    throw error;
+  }
+  return result.data;
+};
+
+module.exports = {
+  define_tool,
+  parse_tool_call
+};
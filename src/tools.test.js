@@ -0,0 +1,86 @@
+const { z } = require('zod');
+const { define_tool, parse_tool_call } = require('./tools');
+const { create_request } = require('./create_request');
+const { llm_input_schema } = require('./llm_schema');
+
+describe('tools', () => {
+  const weather = define_tool({
+    name: 'get_weather',
+    description: 'Get the current weather for a city',
+    schema: z.object({
+      city: z.string().describe('City name'),
+      unit: z.enum(['celsius', 'fahrenheit']).optional()
+    })
+  });
+
+  const toolCall = (args) => ({
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'get_weather', arguments: JSON.stringify(args) }
+  });
+
+  describe('define_tool', () => {
+    it('should build a universal tool declaration from the Zod schema', () => {
+      expect(weather.type).toBe('function');
+      expect(weather.function).toEqual({
+        name: 'get_weather',
+        description: 'Get the current weather for a city',
+        parameters: {
+          type: 'object',
+          properties: {
+            city: { type: 'string', description: 'City name' },
+            unit: { type: 'string', enum: ['celsius', 'fahrenheit'] }
+          },
+          required: ['city'],
+          additionalProperties: false
+        }
+      });
+    });
+
+    it('should reject schemas that are not objects', () => {
+      expect(() => define_tool({ name: 'roll', schema: z.number() }))
+        .toThrow('Tool roll needs an object schema (z.object) for its arguments');
+    });
+
+    it('should emit the declaration each provider expects through create_request', () => {
+      const baseInput = { apiKey: 'test-key', messages: [{ role: 'user', content: 'Weather in Paris?' }], tools: [weather] };
+
+      const openaiRequest = create_request(llm_input_schema, { ...baseInput, provider: 'openai', model: 'gpt-4o' });
+      expect(openaiRequest.data.tools).toEqual([{ type: 'function', function: weather.function }]);
+
+      const anthropicRequest = create_request(llm_input_schema, { ...baseInput, provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' });
+      expect(anthropicRequest.data.tools[0].input_schema).toEqual(weather.function.parameters);
+
+      const googleRequest = create_request(llm_input_schema, { ...baseInput, provider: 'google', model: 'gemini-1.5-flash' });
+      expect(googleRequest.data.tools[0].functionDeclarations[0].parameters).not.toHaveProperty('additionalProperties');
+    });
+  });
+
+  describe('parse_tool_call', () => {
+    it('should return validated arguments', () => {
+      expect(parse_tool_call([weather], toolCall({ city: 'Paris', unit: 'celsius' }))).toEqual({ city: 'Paris', unit: 'celsius' });
+    });
+
+    it('should name the field that failed validation', () => {
+      expect(() => parse_tool_call([weather], toolCall({ city: 42 })))
+        .toThrow('Invalid arguments for tool get_weather: city: Expected string, received number');
+
+      let error;
+      try {
+        parse_tool_call([weather], toolCall({ city: 'Paris', unit: 'kelvin' }));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.issues[0].path).toEqual(['unit']);
+    });
+
+    it('should reject unknown tools and tools without a Zod schema', () => {
+      expect(() => parse_tool_call([weather], { id: 'call_2', function: { name: 'get_time', arguments: '{}' } }))
+        .toThrow('Unknown tool: get_time');
+
+      const plainTool = { type: 'function', function: { name: 'get_weather', parameters: {} } };
+      expect(() => parse_tool_call([plainTool], toolCall({ city: 'Paris' })))
+        .toThrow('Tool get_weather has no Zod schema, define it with define_tool');
+    });
+  });
+});
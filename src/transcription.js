@@ -0,0 +1,203 @@
+/**
+ * Audio Transcription Module
+ *
+ * Builds and executes speech-to-text requests (transcription and translation to
+ * English) for OpenAI and Groq, and normalizes the responses into
+ * { text, format, language, durationSeconds, segments, words }.
+ *
+ * Audio is uploaded as multipart/form-data. The audio duration of each request
+ * is recorded in the rate limit tracker, since Groq limits audio seconds per hour
+ * and per day (ASH/ASD).
+ */
+
+const {
+  create_provider_headers,
+  send_request,
+  sanitize_request_error,
+  validateUrl
+} = require('./create_request');
+const { getAudioEndpoint } = require('./config/url_config');
+const { globalRateLimitTracker } = require('./rate_limits');
+
+/**
+ * Response formats returned as plain text instead of JSON
+ */
+const TEXT_RESPONSE_FORMATS = ['text', 'srt', 'vtt'];
+
+/**
+ * Endpoint operation of each transcription task
+ */
+const TASK_OPERATIONS = {
+  transcribe: 'transcriptions',
+  translate: 'translations'
+};
+
+/**
+ * Builds the multipart form of a transcription request
+ * @param {Object} validatedData - The validated transcription input
+ * @returns {FormData} Multipart form with the audio file and wire fields
+ */
+const create_transcription_form = (validatedData) => {
+  const { file, filename, model, task, language, prompt, responseFormat, temperature, timestampGranularities } = validatedData;
+  const form = new FormData();
+
+  form.append('file', file instanceof Blob ? file : new Blob([file]), filename);
+  form.append('model', model);
+  form.append('response_format', responseFormat);
+  if (task === 'transcribe' && language) {
+    form.append('language', language);
+  }
+  if (prompt) {
+    form.append('prompt', prompt);
+  }
+  if (temperature !== undefined) {
+    form.append('temperature', String(temperature));
+  }
+  for (const granularity of timestampGranularities || []) {
+    form.append('timestamp_granularities[]', granularity);
+  }
+
+  return form;
+};
+
+/**
+ * Reads the audio duration from the end timestamp of the last SRT or WebVTT cue
+ * @param {string} subtitles - SRT or WebVTT content
+ * @returns {number|null} Duration in seconds, or null when there are no cues
+ *
+ * @example
+ * parse_subtitle_duration('1\n00:00:00,000 --> 00:00:04,500\nHello');
+ * // Returns: 4.5
+ */
+const parse_subtitle_duration = (subtitles) => {
+  const endTimestamps = [...subtitles.matchAll(/-->\s*(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})/g)];
+  if (endTimestamps.length === 0) {
+    return null;
+  }
+
+  const [, hours, minutes, seconds, milliseconds] = endTimestamps[endTimestamps.length - 1];
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(milliseconds) / 1000;
+};
+
+/**
+ * Normalizes a transcription response
+ * @param {Object} validatedData - The validated transcription input
+ * @param {Object|string} payload - Response body (JSON object, or text for text, srt and vtt)
+ * @returns {Object} { text, format, language, durationSeconds, segments, words } where
+ *   durationSeconds is null when neither the response nor the input report it
+ */
+const normalize_transcription_response = (validatedData, payload) => {
+  const format = validatedData.responseFormat;
+  const normalized = { text: '', format, language: null, durationSeconds: null, segments: null, words: null };
+
+  if (TEXT_RESPONSE_FORMATS.includes(format)) {
+    normalized.text = format === 'text' ? String(payload).trim() : String(payload);
+    if (format !== 'text') {
+      normalized.durationSeconds = parse_subtitle_duration(normalized.text);
+    }
+  } else {
+    normalized.text = payload.text;
+    normalized.language = payload.language || null;
+    normalized.durationSeconds = payload.duration ?? payload.usage?.seconds ?? null;
+    if (payload.segments) {
+      normalized.segments = payload.segments.map(({ id, start, end, text }) => ({ id, start, end, text }));
+    }
+    if (payload.words) {
+      normalized.words = payload.words.map(({ word, start, end }) => ({ word, start, end }));
+    }
+  }
+
+  normalized.durationSeconds = normalized.durationSeconds ?? validatedData.durationSeconds ?? null;
+  return normalized;
+};
+
+/**
+ * Builds the axios request configuration from already validated transcription input
+ * @param {Object} validatedData - The validated transcription input
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration
+ * @throws {Error} When the API key is missing
+ */
+const build_transcription_request = (validatedData, options) => {
+  if (!validatedData.apiKey) {
+    throw new Error(`API key is required for provider: ${validatedData.provider}`);
+  }
+
+  const headers = {
+    ...create_provider_headers(validatedData),
+    ...options.headers
+  };
+  // axios sets the multipart Content-Type with its boundary from the FormData body
+  delete headers['Content-Type'];
+
+  return {
+    method: 'POST',
+    url: validateUrl(options.url || getAudioEndpoint(validatedData.provider, TASK_OPERATIONS[validatedData.task])),
+    data: create_transcription_form(validatedData),
+    headers,
+    responseType: TEXT_RESPONSE_FORMATS.includes(validatedData.responseFormat) ? 'text' : 'json'
+  };
+};
+
+/**
+ * Creates the axios request configuration for a transcription or translation
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (transcription_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Object} Axios request configuration with a multipart form body
+ * @throws {Error} When validation fails or the API key is missing
+ *
+ * @example
+ * create_transcription_request(transcription_input_schema, {
+ *   provider: 'groq',
+ *   apiKey: 'gsk_...',
+ *   model: 'whisper-large-v3',
+ *   file: fs.readFileSync('meeting.mp3'),
+ *   filename: 'meeting.mp3',
+ *   responseFormat: 'verbose_json'
+ * });
+ * // Returns: { method: 'POST', url: 'https://api.groq.com/openai/v1/audio/transcriptions',
+ * //            data: FormData, headers: { Authorization: 'Bearer gsk_...' }, responseType: 'json' }
+ */
+const create_transcription_request = (schema, data, options = {}) =>
+  build_transcription_request(schema.parse(data), options);
+
+/**
+ * Creates and executes a transcription or translation request
+ * The audio duration is recorded in the global rate limit tracker when it is known
+ *
+ * @param {z.ZodSchema} schema - The Zod schema to validate input against (transcription_input_schema)
+ * @param {Object} data - The input data to validate and convert
+ * @param {Object} options - Request options (url, headers)
+ * @returns {Promise<Object>} { text, format, language, durationSeconds, segments, words, model, provider, raw }
+ * @throws {Error} Sanitized error messages that don't leak sensitive information
+ */
+const execute_transcription = async (schema, data, options = {}) => {
+  try {
+    const validatedData = schema.parse(data);
+    const requestConfig = build_transcription_request(validatedData, options);
+    const response = await send_request(requestConfig, validatedData.provider);
+    const normalized = normalize_transcription_response(validatedData, response.data);
+
+    if (normalized.durationSeconds) {
+      globalRateLimitTracker.recordAudioSeconds(validatedData.provider, normalized.durationSeconds);
+    }
+
+    return {
+      ...normalized,
+      model: validatedData.model,
+      provider: validatedData.provider,
+      raw: response.data
+    };
+  } catch (error) {
+    throw sanitize_request_error(error);
+  }
+};
+
+module.exports = {
+  parse_subtitle_duration,
+  normalize_transcription_response,
+  create_transcription_request,
+  execute_transcription
+};
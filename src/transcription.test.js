@@ -0,0 +1,184 @@
+const axios = require('axios');
+const { transcription_input_schema } = require('./llm_schema');
+const { globalRateLimitTracker } = require('./rate_limits');
+const {
+  parse_subtitle_duration,
+  normalize_transcription_response,
+  create_transcription_request,
+  execute_transcription
+} = require('./transcription');
+
+jest.mock('axios');
+
+describe('transcription', () => {
+  const base = {
+    provider: 'openai',
+    apiKey: 'test-key',
+    model: 'whisper-1',
+    file: Buffer.from('fake audio'),
+    filename: 'meeting.mp3'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalRateLimitTracker.usage.clear();
+  });
+
+  describe('create_transcription_request', () => {
+    it('should build a multipart transcription request', async () => {
+      const request = create_transcription_request(transcription_input_schema, {
+        ...base,
+        language: 'fr',
+        prompt: 'Quarterly review',
+        temperature: 0.2
+      });
+
+      expect(request.method).toBe('POST');
+      expect(request.url).toBe('https://api.openai.com/v1/audio/transcriptions');
+      expect(request.headers).toEqual({ Authorization: 'Bearer test-key' });
+      expect(request.responseType).toBe('json');
+
+      const form = request.data;
+      expect(form).toBeInstanceOf(FormData);
+      expect(form.get('model')).toBe('whisper-1');
+      expect(form.get('response_format')).toBe('json');
+      expect(form.get('language')).toBe('fr');
+      expect(form.get('prompt')).toBe('Quarterly review');
+      expect(form.get('temperature')).toBe('0.2');
+      expect(form.get('file').name).toBe('meeting.mp3');
+      expect(await form.get('file').text()).toBe('fake audio');
+    });
+
+    it('should use the Groq translations endpoint and timestamp granularities', () => {
+      const request = create_transcription_request(transcription_input_schema, {
+        ...base,
+        provider: 'groq',
+        model: 'whisper-large-v3',
+        task: 'translate',
+        responseFormat: 'verbose_json',
+        timestampGranularities: ['word', 'segment']
+      });
+
+      expect(request.url).toBe('https://api.groq.com/openai/v1/audio/translations');
+      expect(request.data.getAll('timestamp_granularities[]')).toEqual(['word', 'segment']);
+    });
+
+    it('should request text responses for subtitle formats', () => {
+      const request = create_transcription_request(transcription_input_schema, { ...base, responseFormat: 'srt' });
+      expect(request.responseType).toBe('text');
+    });
+
+    it('should reject invalid combinations', () => {
+      expect(() => create_transcription_request(transcription_input_schema, { ...base, task: 'translate', language: 'fr' }))
+        .toThrow('language is only supported for transcription');
+      expect(() => create_transcription_request(transcription_input_schema, { ...base, provider: 'groq', responseFormat: 'vtt' }))
+        .toThrow('groq does not support the vtt response format');
+      expect(() => create_transcription_request(transcription_input_schema, { ...base, timestampGranularities: ['word'] }))
+        .toThrow('timestampGranularities requires the verbose_json response format');
+      expect(() => create_transcription_request(transcription_input_schema, { ...base, file: 'base64' }))
+        .toThrow('file must be a Buffer, Uint8Array or Blob');
+    });
+
+    it('should require an API key', () => {
+      expect(() => create_transcription_request(transcription_input_schema, { ...base, apiKey: undefined }))
+        .toThrow('API key is required for provider: openai');
+    });
+  });
+
+  describe('parse_subtitle_duration', () => {
+    it('should read the last SRT cue end', () => {
+      const srt = '1\n00:00:00,000 --> 00:00:04,500\nHello\n\n2\n00:01:02,000 --> 01:00:03,250\nBye\n';
+      expect(parse_subtitle_duration(srt)).toBe(3603.25);
+    });
+
+    it('should read WebVTT cues without hours', () => {
+      expect(parse_subtitle_duration('WEBVTT\n\n00:00.000 --> 00:07.120\nHello\n')).toBe(7.12);
+    });
+
+    it('should return null without cues', () => {
+      expect(parse_subtitle_duration('WEBVTT\n')).toBeNull();
+    });
+  });
+
+  describe('normalize_transcription_response', () => {
+    it('should normalize verbose_json segments and words', () => {
+      const normalized = normalize_transcription_response({ responseFormat: 'verbose_json' }, {
+        task: 'transcribe',
+        language: 'english',
+        duration: 8.47,
+        text: 'Hello there.',
+        segments: [{ id: 0, seek: 0, start: 0, end: 8.47, text: 'Hello there.', avg_logprob: -0.2 }],
+        words: [{ word: 'Hello', start: 0, end: 0.5 }]
+      });
+
+      expect(normalized).toEqual({
+        text: 'Hello there.',
+        format: 'verbose_json',
+        language: 'english',
+        durationSeconds: 8.47,
+        segments: [{ id: 0, start: 0, end: 8.47, text: 'Hello there.' }],
+        words: [{ word: 'Hello', start: 0, end: 0.5 }]
+      });
+    });
+
+    it('should read the duration from json usage', () => {
+      const normalized = normalize_transcription_response({ responseFormat: 'json' }, {
+        text: 'Hi',
+        usage: { type: 'duration', seconds: 3 }
+      });
+      expect(normalized.durationSeconds).toBe(3);
+    });
+
+    it('should fall back to the input duration', () => {
+      const normalized = normalize_transcription_response({ responseFormat: 'text', durationSeconds: 12 }, ' Hi \n');
+      expect(normalized.text).toBe('Hi');
+      expect(normalized.durationSeconds).toBe(12);
+    });
+  });
+
+  describe('execute_transcription', () => {
+    it('should return the normalized transcription and record audio seconds', async () => {
+      axios.mockResolvedValue({ data: { text: 'Hello', duration: 42 } });
+      const spy = jest.spyOn(globalRateLimitTracker, 'recordAudioSeconds');
+
+      const result = await execute_transcription(transcription_input_schema, {
+        ...base,
+        provider: 'groq',
+        model: 'whisper-large-v3',
+        responseFormat: 'verbose_json'
+      });
+
+      expect(result.text).toBe('Hello');
+      expect(result.durationSeconds).toBe(42);
+      expect(result.provider).toBe('groq');
+      expect(spy).toHaveBeenCalledWith('groq', 42);
+      expect(globalRateLimitTracker.getUsageStats('groq').audioSeconds.hour.used).toBe(42);
+      spy.mockRestore();
+    });
+
+    it('should validate the input once', async () => {
+      axios.mockResolvedValue({ data: { text: 'Hello' } });
+      const spy = jest.spyOn(transcription_input_schema, 'parse');
+
+      await execute_transcription(transcription_input_schema, base);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      spy.mockRestore();
+    });
+
+    it('should record the subtitle duration for srt responses', async () => {
+      axios.mockResolvedValue({ data: '1\n00:00:00,000 --> 00:00:09,000\nHello\n' });
+
+      const result = await execute_transcription(transcription_input_schema, { ...base, responseFormat: 'srt' });
+
+      expect(result.durationSeconds).toBe(9);
+      expect(globalRateLimitTracker.getUsageStats('openai').audioSeconds.hour.used).toBe(9);
+    });
+
+    it('should sanitize HTTP errors', async () => {
+      axios.mockRejectedValue({ response: { status: 413, data: { error: { message: 'file too large' } } } });
+
+      await expect(execute_transcription(transcription_input_schema, base)).rejects.toThrow('HTTP 413');
+    });
+  });
+});